@@ -4,6 +4,9 @@
  * Ing. José Vicet · Jiménez Matos
  * v4.0.0
  *
+ * Interfaz, canvas y persistencia. Los cálculos del circuito viven en rlc-core.js
+ * (sin DOM, reutilizable desde Node) y se consumen a través del global RLC.
+ *
  * CORRECCIONES respecto a versión anterior:
  *  1. Señal cuadrada añadida en UI y en lógica de dibujo.
  *  2. Respuesta al escalón: caso de amortiguamiento crítico sin división por cero.
@@ -25,12 +28,36 @@
    CONSTANTES
    ============================================================ */
 const STORAGE_KEY = 'rlc-simulator-state-v4';
+/** Esquema de la configuración guardada y exportada (ver migrateState) */
+const STATE_SCHEMA_VERSION = 7;
 const FREQ_LOG_MIN = 1;        // Hz
 const FREQ_LOG_MAX = 1e6;      // Hz
 
+/** Clave de unidad del estado → id del input que escala */
+const UNIT_INPUTS = {
+    unitR: 'R', unitL: 'L', unitC: 'C', unitFreq: 'freq', unitAmp: 'amp',
+    unitEsrC: 'esr-c', unitEslC: 'esl-c', unitEsrL: 'esr-l'
+};
+
 /** Mapeo de IDs con guiones a claves del estado */
 const KEY_MAP = { 'esr-c': 'esrC', 'esl-c': 'eslC', 'esr-l': 'esrL' };
 
+/** Colores de las configuraciones en modo comparación (el azul queda para la entrada) */
+const COMPARE_COLORS    = ['#059669', '#dc2626', '#d97706', '#7c3aed'];
+const MAX_COMPARE_SLOTS = COMPARE_COLORS.length;
+
+/** Parámetros que admite el barrido (ids de input; KEY_MAP da la clave del estado) y máximo de pasos */
+const SWEEP_PARAMS    = ['R', 'L', 'C', 'freq', 'amp', 'esr-c', 'esl-c', 'esr-l'];
+const SWEEP_MAX_STEPS = 12;
+
+/** Límites del número de ensayos de Monte Carlo */
+const TOLERANCE_MIN_TRIALS = 10;
+const TOLERANCE_MAX_TRIALS = 10000;
+
+/** Rango dinámico del eje de dB del espectro y suelo de las lecturas numéricas */
+const FFT_DB_SPAN  = 120;
+const FFT_DB_FLOOR = 200;
+
 /* ============================================================
    ESTADO GLOBAL
    ============================================================ */
@@ -53,15 +80,56 @@ const state = {
     // Configuración
     topology:      'series',
     signalType:    'sine',
+    // Generador de funciones (ver RLC.inputFunction): tiempos en s, fase en grados, ciclo en [0, 1]
+    sigOffset: 0,
+    sigPhase:  0,
+    sigDuty:   0.5,
+    sigRise:   0,
+    sigFall:   0,
+    chirpEnd:  10000,
+    chirpTime: 0.01,
+    chirpLog:  false,
+    dampTau:   1e-3,
+    // Un periodo de la forma personalizada: [[x, y]] con x en [0, 1] e y en [−1, 1]
+    customWave: [[0, 0], [0.25, 1], [0.75, -1], [1, 0]],
     activePreset:  'lpf',
+    // Magnitud de salida (RLC.OUTPUTS de la topología); los presets fijan la suya por defecto
+    output:        'vC',
     vizMode:       'time',
-    zoom:          1,
+    // Ventanas de vista: modo → { x, y } fijados con zoom/desplazamiento (ausente = autoescala)
+    views:         {},
     useParasitics: false,
     esrC: 0.1,
     eslC: 10e-9,
     esrL: 0.5,
     showFFT:   true,
     normalize: true,
+    fftWindow: 'hann',
+    showMarkers: false,
+    showPower: false,
+    targetPF:  0.95,
+    bodeAsymptotes: false,
+    nyquistQuantity: 'Z',
+    smithZ0: 50,
+    smithAdmittance: false,
+    // Modo comparación: ranuras con R/L/C/topología/preset/parásitos propios
+    compare: { active: false, slots: [] },
+    // Barrido paramétrico: familia de curvas variando un parámetro (id de input)
+    sweep: { active: false, param: 'R', from: 50, to: 200, steps: 5, scale: 'log' },
+    // Análisis de tolerancias: ±% y distribución por componente, ensayos, semilla y especificación
+    tolerance: {
+        parts: {
+            R:    { tol: 5,  dist: 'uniform' },
+            L:    { tol: 10, dist: 'uniform' },
+            C:    { tol: 10, dist: 'uniform' },
+            esrC: { tol: 20, dist: 'uniform' },
+            eslC: { tol: 20, dist: 'uniform' },
+            esrL: { tol: 20, dist: 'uniform' }
+        },
+        trials: 500,
+        seed:   1,
+        spec:   { f0: [null, null], Q: [null, null], BW: [null, null] }
+    },
     // Resultados derivados
     f0: 0, Q: 0, BW: 0
 };
@@ -70,23 +138,420 @@ const state = {
    PERSISTENCIA
    ============================================================ */
 function saveState() {
-    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(state)); }
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify({ schema: STATE_SCHEMA_VERSION, state: persistentState() })); }
     catch (e) { console.warn('localStorage no disponible:', e); }
+    updatePermalink();
 }
 
 function loadState() {
     try {
         const raw = localStorage.getItem(STORAGE_KEY);
         if (!raw) return;
-        const saved = JSON.parse(raw);
-        Object.assign(state, saved);
+        const { values, errors } = validateState(migrateState(JSON.parse(raw)).state);
+        Object.assign(state, values);
         restoreUI();
-        showToast('Configuración anterior restaurada');
+        if (errors.length) {
+            console.warn('Campos descartados del estado guardado:', errors);
+            showToast(`Configuración restaurada; ${errors.length} campo(s) no válido(s) descartado(s)`);
+        } else {
+            showToast('Configuración anterior restaurada');
+        }
     } catch (e) {
         console.warn('Error al cargar estado:', e);
     }
 }
 
+/** Campos derivados: no se guardan, se recalculan */
+const DERIVED_KEYS = ['f0', 'Q', 'BW'];
+
+/** Copia de state sin los campos derivados */
+function persistentState() {
+    const out = { ...state };
+    DERIVED_KEYS.forEach(k => delete out[k]);
+    return out;
+}
+
+/* ── Esquema de validación: cada regla devuelve un mensaje de error o null ── */
+const isNum = v => typeof v === 'number' && Number.isFinite(v);
+const RULES = {
+    number:      v => isNum(v) ? null : 'debe ser un número',
+    positive:    v => (isNum(v) && v > 0) ? null : 'debe ser un número positivo',
+    nonNegative: v => (isNum(v) && v >= 0) ? null : 'debe ser un número mayor o igual que 0',
+    bool:        v => (typeof v === 'boolean') ? null : 'debe ser true o false',
+    range: (min, max) => v => (isNum(v) && v >= min && v <= max) ? null : `debe ser un número entre ${min} y ${max}`,
+    oneOf: list => v => list.includes(v) ? null : `valor no permitido (admitidos: ${list.join(', ')})`,
+    // Factores de unidad: los de las opciones del <select> correspondiente
+    unit: selectId => v => {
+        const factors = Array.from(document.getElementById(selectId).options, o => parseFloat(o.value));
+        return factors.includes(v) ? null : `unidad no válida (admitidas: ${factors.join(', ')})`;
+    }
+};
+
+const TOPOLOGIES = ['series', 'parallel'];
+const VIEW_MODES = ['time', 'bode', 'nyquist', 'smith', 'fft', 'splane'];
+const PRESETS    = ['lpf', 'hpf', 'bpf', 'notch'];
+const OUTPUT_IDS = [...new Set([...RLC.OUTPUTS.series, ...RLC.OUTPUTS.parallel])];
+
+/** Campos de una ranura de comparación */
+const SLOT_SCHEMA = {
+    name:          v => (typeof v === 'string' && v.length <= 16) ? null : 'debe ser un texto de hasta 16 caracteres',
+    R: RULES.positive, L: RULES.positive, C: RULES.positive,
+    topology:      RULES.oneOf(TOPOLOGIES),
+    activePreset:  RULES.oneOf(PRESETS),
+    output:        RULES.oneOf(OUTPUT_IDS),
+    useParasitics: RULES.bool,
+    esrC: RULES.nonNegative, eslC: RULES.nonNegative, esrL: RULES.nonNegative
+};
+
+const STATE_SCHEMA = {
+    R: RULES.positive, L: RULES.positive, C: RULES.positive,
+    freq: RULES.positive, amp: RULES.positive,
+    unitR: RULES.unit('unit-R'), unitL: RULES.unit('unit-L'), unitC: RULES.unit('unit-C'),
+    unitFreq: RULES.unit('unit-freq'), unitAmp: RULES.unit('unit-amp'),
+    unitEsrC: RULES.unit('unit-esr-c'), unitEslC: RULES.unit('unit-esl-c'), unitEsrL: RULES.unit('unit-esr-l'),
+    topology:      RULES.oneOf(TOPOLOGIES),
+    signalType:    RULES.oneOf(RLC.SIGNAL_TYPES),
+    sigOffset: RULES.number,
+    sigPhase:  RULES.range(-360, 360),
+    sigDuty:   RULES.range(0, 1),
+    sigRise:   RULES.nonNegative, sigFall: RULES.nonNegative,
+    chirpEnd:  RULES.positive, chirpTime: RULES.positive, dampTau: RULES.positive,
+    chirpLog:  RULES.bool,
+    customWave: v => {
+        if (!Array.isArray(v) || v.length < 2 || v.length > CUSTOM_WAVE_MAX) return `debe ser una lista de 2 a ${CUSTOM_WAVE_MAX} puntos [x, y]`;
+        const bad = v.findIndex(p => !Array.isArray(p) || p.length !== 2 || !p.every(isNum)
+                                  || p[0] < 0 || p[0] > 1 || Math.abs(p[1]) > 1);
+        return bad < 0 ? null : `punto ${bad + 1}: debe ser [x, y] con x entre 0 y 1 e y entre −1 y 1`;
+    },
+    activePreset:  RULES.oneOf(PRESETS),
+    output:        RULES.oneOf(OUTPUT_IDS),
+    vizMode:       RULES.oneOf(['time', 'phasor', 'bode', 'nyquist', 'smith', 'fft', 'splane', 'tolerance', 'sweep']),
+    views: v => {
+        if (!v || typeof v !== 'object' || Array.isArray(v)) return 'debe ser un objeto { vista: { x, y } }';
+        for (const mode of Object.keys(v)) {
+            if (!VIEW_MODES.includes(mode)) return `vista desconocida: ${mode}`;
+            const w = v[mode];
+            if (!w || typeof w !== 'object') return `${mode}: debe ser { x, y }`;
+            for (const axis of ['x', 'y']) {
+                const r = w[axis];
+                if (r == null) continue;
+                if (!Array.isArray(r) || r.length !== 2 || !r.every(isNum) || !(r[0] < r[1])) {
+                    return `${mode}.${axis}: debe ser [mín, máx] con mín < máx`;
+                }
+                if (mode === 'bode' && axis === 'x' && r[0] <= 0) return 'bode.x: el eje logarítmico requiere frecuencias positivas';
+            }
+        }
+        return null;
+    },
+    useParasitics: RULES.bool,
+    esrC: RULES.nonNegative, eslC: RULES.nonNegative, esrL: RULES.nonNegative,
+    showFFT:   RULES.bool,
+    normalize: RULES.bool,
+    fftWindow: RULES.oneOf(Object.keys(RLC.WINDOWS)),
+    showMarkers: RULES.bool,
+    showPower: RULES.bool,
+    targetPF:  RULES.range(0.5, 1),
+    bodeAsymptotes: RULES.bool,
+    nyquistQuantity: RULES.oneOf(['Z', 'Y', 'H']),
+    smithZ0: RULES.oneOf([50, 75, 600]),
+    smithAdmittance: RULES.bool,
+    compare: v => {
+        if (!v || typeof v !== 'object' || typeof v.active !== 'boolean' || !Array.isArray(v.slots)) {
+            return 'debe ser { active, slots }';
+        }
+        if (v.slots.length > MAX_COMPARE_SLOTS) return `admite como máximo ${MAX_COMPARE_SLOTS} configuraciones`;
+        if (v.active && v.slots.length < 2) return 'el modo comparar activo necesita al menos 2 configuraciones';
+        for (let i = 0; i < v.slots.length; i++) {
+            for (const key of Object.keys(SLOT_SCHEMA)) {
+                const msg = SLOT_SCHEMA[key](v.slots[i] && v.slots[i][key]);
+                if (msg) return `configuración ${i + 1}, ${key}: ${msg}`;
+            }
+        }
+        return null;
+    },
+    sweep: v => {
+        if (!v || typeof v !== 'object' || typeof v.active !== 'boolean') return 'debe ser { active, param, from, to, steps, scale }';
+        return sweepSettingsError(v);
+    },
+    tolerance: v => {
+        if (!v || typeof v !== 'object' || !v.parts || !v.spec) return 'debe ser { parts, trials, seed, spec }';
+        for (const k of RLC.TOLERANCE_KEYS) {
+            const p = v.parts[k];
+            if (!p || !isNum(p.tol) || p.tol < 0 || p.tol > 50) return `${k}: la tolerancia debe estar entre 0 y 50 %`;
+            if (!RLC.TOLERANCE_DISTRIBUTIONS.includes(p.dist)) return `${k}: distribución no válida`;
+        }
+        if (!Number.isInteger(v.trials) || v.trials < TOLERANCE_MIN_TRIALS || v.trials > TOLERANCE_MAX_TRIALS) {
+            return `trials: debe ser un entero entre ${TOLERANCE_MIN_TRIALS} y ${TOLERANCE_MAX_TRIALS}`;
+        }
+        if (!Number.isInteger(v.seed) || v.seed < 0) return 'seed: debe ser un entero mayor o igual que 0';
+        for (const k of RLC.TOLERANCE_METRICS) {
+            const r = v.spec[k];
+            if (!Array.isArray(r) || r.length !== 2 || !r.every(x => x === null || isNum(x))) return `spec.${k}: debe ser [mín, máx] (null = sin límite)`;
+            if (r[0] !== null && r[1] !== null && r[0] > r[1]) return `spec.${k}: mín mayor que máx`;
+        }
+        return null;
+    }
+};
+
+/** Valor recibido para los mensajes de rechazo; NaN e Infinity no pasan por JSON (saldrían como null) */
+const describeReceived = v => typeof v === 'number' && !Number.isFinite(v) ? String(v) : String(JSON.stringify(v));
+
+/**
+ * Valida un objeto de configuración campo a campo contra STATE_SCHEMA.
+ * Devuelve { values, errors }: los campos válidos y un mensaje por cada rechazado.
+ */
+function validateState(obj) {
+    const values = {}, errors = [];
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+        return { values, errors: ['el contenido no es un objeto de configuración'] };
+    }
+    Object.keys(obj).forEach(key => {
+        if (DERIVED_KEYS.includes(key)) return;
+        const rule = STATE_SCHEMA[key];
+        if (!rule) { errors.push(`${key}: campo desconocido`); return; }
+        const msg = rule(obj[key]);
+        if (msg) {
+            errors.push(`${key}: ${msg} (recibido ${describeReceived(obj[key]).slice(0, 40)})`);
+        } else if (key === 'views') {
+            // Sólo los ejes de cada ventana
+            values.views = Object.fromEntries(Object.keys(obj.views).map(mode =>
+                [mode, { x: obj.views[mode].x || null, y: obj.views[mode].y || null }]));
+        } else if (key === 'tolerance') {
+            // Sólo los campos conocidos
+            const t = obj.tolerance;
+            values.tolerance = {
+                parts: Object.fromEntries(RLC.TOLERANCE_KEYS.map(k => [k, { tol: t.parts[k].tol, dist: t.parts[k].dist }])),
+                trials: t.trials, seed: t.seed,
+                spec: Object.fromEntries(RLC.TOLERANCE_METRICS.map(k => [k, t.spec[k].slice()]))
+            };
+        } else if (key === 'sweep') {
+            const { active, param, from, to, steps, scale } = obj.sweep;
+            values.sweep = { active, param, from, to, steps, scale };
+        } else if (key === 'compare') {
+            // Sólo los campos conocidos de cada ranura
+            values.compare = {
+                active: obj.compare.active,
+                slots: obj.compare.slots.map(sl => Object.fromEntries(Object.keys(SLOT_SCHEMA).map(k => [k, sl[k]])))
+            };
+        } else {
+            values[key] = obj[key];
+        }
+    });
+    return { values, errors };
+}
+
+/**
+ * Lleva una configuración guardada o exportada al esquema actual. Formatos:
+ *   v7: { schema: 7, state }                      localStorage y exportJSON actuales
+ *   v6: { schema: 6, state }                      sin state.output: la salida la decidía el preset
+ *   v5: { schema: 5, state }                      con state.zoom en lugar de state.views
+ *   v4: { version: '4.x.x', state, results }      exportJSON anterior
+ *       state plano                               localStorage con STORAGE_KEY -v4
+ * Devuelve { state, from } o lanza Error con un mensaje legible.
+ */
+function migrateState(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('El archivo no contiene un objeto de configuración');
+    }
+    if ('schema' in data) {
+        if (data.schema === STATE_SCHEMA_VERSION) return { state: data.state, from: data.schema };
+        if (data.schema === 6) return { state: migrateV6(data.state), from: 6 };
+        if (data.schema === 5) return { state: migrateV6(migrateV5(data.state)), from: 5 };
+        if (isNum(data.schema) && data.schema > STATE_SCHEMA_VERSION) {
+            throw new Error(`Configuración del esquema v${data.schema}, más reciente que el admitido (v${STATE_SCHEMA_VERSION})`);
+        }
+        throw new Error(`Esquema de configuración desconocido: ${JSON.stringify(data.schema)}`);
+    }
+    if ('version' in data) {
+        if (!/^4\./.test(String(data.version)) || !data.state) {
+            throw new Error(`Versión de configuración no admitida: ${JSON.stringify(data.version)}`);
+        }
+        return { state: migrateV6(migrateV5(migrateV4(data.state))), from: 4 };
+    }
+    return { state: migrateV6(migrateV5(migrateV4(data))), from: 4 };
+}
+
+/** v4 → v5: se descartan los resultados derivados; compare y fftWindow toman sus valores por defecto */
+function migrateV4(s) {
+    const out = { ...s };
+    DERIVED_KEYS.forEach(k => delete out[k]);
+    return out;
+}
+
+/**
+ * v5 → v6: el multiplicador state.zoom, común a todas las vistas, no equivale a ninguna
+ * ventana concreta; se descarta y las vistas arrancan en autoescala.
+ */
+function migrateV5(s) {
+    if (!s || typeof s !== 'object') return s;
+    const { zoom, ...out } = s;
+    return out;
+}
+
+/**
+ * v6 → v7: la salida era implícita en el preset; se hace explícita con la que el preset
+ * fija en cada topología, en el circuito y en cada ranura de comparación.
+ */
+function migrateV6(s) {
+    if (!s || typeof s !== 'object') return s;
+    const withOutput = c => (c && typeof c === 'object' && !('output' in c) ? { ...c, output: presetOutput(c) } : c);
+    const out = withOutput(s);
+    if (out.compare && Array.isArray(out.compare.slots)) {
+        out.compare = { ...out.compare, slots: out.compare.slots.map(withOutput) };
+    }
+    return out;
+}
+
+/* ============================================================
+   ENLACES PERMANENTES — el circuito codificado en el hash de la URL
+   ============================================================ */
+/** Clave del estado → [parámetro corto, tipo]; sólo se escriben los valores distintos del defecto */
+const PERMALINK_FIELDS = {
+    R: ['R', 'num'], L: ['L', 'num'], C: ['C', 'num'], freq: ['f', 'num'], amp: ['a', 'num'],
+    unitR: ['uR', 'num'], unitL: ['uL', 'num'], unitC: ['uC', 'num'], unitFreq: ['uf', 'num'], unitAmp: ['ua', 'num'],
+    topology:      ['t', 'str'],
+    signalType:    ['s', 'str'],
+    sigOffset: ['so', 'num'], sigPhase: ['sp', 'num'], sigDuty: ['sd', 'num'],
+    sigRise:   ['sr', 'num'], sigFall:  ['sf', 'num'],
+    chirpEnd:  ['ce', 'num'], chirpTime: ['ct', 'num'], chirpLog: ['cl', 'bool'],
+    dampTau:   ['dt', 'num'],
+    customWave: ['cw', 'points'],
+    activePreset:  ['p', 'str'],
+    output:        ['o', 'str'],
+    nyquistQuantity: ['n', 'str'],
+    smithZ0: ['z0', 'num'],
+    useParasitics: ['x', 'bool'],
+    esrC: ['ec', 'num'], eslC: ['lc', 'num'], esrL: ['el', 'num'],
+    unitEsrC: ['uec', 'num'], unitEslC: ['ulc', 'num'], unitEsrL: ['uel', 'num'],
+    vizMode: ['v', 'str'],
+    views:   ['w', 'view']
+};
+const PARASITIC_KEYS = ['esrC', 'eslC', 'esrL', 'unitEsrC', 'unitEslC', 'unitEsrL'];
+/** Valores por defecto, para omitirlos del enlace (copia profunda: views es un objeto) */
+const STATE_DEFAULTS = JSON.parse(JSON.stringify(
+    Object.fromEntries(Object.keys(PERMALINK_FIELDS).map(k => [k, state[k]]))));
+
+/** Número con 6 cifras significativas en la forma más corta (2.2e-6 en vez de 0.0000022) */
+function compactNumber(v) {
+    const n = +v.toPrecision(6);
+    const plain = String(n), exp = n.toExponential().replace('e+', 'e');
+    return exp.length < plain.length ? exp : plain;
+}
+
+/** Puntos [[x, y]] como 'x:y,x:y' y de vuelta; un texto mal formado queda tal cual para el validador */
+const encodePoints = pts => pts.map(([x, y]) => `${compactNumber(x)}:${compactNumber(y)}`).join(',');
+
+function decodePoints(text) {
+    const pts = text.split(',').map(p => p.split(':'));
+    return pts.every(p => p.length === 2) ? pts.map(p => p.map(Number)) : text;
+}
+
+/** Ventana de la vista activa como 'x0_x1_y0_y1'; un eje en autoescala queda vacío ('0_3e-3__') */
+function encodeViewWindow(views) {
+    const w = views[state.vizMode];
+    if (!w || (!w.x && !w.y)) return '';
+    return [...(w.x || ['', '']), ...(w.y || ['', ''])].map(v => v === '' ? '' : compactNumber(v)).join('_');
+}
+
+function decodeViewWindow(text) {
+    const parts = text.split('_');
+    const axis  = (a, b) => a === '' && b === '' ? null : [Number(a), Number(b)];
+    return parts.length === 4 ? { x: axis(parts[0], parts[1]), y: axis(parts[2], parts[3]) } : text;
+}
+
+/** Hash compacto ('R=47&C=2.2e-6&t=parallel...') con la configuración actual */
+function encodePermalink() {
+    const params = new URLSearchParams();
+    Object.keys(PERMALINK_FIELDS).forEach(key => {
+        const [short, type] = PERMALINK_FIELDS[key];
+        if (PARASITIC_KEYS.includes(key) && !state.useParasitics) return;
+        const text = v => type === 'bool' ? (v ? '1' : '0') : type === 'num' ? compactNumber(v)
+                        : type === 'view' ? encodeViewWindow(v) : type === 'points' ? encodePoints(v) : v;
+        // La salida se omite si es la del preset en su topología
+        const base = key === 'output' ? presetOutput(state) : STATE_DEFAULTS[key];
+        // Comparación del texto: 10 · 1e-6 y 1e-5 son el mismo valor por defecto
+        if (text(state[key]) !== text(base)) params.set(short, text(state[key]));
+    });
+    return params.toString();
+}
+
+/** Hash → { values, errors } validados con el mismo esquema que la configuración guardada */
+function decodePermalink(hash) {
+    const byShort = Object.fromEntries(Object.keys(PERMALINK_FIELDS).map(k => [PERMALINK_FIELDS[k][0], k]));
+    const raw = {}, unknown = [];
+    new URLSearchParams(hash.replace(/^#/, '')).forEach((value, short) => {
+        const key = byShort[short];
+        if (!key) { unknown.push(`${short}: parámetro desconocido`); return; }
+        const type = PERMALINK_FIELDS[key][1];
+        raw[key] = type === 'num'  ? (value.trim() === '' ? NaN : Number(value))
+                 : type === 'bool' ? (value === '1' ? true : value === '0' ? false : value)
+                 : type === 'view' ? decodeViewWindow(value)
+                 : type === 'points' ? decodePoints(value)
+                 : value;
+    });
+    // La ventana del enlace es la de la vista que abre
+    if ('views' in raw) raw.views = { [raw.vizMode || STATE_DEFAULTS.vizMode]: raw.views };
+    // Sin salida explícita, la del preset del enlace (enlaces anteriores a la salida elegible)
+    if (!('output' in raw)) raw.output = presetOutput({ ...STATE_DEFAULTS, ...raw });
+    const { values, errors } = validateState(raw);
+    return { values, errors: unknown.concat(errors) };
+}
+
+/** Último hash escrito por la propia página: su hashchange no es un enlace nuevo */
+let _permalinkHash = null;
+
+/** Mantiene el hash al día sin añadir entradas al historial */
+function updatePermalink() {
+    const hash = _permalinkHash = encodePermalink();
+    const url  = location.pathname + location.search + (hash ? `#${hash}` : '');
+    try { history.replaceState(null, '', url); }
+    catch (e) { console.warn('No se pudo actualizar la URL:', e); }
+}
+
+/**
+ * Restaura el circuito desde el hash de la URL. Devuelve true si había enlace:
+ * en ese caso prevalece sobre la configuración guardada en el navegador.
+ */
+function loadPermalink() {
+    if (!location.hash || location.hash === '#') return false;
+    const { values, errors } = decodePermalink(location.hash);
+    if (!Object.keys(values).length && !errors.length) return false;
+    // Lo que el enlace no indica vuelve a su valor por defecto
+    Object.assign(state, JSON.parse(JSON.stringify(STATE_DEFAULTS)), values);
+    restoreUI();
+    if (errors.length) {
+        console.warn('Parámetros del enlace descartados:', errors);
+        showToast(`Circuito del enlace cargado; ${errors.length} parámetro(s) no válido(s) descartado(s)`);
+    } else {
+        showToast('Circuito cargado desde el enlace');
+    }
+    return true;
+}
+
+/** Enlace pegado en una pestaña ya abierta */
+function handleHashChange() {
+    if (location.hash.replace(/^#/, '') === _permalinkHash || !loadPermalink()) return;
+    Object.keys(UNIT_INPUTS).forEach(k => updateSliderRange(UNIT_INPUTS[k], state[k]));
+    updateAllValues();
+    updateQEquation();
+    updateZoomIndicator();
+}
+
+function copyPermalink() {
+    const drawer = document.getElementById('navDrawer');
+    if (drawer.classList.contains('active')) toggleNav();
+
+    updatePermalink();
+    const url = location.href;
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(url)
+            .then(() => showToast('Enlace copiado al portapapeles'))
+            .catch(() => window.prompt('Copia el enlace:', url));
+    } else {
+        window.prompt('Copia el enlace:', url);
+    }
+}
+
 /** Restaura todos los controles de la UI desde state */
 function restoreUI() {
     // Componentes numéricos con sus unidades guardadas
@@ -97,16 +562,21 @@ function restoreUI() {
     setInputWithUnit('amp',  state.amp  / state.unitAmp,  'unit-amp',  state.unitAmp);
 
     document.getElementById('topology').value = state.topology;
+    syncOutput();
+    renderOutputOptions();
 
+    document.getElementById('parasitic-toggle').classList.toggle('active', state.useParasitics);
+    document.getElementById('parasitic-controls').classList.toggle('hidden', !state.useParasitics);
     if (state.useParasitics) {
-        document.getElementById('parasitic-toggle').classList.add('active');
-        document.getElementById('parasitic-controls').classList.remove('hidden');
         setInputWithUnit('esr-c', state.esrC / state.unitEsrC, 'unit-esr-c', state.unitEsrC);
         setInputWithUnit('esl-c', state.eslC / state.unitEslC, 'unit-esl-c', state.unitEslC);
         setInputWithUnit('esr-l', state.esrL / state.unitEsrL, 'unit-esr-l', state.unitEsrL);
     }
 
     document.getElementById('show-fft').checked = state.showFFT;
+    document.getElementById('show-power').checked = state.showPower;
+    document.getElementById('target-pf').value = state.targetPF;
+    document.getElementById('fft-window').value = state.fftWindow;
     document.getElementById('normalize').checked = state.normalize;
 
     // Preset activo
@@ -118,9 +588,22 @@ function restoreUI() {
     document.querySelectorAll('.signal-btn').forEach(b => b.classList.remove('active'));
     const sBtn = document.getElementById(`btn-${state.signalType}`);
     if (sBtn) sBtn.classList.add('active');
+    syncSignalParams();
+
+    document.getElementById('btn-markers').classList.toggle('active', state.showMarkers);
+    document.getElementById('btn-asymptotes').classList.toggle('active', state.bodeAsymptotes);
+    document.getElementById('nyquist-quantity').value = state.nyquistQuantity;
+    document.getElementById('smith-z0').value = state.smithZ0;
+    document.getElementById('btn-admittance').classList.toggle('active', state.smithAdmittance);
+
+    // Pestaña de visualización activa
+    const vizTab = document.querySelector(`.tabs [onclick*="switchVizTab(this, '${state.vizMode}')"]`);
+    if (vizTab && !vizTab.classList.contains('active')) switchVizTab(vizTab, state.vizMode);
 
     // Slider de frecuencia logarítmico
     syncFreqSlider();
+    updateVizLegend();
+    renderToleranceForm();
 }
 
 function setInputWithUnit(inputId, displayValue, selectId, factorValue) {
@@ -138,10 +621,297 @@ function setInputWithUnit(inputId, displayValue, selectId, factorValue) {
     sel.dataset.unit = factorValue;
 }
 
+/** Guarda el estado de trabajo y abre la biblioteca para archivarlo con nombre */
 function saveSimulation() {
     saveState();
-    showToast('Simulación guardada');
-    if (navigator.vibrate) navigator.vibrate(50);
+    openLibrary(true);
+}
+
+/* ============================================================
+   BIBLIOTECA — simulaciones guardadas con nombre (IndexedDB)
+   ============================================================ */
+const LIBRARY_DB     = 'rlc-simulator';
+const LIBRARY_STORE  = 'simulations';
+const LIBRARY_FORMAT = 'rlc-library';
+
+let _libraryDB       = null;
+let _libraryEntries  = [];
+let _libraryRenaming = null;
+
+/** Promesa de una petición IndexedDB */
+function idbRequest(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror   = () => reject(req.error);
+    });
+}
+
+function openLibraryDB() {
+    if (_libraryDB) return Promise.resolve(_libraryDB);
+    if (!window.indexedDB) return Promise.reject(new Error('IndexedDB no disponible en este navegador'));
+    const req = indexedDB.open(LIBRARY_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(LIBRARY_STORE, { keyPath: 'id', autoIncrement: true });
+    return idbRequest(req).then(db => (_libraryDB = db));
+}
+
+/** Ejecuta fn(store) en una transacción; resuelve con el resultado de la petición al completarse */
+async function libraryTx(mode, fn) {
+    const db  = await openLibraryDB();
+    const tx  = db.transaction(LIBRARY_STORE, mode);
+    const req = fn(tx.objectStore(LIBRARY_STORE));
+    await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = tx.onabort = () => reject(tx.error);
+    });
+    return req ? req.result : undefined;
+}
+
+/** Entrada de la biblioteca con el estado actual */
+function librarySnapshot(name, notes = '') {
+    const now = Date.now();
+    return {
+        name, notes, created: now, updated: now,
+        schema: STATE_SCHEMA_VERSION, state: persistentState(),
+        results: { f0: state.f0, Q: state.Q, BW: state.BW }
+    };
+}
+
+/** f₀, Q y BW de un estado validado; los campos ausentes se toman del estado actual, como al cargarlo */
+function libraryResults(values) {
+    try {
+        const a = RLC.analyze({ ...circuitFromState(), ...values });
+        return { f0: a.f0, Q: a.Q, BW: a.BW };
+    } catch (e) {
+        return {};
+    }
+}
+
+function defaultLibraryName() {
+    return `RLC ${state.topology === 'parallel' ? 'paralelo' : 'serie'} · ${formatEng(state.f0, 'Hz')}`;
+}
+
+/** focusSave: al abrir desde «Guardar», nombre propuesto y foco en el formulario */
+function openLibrary(focusSave = false) {
+    const drawer = document.getElementById('navDrawer');
+    if (drawer.classList.contains('active')) toggleNav();
+
+    const name = document.getElementById('library-name');
+    if (focusSave || !name.value) name.value = defaultLibraryName();
+    _libraryRenaming = null;
+    openModal('libraryModal');
+    if (focusSave) name.select();
+    refreshLibrary();
+}
+
+async function refreshLibrary() {
+    try {
+        _libraryEntries = await libraryTx('readonly', store => store.getAll());
+        _libraryEntries.sort((a, b) => b.updated - a.updated);
+    } catch (e) {
+        console.warn('Error al leer la biblioteca:', e);
+        _libraryEntries = [];
+        document.getElementById('library-list').innerHTML =
+            `<p class="import-error">${escapeHTML(e.message)}</p>`;
+        return;
+    }
+    renderLibraryList();
+}
+
+/** Texto comparable sin mayúsculas ni tildes para la búsqueda */
+const searchKey = s => String(s).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+function renderLibraryList() {
+    const box   = document.getElementById('library-list');
+    const query = searchKey(document.getElementById('library-search').value.trim());
+    const shown = _libraryEntries.filter(e => !query || searchKey(`${e.name} ${e.notes}`).includes(query));
+
+    document.getElementById('library-count').textContent =
+        `${shown.length} de ${_libraryEntries.length} simulación(es)`;
+    if (!shown.length) {
+        box.innerHTML = `<p class="info-note">${_libraryEntries.length ? 'Ninguna coincide con la búsqueda.' : 'La biblioteca está vacía.'}</p>`;
+        return;
+    }
+
+    const date = ts => new Date(ts).toLocaleString('es-ES', { dateStyle: 'short', timeStyle: 'short' });
+    box.innerHTML = shown.map(e => {
+        const st = e.state || {}, r = e.results || {};
+        const title = _libraryRenaming === e.id
+            ? `<input type="text" id="library-rename" value="${escapeHTML(e.name)}" maxlength="60" aria-label="Nuevo nombre"
+                      onkeydown="if (event.key === 'Enter') this.blur(); if (event.key === 'Escape') cancelLibraryRename()"
+                      onblur="commitLibraryRename(${e.id}, this.value)">`
+            : `<span class="library-name">${escapeHTML(e.name)}</span>`;
+        return `
+            <div class="compare-slot library-entry">
+                <div class="compare-slot-header">
+                    ${title}
+                    <span class="info-note">${date(e.updated)}</span>
+                </div>
+                <div class="info-note">${st.topology === 'parallel' ? 'Paralelo' : 'Serie'} ·
+                    f₀ ${isNum(r.f0) ? formatEng(r.f0, 'Hz') : '—'} · Q ${isNum(r.Q) ? r.Q.toFixed(2) : '—'} ·
+                    creada ${date(e.created)}</div>
+                ${e.notes ? `<p class="library-notes">${escapeHTML(e.notes)}</p>` : ''}
+                <div class="compare-actions">
+                    <button class="btn btn-sm btn-primary"   onclick="loadLibraryEntry(${e.id})">Cargar</button>
+                    <button class="btn btn-sm btn-secondary" onclick="duplicateLibraryEntry(${e.id})">Duplicar</button>
+                    <button class="btn btn-sm btn-secondary" onclick="startLibraryRename(${e.id})">Renombrar</button>
+                    <button class="btn btn-sm btn-secondary" onclick="deleteLibraryEntry(${e.id})" aria-label="Eliminar ${escapeHTML(e.name)}">🗑️</button>
+                </div>
+            </div>`;
+    }).join('');
+
+    const rename = document.getElementById('library-rename');
+    if (rename) { rename.focus(); rename.select(); }
+}
+
+const findLibraryEntry = id => _libraryEntries.find(e => e.id === id);
+
+async function saveToLibrary() {
+    const name  = document.getElementById('library-name').value.trim() || defaultLibraryName();
+    const notes = document.getElementById('library-notes');
+    try {
+        await libraryTx('readwrite', store => store.add(librarySnapshot(name, notes.value.trim())));
+        notes.value = '';
+        showToast(`«${name}» guardada en la biblioteca`);
+        if (navigator.vibrate) navigator.vibrate(50);
+        refreshLibrary();
+    } catch (e) {
+        console.warn('Error al guardar en la biblioteca:', e);
+        showToast(`No se pudo guardar: ${e.message}`);
+    }
+}
+
+function loadLibraryEntry(id) {
+    const entry = findLibraryEntry(id);
+    if (!entry) return;
+    try {
+        const { values, errors } = validateState(migrateState({ schema: entry.schema, state: entry.state }).state);
+        applyStateValues(values);
+        saveState();
+        closeModal('libraryModal');
+        if (errors.length) console.warn(`Campos descartados de «${entry.name}»:`, errors);
+        showToast(errors.length
+            ? `«${entry.name}» cargada; ${errors.length} campo(s) descartado(s)`
+            : `«${entry.name}» cargada`);
+    } catch (e) {
+        console.warn('Error al cargar la simulación:', e);
+        showToast(`No se pudo cargar «${entry.name}»: ${e.message}`);
+    }
+}
+
+async function duplicateLibraryEntry(id) {
+    const entry = findLibraryEntry(id);
+    if (!entry) return;
+    const { id: _, ...copy } = entry;
+    const now = Date.now();
+    try {
+        await libraryTx('readwrite', store => store.add({ ...copy, name: `${entry.name} (copia)`, created: now, updated: now }));
+        refreshLibrary();
+    } catch (e) {
+        console.warn('Error al duplicar en la biblioteca:', e);
+        showToast(`No se pudo duplicar: ${e.message}`);
+    }
+}
+
+function startLibraryRename(id) {
+    _libraryRenaming = id;
+    renderLibraryList();
+}
+
+function cancelLibraryRename() {
+    _libraryRenaming = null;
+    renderLibraryList();
+}
+
+async function commitLibraryRename(id, value) {
+    if (_libraryRenaming !== id) return;
+    _libraryRenaming = null;
+    const entry = findLibraryEntry(id);
+    const name  = value.trim();
+    if (entry && name && name !== entry.name) {
+        try {
+            await libraryTx('readwrite', store => store.put({ ...entry, name, updated: Date.now() }));
+        } catch (e) {
+            console.warn('Error al renombrar en la biblioteca:', e);
+            showToast(`No se pudo renombrar: ${e.message}`);
+        }
+    }
+    refreshLibrary();
+}
+
+async function deleteLibraryEntry(id) {
+    const entry = findLibraryEntry(id);
+    if (!entry || !confirm(`¿Eliminar «${entry.name}» de la biblioteca?`)) return;
+    try {
+        await libraryTx('readwrite', store => store.delete(id));
+        showToast(`«${entry.name}» eliminada`);
+        refreshLibrary();
+    } catch (e) {
+        console.warn('Error al eliminar de la biblioteca:', e);
+        showToast(`No se pudo eliminar: ${e.message}`);
+    }
+}
+
+function exportLibrary() {
+    if (!_libraryEntries.length) { showToast('La biblioteca está vacía'); return; }
+    const data = {
+        format: LIBRARY_FORMAT, schema: STATE_SCHEMA_VERSION, timestamp: new Date().toISOString(),
+        entries: _libraryEntries.map(({ id, ...entry }) => entry)
+    };
+    downloadFile(JSON.stringify(data, null, 2), 'rlc_biblioteca.json', 'application/json');
+    showToast(`${_libraryEntries.length} simulación(es) exportada(s)`);
+}
+
+function openLibraryImport() {
+    const input = document.getElementById('library-file');
+    input.value = '';
+    input.click();
+}
+
+/** Añade las entradas de un archivo de biblioteca; cada estado se migra y valida como una configuración */
+function handleLibraryFile(input) {
+    const file = input.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = async () => {
+        try {
+            const data = JSON.parse(reader.result);
+            if (!data || data.format !== LIBRARY_FORMAT || !Array.isArray(data.entries)) {
+                throw new Error('El archivo no es una biblioteca de simulaciones');
+            }
+            const now = Date.now();
+            let discarded = 0;
+            const entries = data.entries.map(e => {
+                try {
+                    const { values, errors } = validateState(migrateState({ schema: e.schema, state: e.state }).state);
+                    discarded += errors.length;
+                    return {
+                        name:    String(e.name || defaultLibraryName()).slice(0, 60),
+                        notes:   String(e.notes || ''),
+                        created: isNum(e.created) ? e.created : now,
+                        updated: isNum(e.updated) ? e.updated : now,
+                        schema:  STATE_SCHEMA_VERSION, state: values,
+                        results: libraryResults(values)
+                    };
+                } catch (err) {
+                    console.warn(`Entrada «${e && e.name}» descartada:`, err);
+                    return null;
+                }
+            }).filter(Boolean);
+
+            await libraryTx('readwrite', store => { entries.forEach(e => store.add(e)); });
+            const skipped = data.entries.length - entries.length;
+            showToast(`${entries.length} simulación(es) importada(s)` +
+                (skipped ? `; ${skipped} descartada(s)` : '') +
+                (discarded ? `; ${discarded} campo(s) no válido(s)` : ''));
+            refreshLibrary();
+        } catch (e) {
+            console.warn('Error al importar la biblioteca:', e);
+            showToast(e instanceof SyntaxError ? 'JSON no válido' : e.message);
+        }
+    };
+    reader.onerror = () => showToast('No se pudo leer el archivo');
+    reader.readAsText(file);
 }
 
 /* ============================================================
@@ -191,13 +961,21 @@ function switchVizTab(btn, mode) {
     state.vizMode = mode;
 
     const titles = {
-        time:    '📈 Respuesta Temporal',
-        phasor:  '🔄 Diagrama Fasorial',
-        bode:    '📊 Diagrama de Bode',
-        nyquist: '🎯 Diagrama de Nyquist',
-        fft:     '🔊 Espectro de Frecuencias'
+        time:      '📈 Respuesta Temporal',
+        phasor:    '🔄 Diagrama Fasorial',
+        bode:      '📊 Diagrama de Bode',
+        nyquist:   '🎯 Diagrama de Nyquist',
+        smith:     '📡 Carta de Smith',
+        fft:       '🔊 Espectro de Frecuencias',
+        splane:    '✖️ Plano s — Polos y Ceros',
+        tolerance: '🎲 Análisis de Tolerancias',
+        sweep:     '📈 Métricas del Barrido'
     };
     document.getElementById('viz-title').textContent = titles[mode] || mode;
+    document.getElementById('btn-asymptotes').classList.toggle('hidden', mode !== 'bode');
+    document.getElementById('nyquist-quantity').classList.toggle('hidden', mode !== 'nyquist');
+    document.getElementById('smith-z0').classList.toggle('hidden', mode !== 'smith');
+    document.getElementById('btn-admittance').classList.toggle('hidden', mode !== 'smith');
 
     const canvas = document.getElementById('main-canvas');
     const svg    = document.getElementById('phasor-svg');
@@ -234,8 +1012,11 @@ function selectPreset(card, type) {
 
     state.R = p.R; state.L = p.L; state.C = p.C; state.topology = p.topology;
     state.unitL = p.unitL; state.unitC = p.unitC;
+    state.output = presetOutput(state);
 
     document.getElementById('topology').value = p.topology;
+    renderOutputOptions();
+    updateVizLegend();
     setInputWithUnit('R', p.R,             'unit-R', state.unitR);
     setInputWithUnit('L', p.L / p.unitL,   'unit-L', p.unitL);
     setInputWithUnit('C', p.C / p.unitC,   'unit-C', p.unitC);
@@ -252,79 +1033,944 @@ function selectPreset(card, type) {
 }
 
 /* ============================================================
-   SEÑAL DE EXCITACIÓN
+   MODO DISEÑO — diseño inverso a partir de especificaciones
    ============================================================ */
-function selectSignal(type) {
-    state.signalType = type;
-    document.querySelectorAll('.signal-btn').forEach(b => b.classList.remove('active'));
-    const btn = document.getElementById(`btn-${type}`);
-    if (btn) btn.classList.add('active');
-    drawCanvas();
-    saveState();
+let _designResult = null;
+
+function openDesignMode() {
+    const drawer = document.getElementById('navDrawer');
+    if (drawer.classList.contains('active')) toggleNav();
+
+    // Proponer como punto de partida el circuito actual
+    document.getElementById('design-preset').value   = state.activePreset;
+    document.getElementById('design-topology').value = state.topology;
+    setInputWithUnit('design-f0', state.f0 / pickUnitFactor('design-unit-f0', state.f0),
+                     'design-unit-f0', pickUnitFactor('design-unit-f0', state.f0));
+    document.getElementById('design-spec-value').value = +state.Q.toFixed(3);
+    document.getElementById('design-spec').value = 'Q';
+    updateDesignFixedUnits();
+
+    openModal('designModal');
+    computeDesign();
 }
 
-/* ============================================================
-   PARÁSITOS
-   ============================================================ */
-function toggleParasitics() {
-    state.useParasitics = !state.useParasitics;
-    const toggle   = document.getElementById('parasitic-toggle');
-    const controls = document.getElementById('parasitic-controls');
+/** Reconstruye las unidades del componente fijo copiando las del panel principal */
+function updateDesignFixedUnits() {
+    const comp = document.getElementById('design-fixed').value;
+    const src  = document.getElementById(`unit-${comp}`);
+    const sel  = document.getElementById('design-unit-fixed');
+    sel.innerHTML = src.innerHTML;
 
-    toggle.classList.toggle('active', state.useParasitics);
-    controls.classList.toggle('hidden', !state.useParasitics);
+    const factor = pickUnitFactor(`unit-${comp}`, state[comp]);
+    setInputWithUnit('design-fixed-value', state[comp] / factor, 'design-unit-fixed', factor);
+}
 
-    if (state.useParasitics) {
-        // Inicializar inputs parasíticos con valores actuales
-        setInputWithUnit('esr-c', state.esrC / state.unitEsrC, 'unit-esr-c', state.unitEsrC);
-        setInputWithUnit('esl-c', state.eslC / state.unitEslC, 'unit-esl-c', state.unitEslC);
-        setInputWithUnit('esr-l', state.esrL / state.unitEsrL, 'unit-esr-l', state.unitEsrL);
-        updateDisplayValue('esr-c');
-        updateDisplayValue('esl-c');
-        updateDisplayValue('esr-l');
+/** Elige el mayor factor de unidad de un <select> que deja el valor ≥ 1 */
+function pickUnitFactor(selectId, value) {
+    const sel = document.getElementById(selectId);
+    const factors = Array.from(sel.options, o => parseFloat(o.value)).sort((a, b) => a - b);
+    let best = factors[0];
+    factors.forEach(f => { if (Math.abs(value) >= f) best = f; });
+    return best;
+}
+
+function readDesignSpec() {
+    const f0 = parseFloat(document.getElementById('design-f0').value) *
+               parseFloat(document.getElementById('design-unit-f0').value);
+    const specType  = document.getElementById('design-spec').value;
+    const specValue = parseFloat(document.getElementById('design-spec-value').value);
+    const fixed      = document.getElementById('design-fixed').value;
+    const fixedValue = parseFloat(document.getElementById('design-fixed-value').value) *
+                       parseFloat(document.getElementById('design-unit-fixed').value);
+
+    if (!(f0 > 0) || !(specValue > 0) || !(fixedValue > 0)) return null;
+
+    // Q a partir de la especificación elegida: BW = f0/Q, ζ = 1/(2Q)
+    const Q = specType === 'BW'   ? f0 / specValue
+            : specType === 'zeta' ? 1 / (2 * specValue)
+            : specValue;
+
+    return {
+        f0, Q, fixed, fixedValue,
+        preset:   document.getElementById('design-preset').value,
+        topology: document.getElementById('design-topology').value,
+        series:   document.getElementById('design-series').value
+    };
+}
+
+function computeDesign() {
+    const spec = readDesignSpec();
+    const out  = document.getElementById('design-results');
+    if (!spec) {
+        _designResult = null;
+        out.innerHTML = '<p class="info-note">Introduzca valores positivos para f₀, la especificación y el componente fijo.</p>';
+        return;
     }
 
-    calculateResults();
-    drawCanvas();
-    saveState();
+    const ideal = RLC.designCircuit(spec.f0, spec.Q, spec.topology, spec.fixed, spec.fixedValue);
+    const std = {
+        R: RLC.nearestStandard(ideal.R, spec.series),
+        L: RLC.nearestStandard(ideal.L, spec.series),
+        C: RLC.nearestStandard(ideal.C, spec.series)
+    };
+    const achieved = RLC.evaluateDesign(std.R, std.L, std.C, spec.topology);
+    const dev = (a, b) => ((a - b) / b) * 100;
+
+    _designResult = { spec, ideal, std };
+
+    const units = { R: 'Ω', L: 'H', C: 'F' };
+    const rows = ['R', 'L', 'C'].map(k => `
+        <tr><td>${k}</td><td>${formatEng(ideal[k], units[k])}</td><td>${formatEng(std[k], units[k])}</td></tr>`).join('');
+
+    out.innerHTML = `
+        <table class="design-table">
+            <thead><tr><th></th><th>Ideal</th><th>${spec.series}</th></tr></thead>
+            <tbody>${rows}
+                <tr><td>f₀</td><td>${formatEng(spec.f0, 'Hz')}</td><td>${formatEng(achieved.f0, 'Hz')} <span class="design-dev">(${formatDeviation(dev(achieved.f0, spec.f0))})</span></td></tr>
+                <tr><td>Q</td><td>${spec.Q.toFixed(3)}</td><td>${achieved.Q.toFixed(3)} <span class="design-dev">(${formatDeviation(dev(achieved.Q, spec.Q))})</span></td></tr>
+                <tr><td>ζ</td><td>${(1 / (2 * spec.Q)).toFixed(4)}</td><td>${(1 / (2 * achieved.Q)).toFixed(4)}</td></tr>
+                <tr><td>BW</td><td>${formatEng(spec.f0 / spec.Q, 'Hz')}</td><td>${formatEng(achieved.f0 / achieved.Q, 'Hz')}</td></tr>
+            </tbody>
+        </table>`;
 }
 
-function toggleFFT() {
-    state.showFFT = document.getElementById('show-fft').checked;
-    if (state.vizMode === 'fft') drawCanvas();
+/** Carga el diseño (ideal o normalizado) en el estado y en el panel principal */
+function applyDesign(useStandard) {
+    if (!_designResult) { showToast('Diseño no válido'); return; }
+    const { spec, ideal, std } = _designResult;
+    const vals = useStandard ? std : ideal;
+
+    state.R = vals.R; state.L = vals.L; state.C = vals.C;
+    state.topology     = spec.topology;
+    state.activePreset = spec.preset;
+    state.output       = presetOutput(state);
+    renderOutputOptions();
+    updateVizLegend();
+
+    ['R', 'L', 'C'].forEach(id => {
+        const factor = pickUnitFactor(`unit-${id}`, vals[id]);
+        setInputWithUnit(id, vals[id] / factor, `unit-${id}`, factor);
+        saveUnitToState(id, factor);
+        updateSliderRange(id, factor);
+        updateDisplayValue(id);
+    });
+    document.getElementById('topology').value = spec.topology;
+
+    document.querySelectorAll('.preset-card').forEach(c => c.classList.remove('active'));
+    const pCard = document.getElementById(`preset-${spec.preset}`);
+    if (pCard) pCard.classList.add('active');
+
+    closeModal('designModal');
+    updateQEquation();
+    calculateResults();
+    drawCanvas();
     saveState();
+    showToast(useStandard ? `Valores ${spec.series} aplicados` : 'Valores ideales aplicados');
 }
 
 /* ============================================================
-   CONVERSIÓN DE UNIDADES
+   COMPARAR CIRCUITOS — configuraciones superpuestas en todas las vistas
    ============================================================ */
-function updateUnit(id) {
-    const input     = document.getElementById(id);
-    const unitSel   = document.getElementById(`unit-${id}`);
-    const oldFactor = parseFloat(unitSel.dataset.unit) || 1;
-    const newFactor = parseFloat(unitSel.value);
+let _defaultLegendHTML = null;
 
-    // Mantener el valor físico constante, sólo cambiar la presentación
-    const physVal    = parseFloat(input.value) * oldFactor;
-    const precision  = getPrecision(id);
-    input.value      = (physVal / newFactor).toFixed(precision);
+/** Copia los parámetros del circuito activo en una ranura de comparación */
+function circuitFromState(name = '') {
+    return {
+        name,
+        R: state.R, L: state.L, C: state.C,
+        topology:      state.topology,
+        activePreset:  state.activePreset,
+        output:        state.output,
+        useParasitics: state.useParasitics,
+        esrC: state.esrC, eslC: state.eslC, esrL: state.esrL
+    };
+}
 
-    unitSel.dataset.unit = newFactor;
-    saveUnitToState(id, newFactor);
-    updateSliderRange(id, newFactor);
-    updateValue(id);
+/**
+ * Circuitos a dibujar con sus resultados: las ranuras de comparación (cada una con
+ * su color) o el circuito activo (color null → cada vista usa sus colores propios).
+ */
+function getActiveCircuits() {
+    let list;
+    if (state.sweep.active) list = sweepCircuits();
+    else if (state.compare.active && state.compare.slots.length) list = state.compare.slots.map((s, i) => ({ ...s, color: COMPARE_COLORS[i] }));
+    else list = [{ ...circuitFromState(), color: null }];
+    return list.map(c => ({ ...c, res: computeCircuitResults(c) }));
 }
 
-function saveUnitToState(id, factor) {
-    const unitKeys = {
-        R: 'unitR', L: 'unitL', C: 'unitC', freq: 'unitFreq', amp: 'unitAmp',
-        'esr-c': 'unitEsrC', 'esl-c': 'unitEslC', 'esr-l': 'unitEsrL'
-    };
-    const key = unitKeys[id];
-    if (key) state[key] = factor;
+function openCompareMode() {
+    const drawer = document.getElementById('navDrawer');
+    if (drawer.classList.contains('active')) toggleNav();
+
+    if (!state.compare.slots.length) {
+        state.compare.slots.push(circuitFromState('A'), circuitFromState('B'));
+    }
+    renderCompareSlots();
+    openModal('compareModal');
 }
 
-function getPrecision(id) {
+function addCompareSlot() {
+    const slots = state.compare.slots;
+    if (slots.length >= MAX_COMPARE_SLOTS) {
+        showToast(`Máximo ${MAX_COMPARE_SLOTS} configuraciones`);
+        return;
+    }
+    slots.push(circuitFromState(String.fromCharCode(65 + slots.length)));
+    renderCompareSlots();
+    refreshCompare();
+}
+
+function removeCompareSlot(i) {
+    state.compare.slots.splice(i, 1);
+    if (state.compare.slots.length < 2) state.compare.active = false;
+    renderCompareSlots();
+    refreshCompare();
+}
+
+function updateCompareSlot(i, key, value) {
+    const slot = state.compare.slots[i];
+    if (!slot) return;
+    if (['esrC', 'esrL'].includes(key))  value = Math.max(parseFloat(value) || 0, 1e-6);
+    else if (key === 'eslC')             value = Math.max((parseFloat(value) || 0) * 1e-9, 1e-12);
+    slot[key] = value;
+    // Topología y preset llevan a la salida por defecto de la ranura
+    if (key === 'topology' || key === 'activePreset') slot.output = presetOutput(slot);
+    if (['useParasitics', 'topology', 'activePreset'].includes(key)) renderCompareSlots();
+    refreshCompare();
+}
+
+/** R, L o C de una ranura a partir de su input numérico y su selector de unidad */
+function updateCompareComponent(i, key) {
+    const slot   = state.compare.slots[i];
+    const factor = parseFloat(document.getElementById(`cmp-${i}-unit-${key}`).value);
+    const value  = parseFloat(document.getElementById(`cmp-${i}-${key}`).value) * factor;
+    if (!slot || !(value > 0)) return;
+    slot[key] = value;
+    refreshCompare();
+}
+
+/** Cambio de unidad en una ranura: se conserva el valor físico, como en updateUnit() */
+function updateCompareUnit(i, key) {
+    const slot = state.compare.slots[i];
+    const sel  = document.getElementById(`cmp-${i}-unit-${key}`);
+    if (!slot) return;
+    document.getElementById(`cmp-${i}-${key}`).value = +(slot[key] / parseFloat(sel.value)).toPrecision(6);
+}
+
+function renderCompareSlots() {
+    const box = document.getElementById('compare-slots');
+    const unitOptions = key => document.getElementById(`unit-${key}`).innerHTML;
+
+    box.innerHTML = state.compare.slots.map((s, i) => {
+        const comp = key => {
+            const factor = pickUnitFactor(`unit-${key}`, s[key]);
+            return `
+                <div class="input-row compare-field">
+                    <span class="compare-field-label">${key}</span>
+                    <input type="number" id="cmp-${i}-${key}" value="${+(s[key] / factor).toPrecision(6)}" min="0"
+                           oninput="updateCompareComponent(${i}, '${key}')" aria-label="${key} de ${escapeHTML(s.name)}">
+                    <select id="cmp-${i}-unit-${key}" onchange="updateCompareUnit(${i}, '${key}')"
+                            data-factor="${factor}">${unitOptions(key)}</select>
+                </div>`;
+        };
+        const parasitics = !s.useParasitics ? '' : `
+                <div class="input-row compare-field">
+                    <span class="compare-field-label" data-tooltip="ESR C (Ω) · ESL C (nH) · ESR L (Ω)">ESR/ESL</span>
+                    <input type="number" value="${s.esrC}" min="0" step="0.01" aria-label="ESR capacitor"
+                           oninput="updateCompareSlot(${i}, 'esrC', this.value)">
+                    <input type="number" value="${+(s.eslC * 1e9).toPrecision(6)}" min="0" step="0.1" aria-label="ESL capacitor"
+                           oninput="updateCompareSlot(${i}, 'eslC', this.value)">
+                    <input type="number" value="${s.esrL}" min="0" step="0.01" aria-label="ESR inductor"
+                           oninput="updateCompareSlot(${i}, 'esrL', this.value)">
+                </div>`;
+
+        return `
+            <div class="compare-slot" style="border-left-color:${COMPARE_COLORS[i]}">
+                <div class="compare-slot-header">
+                    <div class="legend-dot" style="background:${COMPARE_COLORS[i]};"></div>
+                    <input type="text" value="${escapeHTML(s.name)}" maxlength="16" aria-label="Nombre de la configuración"
+                           onchange="updateCompareSlot(${i}, 'name', this.value)">
+                    <button class="btn btn-icon" onclick="removeCompareSlot(${i})" aria-label="Eliminar configuración">✕</button>
+                </div>
+                <div class="input-row compare-field">
+                    <select onchange="updateCompareSlot(${i}, 'topology', this.value)">
+                        <option value="series"${s.topology === 'series' ? ' selected' : ''}>Serie</option>
+                        <option value="parallel"${s.topology === 'parallel' ? ' selected' : ''}>Paralelo</option>
+                    </select>
+                    <select onchange="updateCompareSlot(${i}, 'activePreset', this.value)">
+                        ${['lpf', 'hpf', 'bpf', 'notch'].map(p =>
+                            `<option value="${p}"${s.activePreset === p ? ' selected' : ''}>${p.toUpperCase()}</option>`).join('')}
+                    </select>
+                    <select onchange="updateCompareSlot(${i}, 'output', this.value)" aria-label="Salida de ${escapeHTML(s.name)}">
+                        ${outputOptionsHTML(s)}
+                    </select>
+                </div>
+                ${comp('R')}${comp('L')}${comp('C')}
+                <label class="checkbox-group compare-field">
+                    <input type="checkbox"${s.useParasitics ? ' checked' : ''}
+                           onchange="updateCompareSlot(${i}, 'useParasitics', this.checked)">
+                    <span>Modelo realista (ESR/ESL)</span>
+                </label>
+                ${parasitics}
+            </div>`;
+    }).join('');
+
+    // Los <select> de unidad se rellenan por innerHTML: fijar aquí la opción elegida
+    box.querySelectorAll('select[data-factor]').forEach(sel => {
+        for (const opt of sel.options) {
+            if (parseFloat(opt.value) === parseFloat(sel.dataset.factor)) sel.value = opt.value;
+        }
+    });
+
+    document.getElementById('btn-compare-add').disabled = state.compare.slots.length >= MAX_COMPARE_SLOTS;
+}
+
+function startCompare() {
+    if (state.compare.slots.length < 2) {
+        showToast('Se necesitan al menos dos configuraciones');
+        return;
+    }
+    state.compare.active = true;
+    state.sweep.active   = false;
+    closeModal('compareModal');
+    refreshCompare();
+    showToast(`Comparando ${state.compare.slots.length} circuitos`);
+}
+
+function exitCompare() {
+    state.compare.active = false;
+    refreshCompare();
+    showToast('Comparación finalizada');
+}
+
+function refreshCompare() {
+    updateVizLegend();
+    calculateResults();
+    drawCanvas();
+    saveState();
+}
+
+/** Leyenda de la vista: por defecto o una entrada por configuración comparada */
+function updateVizLegend() {
+    const legend = document.getElementById('viz-legend');
+    if (!legend) return;
+    if (_defaultLegendHTML === null) _defaultLegendHTML = legend.innerHTML;
+
+    if (state.sweep.active) {
+        const label = SWEEP_LABELS[sweepKey(state.sweep.param)];
+        legend.innerHTML = `<div class="legend-item"><div class="legend-dot" style="background:#0369a1;"></div><span>Entrada</span></div>` +
+            sweepCircuits().map(c =>
+                `<div class="legend-item"><div class="legend-dot" style="background:${c.color};"></div><span>${label} = ${c.name}</span></div>`
+            ).join('');
+        return;
+    }
+    if (!state.compare.active) {
+        legend.innerHTML = _defaultLegendHTML;
+        legend.querySelector('.legend-item:nth-child(2) span').textContent = `Salida · ${OUTPUT_SYMBOLS[state.output]}`;
+        return;
+    }
+    legend.innerHTML = `<div class="legend-item"><div class="legend-dot" style="background:#0369a1;"></div><span>Entrada</span></div>` +
+        state.compare.slots.map((s, i) =>
+            `<div class="legend-item"><div class="legend-dot" style="background:${COMPARE_COLORS[i]};"></div><span>${escapeHTML(s.name)}</span></div>`
+        ).join('');
+}
+
+/** Tabla comparativa con diferencias respecto a la primera configuración */
+function renderCompareResults() {
+    const box   = document.getElementById('compare-results');
+    const cards = document.querySelector('.results-scroll');
+    const rs    = document.getElementById('resonance-status');
+    if (!box) return;
+
+    const active = state.compare.active && state.compare.slots.length > 0;
+    box.classList.toggle('hidden', !active);
+    cards.classList.toggle('hidden', active);
+    rs.classList.toggle('hidden', active);
+    if (!active) return;
+
+    const circuits = getActiveCircuits();
+    const ref = circuits[0].res;
+    const pct = (v, r) => formatDeviation(((v - r) / r) * 100);
+    const abs = (v, r, unit) => `${v - r >= 0 ? '+' : ''}${(v - r).toFixed(1)} ${unit}`;
+
+    const metrics = [
+        { label: 'f₀',       fmt: r => formatEng(r.f0, 'Hz'),      delta: r => pct(r.f0, ref.f0) },
+        { label: 'Q',        fmt: r => r.Q.toFixed(2),             delta: r => pct(r.Q, ref.Q) },
+        { label: 'BW',       fmt: r => formatEng(r.BW, 'Hz'),      delta: r => pct(r.BW, ref.BW) },
+        { label: '|Z|',      fmt: r => formatEng(r.Z_mag, 'Ω'),    delta: r => pct(r.Z_mag, ref.Z_mag) },
+        { label: 'Ganancia', fmt: r => `${r.gain_dB.toFixed(1)} dB`, delta: r => abs(r.gain_dB, ref.gain_dB, 'dB') },
+        { label: 'Fase φ',   fmt: r => `${r.phase.toFixed(1)}°`,   delta: r => abs(r.phase, ref.phase, '°') }
+    ];
+
+    const head = circuits.map(c =>
+        `<th><span class="legend-dot" style="background:${c.color};"></span>${escapeHTML(c.name)}</th>`).join('');
+    const rows = metrics.map(m => `
+        <tr><td>${m.label}</td>${circuits.map((c, i) => `
+            <td>${m.fmt(c.res)}${i > 0 ? `<div class="compare-delta">Δ ${m.delta(c.res)}</div>` : ''}</td>`).join('')}
+        </tr>`).join('');
+
+    box.innerHTML = `
+        <table class="design-table compare-table">
+            <thead><tr><th></th>${head}</tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <div class="compare-actions">
+            <button class="btn btn-sm btn-secondary" onclick="openCompareMode()">✎ Editar</button>
+            <button class="btn btn-sm btn-secondary" onclick="exitCompare()">✕ Salir de comparación</button>
+        </div>`;
+}
+
+/* ============================================================
+   BARRIDO PARAMÉTRICO — familia de curvas variando un parámetro
+   ============================================================ */
+const SWEEP_UNITS  = { R: 'Ω', L: 'H', C: 'F', freq: 'Hz', amp: 'V', esrC: 'Ω', eslC: 'H', esrL: 'Ω' };
+const SWEEP_LABELS = { R: 'R', L: 'L', C: 'C', freq: 'f', amp: 'A', esrC: 'ESR C', eslC: 'ESL C', esrL: 'ESR L' };
+
+/** Clave del estado de un parámetro del barrido ('esr-c' → 'esrC'), como en updateValue() */
+const sweepKey = id => KEY_MAP[id] || id;
+
+/** Mensaje de error de unos ajustes de barrido, o null si son válidos */
+function sweepSettingsError({ param, from, to, steps, scale }) {
+    if (!SWEEP_PARAMS.includes(param)) return `parámetro no admitido: ${param}`;
+    if (!isNum(from) || !isNum(to) || from < 0 || to < 0) return 'los extremos deben ser números mayores o iguales que 0';
+    if (from === to) return 'los extremos deben ser distintos';
+    if (!['linear', 'log'].includes(scale)) return 'escala no válida (admitidas: linear, log)';
+    const positiveOnly = !PARASITIC_KEYS.includes(sweepKey(param));
+    if ((scale === 'log' || positiveOnly) && (from <= 0 || to <= 0)) {
+        return scale === 'log' ? 'la escala logarítmica requiere extremos positivos' : `${param} debe ser positivo`;
+    }
+    if (!Number.isInteger(steps) || steps < 2 || steps > SWEEP_MAX_STEPS) return `los pasos deben ser un entero entre 2 y ${SWEEP_MAX_STEPS}`;
+    return null;
+}
+
+/** Valores del barrido: progresión lineal o geométrica de `steps` puntos */
+function sweepValues({ from, to, steps, scale }) {
+    return Array.from({ length: steps }, (_, i) => {
+        const u = i / (steps - 1);
+        return scale === 'log' ? from * Math.pow(to / from, u) : from + u * (to - from);
+    });
+}
+
+/** Color del paso i de n: de violeta a naranja, lejos del azul de la entrada */
+const sweepColor = (i, n) => `hsl(${Math.round(270 - 240 * i / Math.max(n - 1, 1))}, 70%, 45%)`;
+
+/**
+ * Circuitos de la familia: el circuito actual con el parámetro barrido en cada valor.
+ * Frecuencia y amplitud van en c.signal; barrer un parásito activa el modelo realista.
+ */
+function sweepCircuits() {
+    const key = sweepKey(state.sweep.param);
+    const values = sweepValues(state.sweep);
+    return values.map((v, i) => {
+        const c = { ...circuitFromState(formatEng(v, SWEEP_UNITS[key])), color: sweepColor(i, values.length), sweepValue: v };
+        if (key === 'freq' || key === 'amp') c.signal = { ...currentSignal(), [key]: v };
+        else c[key] = v;
+        if (PARASITIC_KEYS.includes(key)) c.useParasitics = true;
+        return c;
+    });
+}
+
+function openSweepMode() {
+    const drawer = document.getElementById('navDrawer');
+    if (drawer.classList.contains('active')) toggleNav();
+
+    const sw = state.sweep;
+    document.getElementById('sweep-param').value = sw.param;
+    document.getElementById('sweep-steps').value = sw.steps;
+    document.getElementById('sweep-scale').value = sw.scale;
+    fillSweepRange(sw.param, sw.from, sw.to);
+    openModal('sweepModal');
+}
+
+/** Extremos del barrido en la unidad más adecuada del parámetro */
+function fillSweepRange(param, from, to) {
+    const sel = document.getElementById('sweep-unit');
+    sel.innerHTML = document.getElementById(`unit-${param}`).innerHTML;
+    const factor = pickUnitFactor(`unit-${param}`, Math.max(Math.abs(from), Math.abs(to)));
+    for (const opt of sel.options) opt.selected = parseFloat(opt.value) === factor;
+    document.getElementById('sweep-from').value = +(from / factor).toPrecision(6);
+    document.getElementById('sweep-to').value   = +(to / factor).toPrecision(6);
+}
+
+/** Nuevo parámetro: se propone de la mitad al doble del valor actual */
+function selectSweepParam(param) {
+    const v = state[sweepKey(param)];
+    if (v > 0) {
+        fillSweepRange(param, v / 2, v * 2);
+        document.getElementById('sweep-scale').value = 'log';
+    } else {
+        fillSweepRange(param, 0, 1);
+        document.getElementById('sweep-scale').value = 'linear';
+    }
+}
+
+function startSweep() {
+    const factor = parseFloat(document.getElementById('sweep-unit').value);
+    const sw = {
+        active: true,
+        param: document.getElementById('sweep-param').value,
+        from:  +(parseFloat(document.getElementById('sweep-from').value) * factor).toPrecision(12),
+        to:    +(parseFloat(document.getElementById('sweep-to').value) * factor).toPrecision(12),
+        steps: parseInt(document.getElementById('sweep-steps').value, 10),
+        scale: document.getElementById('sweep-scale').value
+    };
+    const err = sweepSettingsError(sw);
+    if (err) { showToast(`Barrido no válido: ${err}`); return; }
+
+    state.sweep = sw;
+    state.compare.active = false;
+    closeModal('sweepModal');
+    refreshCompare();
+    showToast(`Barrido de ${SWEEP_LABELS[sweepKey(sw.param)]} en ${sw.steps} pasos`);
+}
+
+function exitSweep() {
+    state.sweep.active = false;
+    refreshCompare();
+    showToast('Barrido finalizado');
+}
+
+/** Tabla del barrido en el panel de resultados: un renglón por valor del parámetro */
+function renderSweepResults() {
+    const box = document.getElementById('sweep-results');
+    if (!box) return;
+    box.classList.toggle('hidden', !state.sweep.active);
+    if (!state.sweep.active) return;
+    document.querySelector('.results-scroll').classList.add('hidden');
+    document.getElementById('resonance-status').classList.add('hidden');
+
+    const key  = sweepKey(state.sweep.param);
+    const rows = getActiveCircuits().map(c => `
+        <tr><td><span class="legend-dot" style="background:${c.color};"></span>${c.name}</td>
+            <td>${formatEng(c.res.f0, 'Hz')}</td><td>${c.res.Q.toFixed(2)}</td>
+            <td>${formatEng(c.res.BW, 'Hz')}</td><td>${c.res.gain_dB.toFixed(1)} dB</td></tr>`).join('');
+
+    box.innerHTML = `
+        <table class="design-table compare-table">
+            <thead><tr><th>${SWEEP_LABELS[key]}</th><th>f₀</th><th>Q</th><th>BW</th><th>Ganancia</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <div class="compare-actions">
+            <button class="btn btn-sm btn-secondary" onclick="openSweepMode()">✎ Editar</button>
+            <button class="btn btn-sm btn-secondary" onclick="exitSweep()">✕ Salir del barrido</button>
+        </div>`;
+}
+
+/* ============================================================
+   TOLERANCIAS — Monte Carlo y peor caso sobre R, L, C y parásitos
+   ============================================================ */
+const TOLERANCE_STEPS  = [0, 1, 2, 5, 10, 20];
+const TOLERANCE_LABELS = { R: 'R', L: 'L', C: 'C', esrC: 'ESR C', eslC: 'ESL C', esrL: 'ESR L' };
+const METRIC_LABELS    = { f0: 'f₀', Q: 'Q', BW: 'BW' };
+const METRIC_UNITS     = { f0: 'Hz', Q: '', BW: 'Hz' };
+
+let _toleranceResult = null;   // { key, analysis } del último análisis
+
+/** Identifica el circuito y los ajustes analizados, para detectar resultados desfasados */
+function toleranceKey() {
+    const t = state.tolerance;
+    return JSON.stringify([circuitFromState(), t.parts, t.trials, t.seed]);
+}
+
+const formatMetric = (k, v) => METRIC_UNITS[k] ? formatEng(v, METRIC_UNITS[k]) : (+v.toPrecision(3)).toString();
+
+/** Rellena la pestaña de tolerancias desde state.tolerance */
+function renderToleranceForm() {
+    const t = state.tolerance;
+    document.getElementById('tolerance-parts').innerHTML = RLC.TOLERANCE_KEYS.map(k => {
+        const p     = t.parts[k];
+        const steps = [...new Set([...TOLERANCE_STEPS, p.tol])].sort((a, b) => a - b);
+        return `
+        <tr><td>${TOLERANCE_LABELS[k]}</td>
+            <td><select onchange="updateTolerancePart('${k}', 'tol', this.value)" aria-label="Tolerancia de ${TOLERANCE_LABELS[k]}">
+                ${steps.map(v => `<option value="${v}"${v === p.tol ? ' selected' : ''}>${v} %</option>`).join('')}
+            </select></td>
+            <td><select onchange="updateTolerancePart('${k}', 'dist', this.value)" aria-label="Distribución de ${TOLERANCE_LABELS[k]}">
+                <option value="uniform"${p.dist === 'uniform' ? ' selected' : ''}>Uniforme</option>
+                <option value="gaussian"${p.dist === 'gaussian' ? ' selected' : ''}>Gaussiana</option>
+            </select></td></tr>`;
+    }).join('');
+
+    document.getElementById('tolerance-trials').value = t.trials;
+    document.getElementById('tolerance-seed').value   = t.seed;
+    document.getElementById('tolerance-spec').innerHTML = RLC.TOLERANCE_METRICS.map(k => `
+        <div class="input-row tolerance-spec-row">
+            <span class="compare-field-label">${METRIC_LABELS[k]}${METRIC_UNITS[k] ? ` (${METRIC_UNITS[k]})` : ''}</span>
+            ${[0, 1].map(i => `<input type="number" min="0" step="any" value="${t.spec[k][i] ?? ''}"
+                placeholder="${i ? 'máx' : 'mín'}" onchange="updateToleranceSpec('${k}', ${i}, this)"
+                aria-label="${METRIC_LABELS[k]} ${i ? 'máximo' : 'mínimo'}">`).join('')}
+        </div>`).join('');
+}
+
+function updateTolerancePart(key, field, value) {
+    state.tolerance.parts[key][field] = field === 'tol' ? parseFloat(value) : value;
+    saveState();
+}
+
+function updateToleranceSetting(field, value) {
+    const [lo, hi] = field === 'trials' ? [TOLERANCE_MIN_TRIALS, TOLERANCE_MAX_TRIALS] : [0, 0xFFFFFFFF];
+    const v = parseInt(value, 10);
+    if (Number.isFinite(v)) state.tolerance[field] = Math.min(hi, Math.max(lo, v));
+    document.getElementById(`tolerance-${field}`).value = state.tolerance[field];
+    saveState();
+}
+
+/** Límite de la especificación (i = 0 mínimo, 1 máximo); vacío = sin límite */
+function updateToleranceSpec(metric, i, input) {
+    const range = state.tolerance.spec[metric];
+    const v = input.value === '' ? null : parseFloat(input.value);
+    const other = range[1 - i];
+    if (v !== null && (!Number.isFinite(v) || (other !== null && (i ? v < other : v > other)))) {
+        showToast('Límite no válido: el mínimo no puede superar al máximo');
+        input.value = range[i] ?? '';
+        return;
+    }
+    range[i] = v;
+    if (_toleranceResult) renderToleranceResults();
+    saveState();
+}
+
+function runToleranceAnalysis() {
+    const t = state.tolerance;
+    const analysis = RLC.toleranceAnalysis(circuitFromState(), t.parts, { trials: t.trials, seed: t.seed });
+    _toleranceResult = { key: toleranceKey(), analysis };
+    renderToleranceResults();
+
+    const vizTab = document.querySelector(`.tabs [onclick*="switchVizTab(this, 'tolerance')"]`);
+    if (state.vizMode !== 'tolerance') switchVizTab(vizTab, 'tolerance');
+    else drawCanvas();
+    saveState();
+    showToast(`${t.trials} ensayos de Monte Carlo y ${analysis.worst.corners} esquinas analizados`);
+}
+
+/** Tabla de dispersión (nominal, media ± σ, extremos de Monte Carlo y peor caso) y rendimiento */
+function renderToleranceResults() {
+    const out = document.getElementById('tolerance-results');
+    if (!_toleranceResult) { out.innerHTML = ''; return; }
+    const a = _toleranceResult.analysis;
+    const y = RLC.toleranceYield(a.samples, state.tolerance.spec);
+    const hasSpec = RLC.TOLERANCE_METRICS.some(k => state.tolerance.spec[k].some(v => v !== null));
+
+    const rows = RLC.TOLERANCE_METRICS.map(k => {
+        const st = a.stats[k], f = v => formatMetric(k, v);
+        return `
+        <tr><td>${METRIC_LABELS[k]}</td><td>${f(a.nominal[k])}</td>
+            <td>${f(st.mean)}<div class="compare-delta">σ ${(st.std / st.mean * 100).toFixed(2)} %</div></td>
+            <td>${f(st.min)}<div class="compare-delta">${f(st.max)}</div></td>
+            <td>${f(a.worst[k][0])}<div class="compare-delta">${f(a.worst[k][1])}</div></td></tr>`;
+    }).join('');
+
+    out.innerHTML = `
+        <table class="design-table mt-sm">
+            <thead><tr><th></th><th>Nominal</th><th>Media</th><th>MC mín/máx</th><th>Peor caso</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <p class="step-note">${hasSpec
+            ? `Rendimiento: <strong>${(y.fraction * 100).toFixed(1)} %</strong> (${y.pass} de ${y.total} ensayos cumplen la especificación)`
+            : 'Sin especificación: introduzca límites para calcular el rendimiento'}${
+            _toleranceResult.key !== toleranceKey() ? ' · <strong>resultados desfasados</strong>: el circuito o los ajustes han cambiado' : ''}.</p>`;
+}
+
+/* ============================================================
+   SEÑAL DE EXCITACIÓN
+   ============================================================ */
+function selectSignal(type) {
+    state.signalType = type;
+    document.querySelectorAll('.signal-btn').forEach(b => b.classList.remove('active'));
+    const btn = document.getElementById(`btn-${type}`);
+    if (btn) btn.classList.add('active');
+    syncSignalParams();
+    renderStepMetrics();
+    drawCanvas();
+    saveState();
+}
+
+/**
+ * Parámetros del generador: campo de state → [id del input, tipo]. 'num' es un número
+ * tal cual, 'pct' un porcentaje y 'eng' un valor con sufijo de ingeniería (10u, 2.2k).
+ */
+const SIGNAL_PARAMS = {
+    sigOffset: ['sig-offset', 'num'],
+    sigPhase:  ['sig-phase',  'num'],
+    sigDuty:   ['sig-duty',   'pct'],
+    sigRise:   ['sig-rise',   'eng'],
+    sigFall:   ['sig-fall',   'eng'],
+    chirpEnd:  ['chirp-end',  'eng'],
+    chirpTime: ['chirp-time', 'eng'],
+    dampTau:   ['damp-tau',   'eng']
+};
+
+/** Rellena los parámetros del generador y muestra sólo los que usa la señal activa */
+function syncSignalParams() {
+    Object.keys(SIGNAL_PARAMS).forEach(key => {
+        const [id, kind] = SIGNAL_PARAMS[key];
+        const v = state[key];
+        document.getElementById(id).value = kind === 'pct' ? +(v * 100).toPrecision(6)
+                                          : kind === 'eng' ? RLC.formatSpiceValue(v) : v;
+    });
+    document.getElementById('chirp-log').checked = state.chirpLog;
+    document.querySelectorAll('#signal-params [data-signals]').forEach(el => {
+        el.classList.toggle('hidden', !el.dataset.signals.split(' ').includes(state.signalType));
+    });
+}
+
+function updateSignalParam(key) {
+    const [id, kind] = SIGNAL_PARAMS[key];
+    const input = document.getElementById(id);
+    const text  = input.value.trim();
+    const v = kind === 'eng' ? RLC.parseSpiceValue(text) : parseFloat(text) / (kind === 'pct' ? 100 : 1);
+    const error = STATE_SCHEMA[key](v);
+    if (error) {
+        showToast(`${input.getAttribute('aria-label')}: ${error}`);
+        syncSignalParams();
+        return;
+    }
+    state[key] = v;
+    syncSignalParams();
+    renderStepMetrics();
+    drawCanvas();
+    saveState();
+}
+
+function toggleChirpLog() {
+    state.chirpLog = document.getElementById('chirp-log').checked;
+    drawCanvas();
+    saveState();
+}
+
+/** Señal de excitación actual en el formato de RLC.timeResponse (ver RLC.inputFunction) */
+function currentSignal() {
+    return {
+        type: state.signalType, freq: state.freq, amp: state.amp,
+        offset: state.sigOffset, phase: state.sigPhase, duty: state.sigDuty,
+        rise: state.sigRise, fall: state.sigFall,
+        freqEnd: state.chirpEnd, sweepTime: state.chirpTime, sweepLog: state.chirpLog,
+        decay: state.dampTau, points: state.customWave
+    };
+}
+
+/** Escalón ideal (sin offset ni subida): el único sobre el que se miden las métricas del escalón */
+const isIdealStep = () => state.signalType === 'step' && !state.sigOffset && !state.sigRise;
+
+/* ── Forma de onda personalizada: editor de un periodo normalizado ── */
+const CUSTOM_WAVE_MAX = 256;   // puntos como máximo (los CSV más largos se diezman)
+const WAVE_GRAB = 8;           // px para quitar un punto con un clic encima
+
+let _waveDraft = null;
+
+function openWaveEditor() {
+    _waveDraft = state.customWave.map(p => p.slice());
+    document.getElementById('wave-csv').value = '';
+    openModal('waveModal');
+    drawWaveEditor();
+}
+
+/** Punto del canvas del editor ↔ (x, y) normalizados, con 10 px de margen */
+function waveEditorMap(canvas) {
+    const W = canvas.width, H = canvas.height, m = 10;
+    return {
+        toPx:   (x, y) => ({ x: m + x * (W - 2 * m), y: H / 2 - y * (H / 2 - m) }),
+        fromPx: (px, py) => ({
+            x: Math.min(Math.max((px - m) / (W - 2 * m), 0), 1),
+            y: Math.min(Math.max((H / 2 - py) / (H / 2 - m), -1), 1)
+        })
+    };
+}
+
+function drawWaveEditor() {
+    const canvas = document.getElementById('wave-canvas');
+    const ctx = canvas.getContext('2d');
+    const colors = getThemeColors();
+    const map = waveEditorMap(canvas);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    ctx.strokeStyle = colors.grid; ctx.lineWidth = 1;
+    ctx.beginPath();
+    [-1, -0.5, 0, 0.5, 1].forEach(y => {
+        const a = map.toPx(0, y), b = map.toPx(1, y);
+        ctx.moveTo(a.x, a.y); ctx.lineTo(b.x, b.y);
+    });
+    [0, 0.25, 0.5, 0.75, 1].forEach(x => {
+        const a = map.toPx(x, -1), b = map.toPx(x, 1);
+        ctx.moveTo(a.x, a.y); ctx.lineTo(b.x, b.y);
+    });
+    ctx.stroke();
+
+    // La forma tal como la ve el simulador (incluido el tramo de cierre del periodo)
+    const u = RLC.inputFunction({ type: 'custom', freq: 1, amp: 1, points: _waveDraft });
+    ctx.strokeStyle = '#0369a1'; ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let i = 0; i <= 400; i++) {
+        const p = map.toPx(i / 400, u(i / 400 - 1e-9));
+        i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y);
+    }
+    ctx.stroke();
+
+    ctx.fillStyle = '#dc2626';
+    _waveDraft.forEach(([x, y]) => {
+        const p = map.toPx(x, y);
+        ctx.beginPath(); ctx.arc(p.x, p.y, 4, 0, 2 * Math.PI); ctx.fill();
+    });
+}
+
+/** Clic en el editor: quita el punto bajo el puntero o añade uno nuevo */
+function waveEditorClick(e) {
+    const canvas = document.getElementById('wave-canvas');
+    const rect = canvas.getBoundingClientRect();
+    const px = (e.clientX - rect.left) * canvas.width / rect.width;
+    const py = (e.clientY - rect.top) * canvas.height / rect.height;
+    const map = waveEditorMap(canvas);
+    const hit = _waveDraft.findIndex(([x, y]) => {
+        const p = map.toPx(x, y);
+        return Math.hypot(p.x - px, p.y - py) <= WAVE_GRAB;
+    });
+    if (hit >= 0) {
+        if (_waveDraft.length <= 2) { showToast('La forma necesita al menos 2 puntos'); return; }
+        _waveDraft.splice(hit, 1);
+    } else {
+        if (_waveDraft.length >= CUSTOM_WAVE_MAX) { showToast(`Máximo ${CUSTOM_WAVE_MAX} puntos`); return; }
+        const q = map.fromPx(px, py);
+        _waveDraft.push([+q.x.toFixed(4), +q.y.toFixed(4)]);
+        _waveDraft.sort((a, b) => a[0] - b[0]);
+    }
+    drawWaveEditor();
+}
+
+function clearWaveEditor() {
+    _waveDraft = [[0, 0], [1, 0]];
+    drawWaveEditor();
+}
+
+/** Diezma una lista de puntos hasta CUSTOM_WAVE_MAX, conservando el último */
+function decimateWave(rows) {
+    const step = Math.ceil(rows.length / CUSTOM_WAVE_MAX);
+    return rows.filter((r, i) => i % step === 0 || i === rows.length - 1).slice(-CUSTOM_WAVE_MAX);
+}
+
+/**
+ * CSV de un periodo (t, v) en s y V, separado por comas, punto y coma o tabuladores;
+ * las líneas que no empiezan por dos números (cabeceras) se ignoran. Devuelve
+ * { points, period, amp } con los puntos normalizados, o lanza un Error.
+ */
+function parseWaveCSV(text) {
+    const rows = text.split(/\r?\n/)
+        .map(line => line.trim().split(/[\s,;]+/).map(Number))
+        .filter(r => r.length >= 2 && isNum(r[0]) && isNum(r[1]));
+    if (rows.length < 2) throw new Error('Se necesitan al menos 2 filas t, v');
+    rows.sort((a, b) => a[0] - b[0]);
+    const t0 = rows[0][0], period = rows[rows.length - 1][0] - t0;
+    if (!(period > 0)) throw new Error('Los tiempos deben abarcar un intervalo positivo');
+    const amp = Math.max(...rows.map(r => Math.abs(r[1])));
+    if (!(amp > 0)) throw new Error('La señal es nula');
+    const kept = decimateWave(rows);
+    return {
+        points: kept.map(([t, v]) => [+((t - t0) / period).toPrecision(6), +(v / amp).toPrecision(6)]),
+        period, amp
+    };
+}
+
+/** Carga el CSV pegado: fija también la frecuencia (1/periodo) y la amplitud (pico) */
+function loadWaveCSV() {
+    try {
+        const w = parseWaveCSV(document.getElementById('wave-csv').value);
+        _waveDraft = w.points;
+        state.freq = 1 / w.period;
+        state.amp  = w.amp;
+        ['freq', 'amp'].forEach(id => {
+            const factor = pickUnitFactor(`unit-${id}`, state[id]);
+            saveUnitToState(id, factor);
+            updateSliderRange(id, factor);
+        });
+        restoreUI();
+        updateAllValues();
+        drawWaveEditor();
+        showToast(`CSV cargado: ${w.points.length} puntos · f = ${formatEng(state.freq, 'Hz')} · ${formatEng(w.amp, 'V')} de pico`);
+    } catch (e) {
+        console.warn('CSV de forma de onda no válido:', e);
+        showToast(`CSV no válido: ${e.message}`);
+    }
+}
+
+function applyWaveEditor() {
+    state.customWave = _waveDraft;
+    closeModal('waveModal');
+    selectSignal('custom');
+}
+
+/* ============================================================
+   PARÁSITOS
+   ============================================================ */
+function toggleParasitics() {
+    state.useParasitics = !state.useParasitics;
+    const toggle   = document.getElementById('parasitic-toggle');
+    const controls = document.getElementById('parasitic-controls');
+
+    toggle.classList.toggle('active', state.useParasitics);
+    controls.classList.toggle('hidden', !state.useParasitics);
+
+    if (state.useParasitics) {
+        // Inicializar inputs parasíticos con valores actuales
+        setInputWithUnit('esr-c', state.esrC / state.unitEsrC, 'unit-esr-c', state.unitEsrC);
+        setInputWithUnit('esl-c', state.eslC / state.unitEslC, 'unit-esl-c', state.unitEslC);
+        setInputWithUnit('esr-l', state.esrL / state.unitEsrL, 'unit-esr-l', state.unitEsrL);
+        updateDisplayValue('esr-c');
+        updateDisplayValue('esl-c');
+        updateDisplayValue('esr-l');
+    }
+
+    calculateResults();
+    drawCanvas();
+    saveState();
+}
+
+function toggleFFT() {
+    state.showFFT = document.getElementById('show-fft').checked;
+    if (state.vizMode === 'time') drawCanvas();
+    saveState();
+}
+
+function togglePower() {
+    state.showPower = document.getElementById('show-power').checked;
+    if (state.vizMode === 'time') drawCanvas();
+    saveState();
+}
+
+function updateFFTWindow() {
+    state.fftWindow = document.getElementById('fft-window').value;
+    if (state.vizMode === 'time' || state.vizMode === 'fft') drawCanvas();
+    saveState();
+}
+
+/* ============================================================
+   CONVERSIÓN DE UNIDADES
+   ============================================================ */
+function updateUnit(id) {
+    const input     = document.getElementById(id);
+    const unitSel   = document.getElementById(`unit-${id}`);
+    const oldFactor = parseFloat(unitSel.dataset.unit) || 1;
+    const newFactor = parseFloat(unitSel.value);
+
+    // Mantener el valor físico constante, sólo cambiar la presentación
+    const physVal    = parseFloat(input.value) * oldFactor;
+    const precision  = getPrecision(id);
+    input.value      = (physVal / newFactor).toFixed(precision);
+
+    unitSel.dataset.unit = newFactor;
+    saveUnitToState(id, newFactor);
+    updateSliderRange(id, newFactor);
+    updateValue(id);
+}
+
+function saveUnitToState(id, factor) {
+    const unitKeys = {
+        R: 'unitR', L: 'unitL', C: 'unitC', freq: 'unitFreq', amp: 'unitAmp',
+        'esr-c': 'unitEsrC', 'esl-c': 'unitEslC', 'esr-l': 'unitEsrL'
+    };
+    const key = unitKeys[id];
+    if (key) state[key] = factor;
+}
+
+function getPrecision(id) {
     if (['L', 'C', 'esl-c'].includes(id)) return 4;
     if (id === 'freq') return 3;
     if (['esr-c', 'esr-l'].includes(id)) return 3;
@@ -435,6 +2081,9 @@ function updateAllValues() {
 function updateCircuit() {
     state.topology = document.getElementById('topology').value;
     state.normalize = document.getElementById('normalize').checked;
+    syncOutput();
+    renderOutputOptions();
+    updateVizLegend();
     updateQEquation();
     calculateResults();
     drawCanvas();
@@ -442,90 +2091,216 @@ function updateCircuit() {
 }
 
 /* ============================================================
-   ECUACIÓN DE Q — actualiza según topología activa
+   SALIDA — magnitud observada en Bode, Temporal, FFT y resultados
    ============================================================ */
-function updateQEquation() {
-    const el = document.getElementById('eq-Q');
-    if (!el) return;
-    if (state.topology === 'parallel') {
-        el.innerHTML = '<strong>Q</strong> = R√(C/L)';
-    } else {
-        el.innerHTML = '<strong>Q</strong> = (1/R)√(L/C)';
-    }
+const OUTPUT_SYMBOLS = {
+    vC: 'V_C', vL: 'V_L', vR: 'V_R', vLC: 'V_L + V_C', i: 'I',
+    v:  'V',   iL: 'I_L', iC: 'I_C', iR: 'I_R', iLC: 'I_L + I_C'
+};
+const OUTPUT_LABELS = {
+    vC:  'V_C — condensador',
+    vL:  'V_L — bobina',
+    vR:  'V_R — resistencia',
+    vLC: 'V_L + V_C — rama LC',
+    i:   'I — corriente de la fuente',
+    v:   'V — tensión del tanque',
+    iL:  'I_L — bobina',
+    iC:  'I_C — condensador',
+    iR:  'I_R — resistencia',
+    iLC: 'I_L + I_C — rama LC'
+};
+
+/** Salida que fija el preset del circuito en su topología */
+function presetOutput(c) {
+    const topo = c.topology === 'parallel' ? 'parallel' : 'series';
+    return RLC.PRESET_OUTPUTS[topo][c.activePreset] || RLC.OUTPUTS[topo][0];
 }
 
-/* ============================================================
-   CÁLCULOS PRINCIPALES
-   ============================================================ */
-function calculateResults() {
-    const R = Math.max(state.R, 1e-6);
-    const C = Math.max(state.C, 1e-12);
-    let   L = Math.max(state.L, 1e-12);
-
-    // Efectos parásitos
-    let R_eff = R, L_eff = L, C_eff = C;
-    if (state.useParasitics) {
-        R_eff = Math.max(R + state.esrC + state.esrL, 1e-6);
-        L_eff = Math.max(L + state.eslC, 1e-12);
-    }
+/** Si la topología no ofrece la salida elegida, se vuelve a la del preset */
+function syncOutput() {
+    if (!RLC.OUTPUTS[state.topology].includes(state.output)) state.output = presetOutput(state);
+}
 
-    // Frecuencia de resonancia
-    const f0 = 1 / (2 * Math.PI * Math.sqrt(L_eff * C_eff));
-    state.f0 = f0;
+/** Nombre de la curva de salida de un circuito en las lecturas de los cursores */
+function outputName(c) {
+    return `Salida ${OUTPUT_SYMBOLS[RLC.circuitOutput(c)]}`;
+}
 
-    // FIX: Factor Q correcto según topología
-    const Q = (state.topology === 'parallel')
-        ? R_eff * Math.sqrt(C_eff / L_eff)          // Q paralelo
-        : (1 / R_eff) * Math.sqrt(L_eff / C_eff);   // Q serie
+function outputOptionsHTML(c) {
+    const current = RLC.circuitOutput(c);
+    return RLC.OUTPUTS[c.topology].map(o =>
+        `<option value="${o}"${o === current ? ' selected' : ''}>${OUTPUT_LABELS[o]}${
+            o === presetOutput(c) ? ' (preset)' : ''}</option>`).join('');
+}
 
-    state.Q  = Q;
-    state.BW = f0 / Q;
+/** Opciones del selector de salida según la topología activa */
+function renderOutputOptions() {
+    const sel = document.getElementById('output');
+    if (sel) sel.innerHTML = outputOptionsHTML(state);
+}
 
-    // Impedancia a frecuencia de operación
-    const w  = 2 * Math.PI * Math.max(state.freq, 0.01);
-    const XL = w * L_eff;
-    const XC = 1 / (w * C_eff);
-    let Z_mag, phase;
+function updateOutput() {
+    state.output = document.getElementById('output').value;
+    updateVizLegend();
+    calculateResults();
+    drawCanvas();
+    saveState();
+}
 
-    if (state.topology === 'series') {
-        Z_mag = Math.sqrt(R_eff * R_eff + Math.pow(XL - XC, 2));
-        phase = Math.atan2(XL - XC, R_eff) * 180 / Math.PI;
+/* ============================================================
+   ECUACIÓN DE Q — actualiza según topología activa
+   ============================================================ */
+function updateQEquation() {
+    const el = document.getElementById('eq-Q');
+    if (!el) return;
+    if (state.topology === 'parallel') {
+        el.innerHTML = '<strong>Q</strong> = R√(C/L)';
     } else {
-        const Y_R = 1 / R_eff, Y_L = 1 / XL, Y_C = 1 / XC;
-        const Y_mag = Math.sqrt(Y_R * Y_R + Math.pow(Y_C - Y_L, 2));
-        Z_mag = 1 / Y_mag;
-        phase = -Math.atan2(Y_C - Y_L, Y_R) * 180 / Math.PI;
+        el.innerHTML = '<strong>Q</strong> = (1/R)√(L/C)';
     }
+}
 
-    // FIX: Ganancia H según preset activo
-    const u  = state.freq / f0;     // relación normalizada f/f0
-    const Qu = Q;
-    const gain_dB = computeGaindB(u, Qu);
+/* ============================================================
+   CÁLCULOS PRINCIPALES
+   ============================================================ */
+function calculateResults() {
+    const res = computeCircuitResults(state);
+    state.f0 = res.f0;
+    state.Q  = res.Q;
+    state.BW = res.BW;
 
     // Actualizar UI
-    document.getElementById('res-f0').innerHTML    = formatFrequency(f0);
-    document.getElementById('res-Q').textContent   = Q.toFixed(2);
-    document.getElementById('res-BW').innerHTML    = formatFrequency(state.BW);
-    document.getElementById('res-Z').innerHTML     = formatImpedance(Z_mag);
-    document.getElementById('res-gain').innerHTML  = `${gain_dB.toFixed(1)}<span class="result-unit">dB</span>`;
-    document.getElementById('res-phase').textContent = `${phase.toFixed(1)}°`;
+    document.getElementById('res-f0').innerHTML    = formatFrequency(res.f0);
+    document.getElementById('res-Q').textContent   = res.Q.toFixed(2);
+    document.getElementById('res-BW').innerHTML    = formatFrequency(res.BW);
+    document.getElementById('res-Z').innerHTML     = formatImpedance(res.Z_mag);
+    document.getElementById('res-gain').innerHTML  = `${res.gain_dB.toFixed(1)}<span class="result-unit">dB</span>`;
+    document.getElementById('res-phase').textContent = `${res.phase.toFixed(1)}°`;
 
     updateResonanceStatus();
     updateZoomIndicator();
+    renderCompareResults();
+    renderSweepResults();
+    renderStepMetrics();
+    renderPowerResults();
+}
+
+/**
+ * Resultados de un circuito {R, L, C, topology, activePreset, useParasitics, esrC, eslC, esrL}
+ * a la frecuencia de operación común state.freq (cálculo delegado en rlc-core.js).
+ */
+function computeCircuitResults(circ) {
+    const op = RLC.operatingPoint(circ, circ.signal ? circ.signal.freq : state.freq);
+    return { f0: op.f0, Q: op.Q, BW: op.BW, Z_mag: op.Z_mag, phase: op.phase, gain_dB: op.gain_dB };
+}
+
+/* ============================================================
+   RESPUESTA AL ESCALÓN — métricas medidas sobre la forma de onda
+   ============================================================ */
+const DAMPING_LABELS = { under: 'Subamortiguado', critical: 'Crítico', over: 'Sobreamortiguado' };
+
+let _stepCache = { key: null, result: null };
+
+/** RLC.stepAnalysis del circuito con la amplitud actual, memorizado entre el panel y el dibujo */
+function stepResultFor(circ) {
+    const key = JSON.stringify([circ.R, circ.L, circ.C, circ.topology, RLC.circuitOutput(circ), circ.useParasitics,
+                                circ.esrC, circ.eslC, circ.esrL, state.amp]);
+    if (_stepCache.key !== key) _stepCache = { key, result: RLC.stepAnalysis(circ, state.amp) };
+    return _stepCache.result;
+}
+
+/** Sección de resultados del escalón: parámetros de 2.º orden y métricas medidas en la salida */
+function renderStepMetrics() {
+    const box = document.getElementById('step-metrics');
+    if (!box) return;
+    const show = isIdealStep() && !state.sweep.active && !(state.compare.active && state.compare.slots.length);
+    box.classList.toggle('hidden', !show);
+    if (!show) return;
+
+    const s    = stepResultFor(circuitFromState());
+    const time = v => v === null ? '—' : formatEng(v, 's');
+    const row  = (label, value, tip = '') =>
+        `<tr><td${tip ? ` data-tooltip="${tip}"` : ''}>${label}</td><td>${value}</td></tr>`;
+
+    box.innerHTML = `
+        <table class="design-table step-table">
+            <thead><tr><th colspan="2">Escalón · ${DAMPING_LABELS[s.damping]}</th></tr></thead>
+            <tbody>
+                ${row('ζ', s.zeta.toPrecision(3), 'Factor de amortiguamiento 1/(2Q)')}
+                ${row('α', formatEng(s.alpha, 's⁻¹'), 'Coeficiente de amortiguamiento ζ·ω₀')}
+                ${row('ω₀', formatEng(s.w0, 'rad/s'))}
+                ${row('ωd', s.wd > 0 ? formatEng(s.wd, 'rad/s') : '—', 'Pulsación amortiguada ω₀√(1 − ζ²)')}
+                ${row('Subida 10–90 %', time(s.riseTime))}
+                ${row('Tiempo de pico', time(s.peakTime))}
+                ${row('Sobreimpulso', s.overshoot === null ? '—' : `${s.overshoot.toFixed(2)} %`)}
+                ${row('Establec. 2 %', time(s.settling2))}
+                ${row('Establec. 5 %', time(s.settling5))}
+                ${row('Valor final', formatEng(s.final, s.unit))}
+            </tbody>
+        </table>
+        <p class="step-note">Medido sobre ${OUTPUT_SYMBOLS[s.output]} simulada${state.useParasitics ? ' con parásitos' : ''}${
+            s.final ? '' : `; la salida vuelve a 0 ${s.unit}, las bandas se toman respecto al pico`}.${
+            state.useParasitics ? ` ζ, α, ω₀ y ωd son los del par de polos dominante de la misma netlist${
+                s.order > 2 ? ` (de ${s.order} polos: la respuesta no es exactamente de 2.º orden)` : ''}.` : ''}</p>`;
+}
+
+/* ============================================================
+   POTENCIA EN ALTERNA — régimen senoidal a la frecuencia de operación
+   ============================================================ */
+const PF_CHARACTER = { resistive: 'resistivo', inductive: 'inductivo', capacitive: 'capacitivo' };
+const ELEMENT_LABELS = { R1: 'R', L1: 'L', C1: 'C', R_ESR_L: 'ESR L', R_ESR_C: 'ESR C', L_ESL_C: 'ESL C' };
+
+/** Sección de potencia del circuito activo: P, Q, S, FP, valores eficaces por elemento y corrección del FP */
+function renderPowerResults() {
+    const box = document.getElementById('power-results');
+    if (!box) return;
+    const show = !state.sweep.active && !(state.compare.active && state.compare.slots.length);
+    box.classList.toggle('hidden', !show);
+    if (!show) return;
+
+    const pw  = RLC.acPower(circuitFromState(), state.freq, state.amp);
+    const row = (label, value, tip = '') =>
+        `<tr><td${tip ? ` data-tooltip="${tip}"` : ''}>${label}</td><td>${value}</td></tr>`;
+    const el  = pw.elements.map(e => `<tr><td>${ELEMENT_LABELS[e.name] || e.name}</td>` +
+        `<td>${formatEng(e.vRms, 'V')}</td><td>${formatEng(e.iRms, 'A')}</td></tr>`).join('');
+
+    document.getElementById('power-table').innerHTML = `
+        <table class="design-table step-table">
+            <thead><tr><th colspan="2">Potencia · ${formatEng(state.freq, 'Hz')}</th></tr></thead>
+            <tbody>
+                ${row('P', formatEng(pw.P, 'W'), 'Potencia activa entregada por la fuente')}
+                ${row('Q', formatEng(pw.Q, 'var'), 'Potencia reactiva (positiva: inductiva)')}
+                ${row('S', formatEng(pw.S, 'VA'), 'Potencia aparente V·I eficaces')}
+                ${row('FP', `${pw.pf.toFixed(3)} ${PF_CHARACTER[pw.character]}`, 'Factor de potencia P/S')}
+                ${row('Fuente', `${formatEng(pw.vRms, 'V')} · ${formatEng(pw.iRms, 'A')}`, 'Tensión y corriente eficaces en bornes de la fuente')}
+                ${row('W̄_L', formatEng(pw.wL, 'J'), 'Energía media almacenada en las bobinas')}
+                ${row('W̄_C', formatEng(pw.wC, 'J'), 'Energía media almacenada en los condensadores')}
+            </tbody>
+        </table>
+        <table class="design-table step-table">
+            <thead><tr><th>Elemento</th><th>V ef.</th><th>I ef.</th></tr></thead>
+            <tbody>${el}</tbody>
+        </table>`;
+
+    const fix = RLC.powerFactorCorrection(pw, state.targetPF);
+    document.getElementById('pf-correction').innerHTML = fix.type
+        ? `Para FP = ${state.targetPF.toFixed(2)}: ${fix.type === 'C' ? 'condensador' : 'bobina'} de
+           <strong>${formatEng(fix.value, fix.type === 'C' ? 'F' : 'H')}</strong> en paralelo con la fuente
+           (Q = ${formatEng(fix.Qc, 'var')} a ${formatEng(pw.vRms, 'V')} eficaces).`
+        : `El factor de potencia ya alcanza ${state.targetPF.toFixed(2)}: no hace falta compensar.`;
 }
 
-/** FIX: Ganancia según preset/topología */
-function computeGaindB(u, Q) {
-    // u = f/f0, Q = factor de calidad
-    const denom = Math.sqrt(Math.pow(1 - u * u, 2) + Math.pow(u / Q, 2));
-    let H;
-    switch (state.activePreset) {
-        case 'hpf':   H = (u * u) / denom; break;          // Pasa-altos
-        case 'bpf':   H = (u / Q)  / denom; break;         // Pasa-banda
-        case 'notch': H = Math.abs(1 - u * u) / denom; break; // Rechaza-banda
-        default:      H = 1 / denom; break;                // Pasa-bajos (lpf)
+function updateTargetPF() {
+    const input = document.getElementById('target-pf');
+    const v = parseFloat(input.value);
+    if (RULES.range(0.5, 1)(v)) {
+        showToast('El factor de potencia objetivo debe estar entre 0.5 y 1');
+        input.value = state.targetPF;
+        return;
     }
-    return 20 * Math.log10(Math.max(H, 1e-10));
+    state.targetPF = v;
+    renderPowerResults();
+    saveState();
 }
 
 function updateResonanceStatus() {
@@ -590,19 +2365,242 @@ function runSimulation() {
 
 function resetAll() {
     localStorage.removeItem(STORAGE_KEY);
+    history.replaceState(null, '', location.pathname + location.search);
     location.reload();
 }
 
 /* ============================================================
-   ZOOM
+   VENTANAS DE VISTA — zoom y desplazamiento independientes por vista y eje
    ============================================================ */
-function zoomIn()    { state.zoom = Math.min(state.zoom * 1.5, 16); drawCanvas(); updateZoomIndicator(); }
-function zoomOut()   { state.zoom = Math.max(state.zoom / 1.5, 0.25); drawCanvas(); updateZoomIndicator(); }
-function zoomReset() { state.zoom = 1; drawCanvas(); updateZoomIndicator(); }
+/**
+ * state.views[modo] = { x: [mín, máx] | null, y: [mín, máx] | null }: ventana fija de cada eje;
+ * null (o la vista ausente) deja el eje en autoescala.
+ */
+const ZOOM_STEP       = 1.5;
+const ZOOM_STEP_WHEEL = 1.2;
+const VIEW_UNITS      = { time: ['s', 'V'], bode: ['Hz', 'dB'], nyquist: ['Ω', 'Ω'], smith: ['', ''], fft: ['Hz', 'dB'], splane: ['s⁻¹', 'rad/s'] };
+
+/** Ventana de la vista actual (se crea vacía si no existe) */
+function currentView() {
+    return state.views[state.vizMode] || (state.views[state.vizMode] = { x: null, y: null });
+}
+
+/** Fija la ventana de los ejes indicados (null deja el eje como está) y redibuja */
+function setViewWindow(x, y) {
+    const v = currentView();
+    if (x) v.x = x;
+    if (y) v.y = y;
+    scheduleDraw();
+    saveStateSoon();
+}
+
+/** Dominio de una escala ampliado (factor < 1) o reducido (factor > 1) alrededor del píxel px */
+function zoomDomain(scale, factor, px) {
+    const [r0, r1] = scale.range;
+    return [scale.fromPx(px + (r0 - px) * factor), scale.fromPx(px + (r1 - px) * factor)];
+}
+
+/** Dominio de una escala desplazado d píxeles */
+function panDomain(scale, d) {
+    const [r0, r1] = scale.range;
+    return [scale.fromPx(r0 - d), scale.fromPx(r1 - d)];
+}
+
+/** axes: 'x', 'y' o 'xy'; center en px del canvas (por defecto, el centro del área) */
+function zoomView(factor, axes = 'xy', center = null) {
+    if (!_plot) return;
+    const a = _plot.area;
+    const c = center || { x: a.x + a.w / 2, y: a.y + a.h / 2 };
+    setViewWindow(axes.includes('x') ? zoomDomain(_plot.sx, factor, c.x) : null,
+                  axes.includes('y') ? zoomDomain(_plot.sy, factor, c.y) : null);
+}
+
+function zoomIn()  { zoomView(1 / ZOOM_STEP); }
+function zoomOut() { zoomView(ZOOM_STEP); }
+
+/** Vuelve a la autoescala en los dos ejes de la vista actual */
+function zoomReset() {
+    delete state.views[state.vizMode];
+    drawCanvas();
+    saveState();
+}
 
 function updateZoomIndicator() {
     const el = document.getElementById('zoom-indicator');
-    if (el) el.textContent = `Zoom: ${state.zoom.toFixed(2)}×`;
+    if (!el) return;
+    const units = state.vizMode === 'nyquist'
+        ? Array(2).fill(NYQUIST_QUANTITIES[state.nyquistQuantity].unit)
+        : VIEW_UNITS[state.vizMode];
+    if (!units) { el.textContent = ''; return; }
+    const v = state.views[state.vizMode] || {};
+    // Las magnitudes adimensionales (H, Γ) van sin prefijos de ingeniería
+    const fmt   = (v, u) => u ? formatEng(v, u) : formatTick(v, u);
+    const range = (w, u) => w ? `${fmt(w[0], u)} … ${fmt(w[1], u)}` : 'auto';
+    el.textContent = `X: ${range(v.x, units[0])} · Y: ${range(v.y, units[1])}`;
+}
+
+/* ============================================================
+   EJES — escalas lineales/logarítmicas con marcas en unidades de ingeniería
+   ============================================================ */
+const PLOT_MARGIN = { left: 64, right: 14, top: 10, bottom: 30 };
+const PLOT_MARGIN_Y2 = 58;   // margen derecho cuando hay eje secundario
+
+/** Área de trazado dentro del canvas */
+function plotArea(W, H, right = PLOT_MARGIN.right) {
+    const m = PLOT_MARGIN;
+    return { x: m.left, y: m.top, w: Math.max(W - m.left - right, 10), h: Math.max(H - m.top - m.bottom, 10) };
+}
+
+/** Escala de un eje: dominio [d0, d1] ↔ píxeles [r0, r1], lineal o logarítmica */
+function makeScale(domain, range, log = false) {
+    const f  = log ? Math.log10 : v => v;
+    const fi = log ? v => Math.pow(10, v) : v => v;
+    const [a, b] = domain.map(f), [r0, r1] = range;
+    return {
+        domain, range, log,
+        toPx:   v  => r0 + (f(v) - a) / (b - a) * (r1 - r0),
+        fromPx: px => fi(a + (px - r0) / (r1 - r0) * (b - a))
+    };
+}
+
+/** Paso redondo (1, 2 o 5 × 10ⁿ) para dividir span en unas count partes */
+function niceStep(span, count) {
+    const raw = span / count;
+    const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+    const n   = raw / mag;
+    return (n < 1.5 ? 1 : n < 3.5 ? 2 : n < 7.5 ? 5 : 10) * mag;
+}
+
+/**
+ * Marcas de una escala: en lineal, múltiplos de un paso redondo (o del menor múltiplo de
+ * `base` que no supere count marcas); en logarítmica, décadas (con 2 y 5 si hay pocas) y
+ * el resto de mantisas como marcas secundarias.
+ */
+function scaleTicks(scale, count, base = null) {
+    const [lo, hi] = scale.domain;
+    const major = [], minor = [];
+    if (scale.log) {
+        const decades = Math.log10(hi / lo);
+        const every   = Math.max(1, Math.ceil(decades / count));
+        for (let e = Math.floor(Math.log10(lo)); e <= Math.ceil(Math.log10(hi)); e++) {
+            for (let m = 1; m < 10; m++) {
+                const v = m * Math.pow(10, e);
+                if (v < lo || v > hi) continue;
+                if (m === 1 && ((e % every) + every) % every === 0) major.push(v);
+                else if (decades < 2.5 && (m === 2 || m === 5)) major.push(v);
+                else if (decades < 8) minor.push(v);
+            }
+        }
+    } else {
+        const step = base ? base * Math.max(1, Math.ceil((hi - lo) / base / count)) : niceStep(hi - lo, count);
+        const k0 = Math.ceil(lo / step - 1e-9), k1 = Math.floor(hi / step + 1e-9);
+        for (let k = k0; k <= k1; k++) major.push(+(k * step).toPrecision(12));
+    }
+    return { major, minor };
+}
+
+/** Etiqueta de una marca: prefijo de ingeniería salvo en dB y grados */
+function formatTick(v, unit) {
+    if (unit === 'dB' || unit === '°' || unit === '') return `${+v.toPrecision(4)}${unit === '°' ? '°' : ''}`;
+    return formatEng(v, unit);
+}
+
+/**
+ * Rejilla, marcas, etiquetas y marco de un área de trazado.
+ * axes: { x: { scale, unit, title, labels? }, y: {...}, y2?: {...} (eje secundario a la derecha), zero?: true };
+ * x.labels = false omite las cifras del eje X (paneles apilados que comparten el de abajo);
+ * y.step fija la base del paso de las marcas (45 en grados)
+ */
+function drawAxes(ctx, area, axes, colors) {
+    const right = area.x + area.w, bottom = area.y + area.h;
+    const xt = scaleTicks(axes.x.scale, Math.max(2, Math.floor(area.w / 90)));
+    const yt = scaleTicks(axes.y.scale, Math.max(2, Math.floor(area.h / 45)), axes.y.step);
+
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = colors.grid;
+    ctx.globalAlpha = 0.5;
+    ctx.beginPath();
+    xt.minor.forEach(v => { const x = axes.x.scale.toPx(v); ctx.moveTo(x, area.y); ctx.lineTo(x, bottom); });
+    yt.minor.forEach(v => { const y = axes.y.scale.toPx(v); ctx.moveTo(area.x, y); ctx.lineTo(right, y); });
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+    ctx.beginPath();
+    xt.major.forEach(v => { const x = axes.x.scale.toPx(v); ctx.moveTo(x, area.y); ctx.lineTo(x, bottom); });
+    yt.major.forEach(v => { const y = axes.y.scale.toPx(v); ctx.moveTo(area.x, y); ctx.lineTo(right, y); });
+    ctx.stroke();
+
+    // Ejes de valor cero (Temporal y Nyquist)
+    if (axes.zero) {
+        ctx.strokeStyle = colors.axis; ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        const y0 = axes.y.scale.toPx(0), x0 = axes.x.scale.toPx(0);
+        if (y0 > area.y && y0 < bottom) { ctx.moveTo(area.x, y0); ctx.lineTo(right, y0); }
+        if (!axes.x.scale.log && x0 > area.x && x0 < right) { ctx.moveTo(x0, area.y); ctx.lineTo(x0, bottom); }
+        ctx.stroke();
+    }
+
+    ctx.strokeStyle = colors.axis; ctx.lineWidth = 1;
+    ctx.strokeRect(area.x, area.y, area.w, area.h);
+
+    ctx.fillStyle = colors.text; ctx.font = '10px sans-serif';
+    ctx.textAlign = 'center';
+    if (axes.x.labels !== false) xt.major.forEach(v => ctx.fillText(formatTick(v, axes.x.unit), axes.x.scale.toPx(v), bottom + 12));
+    ctx.textAlign = 'right';
+    yt.major.forEach(v => ctx.fillText(formatTick(v, axes.y.unit), area.x - 4, axes.y.scale.toPx(v) + 3));
+    if (axes.y2) {
+        ctx.textAlign = 'left';
+        scaleTicks(axes.y2.scale, Math.max(2, Math.floor(area.h / 45))).major
+            .forEach(v => ctx.fillText(formatTick(v, axes.y2.unit), right + 4, axes.y2.scale.toPx(v) + 3));
+    }
+
+    // Títulos de eje
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.fillText(axes.x.title, right, bottom + 26);
+    ctx.textAlign = 'left';
+    ctx.fillText(axes.y.title, 4, area.y + 8);
+    if (axes.y2) {
+        ctx.textAlign = 'right';
+        ctx.fillStyle = axes.y2.color || colors.text;
+        ctx.fillText(axes.y2.title, right + PLOT_MARGIN_Y2 - 4, area.y + 8);
+    }
+    ctx.restore();
+}
+
+/** Recorta el dibujo siguiente al área de trazado; cerrar con ctx.restore() */
+function clipToArea(ctx, area) {
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(area.x, area.y, area.w, area.h);
+    ctx.clip();
+}
+
+/** Traza ys frente a xs con las escalas dadas, saltando valores no finitos */
+function drawTrace(ctx, xs, ys, sx, sy, color, lw) {
+    ctx.beginPath();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lw;
+    let started = false;
+    ys.forEach((v, i) => {
+        const x = sx.toPx(xs[i]), y = sy.toPx(v);
+        if (!isFinite(x) || !isFinite(y)) { started = false; return; }
+        started ? ctx.lineTo(x, y) : ctx.moveTo(x, y);
+        started = true;
+    });
+    ctx.stroke();
+}
+
+/** Punta de flecha rellena en m, orientada de a hacia c (puntos en px) */
+function drawArrowHead(ctx, a, m, c, color, size = 7) {
+    const ang = Math.atan2(c.y - a.y, c.x - a.x);
+    if (!isFinite(ang) || !isFinite(m.x) || !isFinite(m.y) || Math.hypot(c.x - a.x, c.y - a.y) < 0.5) return;
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(m.x + size * Math.cos(ang), m.y + size * Math.sin(ang));
+    ctx.lineTo(m.x + size * Math.cos(ang + 2.5), m.y + size * Math.sin(ang + 2.5));
+    ctx.lineTo(m.x + size * Math.cos(ang - 2.5), m.y + size * Math.sin(ang - 2.5));
+    ctx.closePath(); ctx.fill();
 }
 
 /* ============================================================
@@ -618,9 +2616,9 @@ function getThemeColors() {
     };
 }
 
-function resizeCanvas() {
+function resizeCanvas(canvasId = 'main-canvas') {
     const container = document.getElementById('canvas-container');
-    const canvas    = document.getElementById('main-canvas');
+    const canvas    = document.getElementById(canvasId);
     const dpr  = window.devicePixelRatio || 1;
     const rect = container.getBoundingClientRect();
     const W = rect.width  - 32;
@@ -636,333 +2634,1449 @@ function resizeCanvas() {
     return { ctx, W, H };
 }
 
-function drawGrid(ctx, W, H, colors) {
-    ctx.strokeStyle = colors.grid;
-    ctx.lineWidth = 1;
-    for (let i = 1; i < 10; i++) {
-        const x = (i / 10) * W;
-        ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, H); ctx.stroke();
-    }
-    for (let i = 1; i < 5; i++) {
-        const y = (i / 5) * H;
-        ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(W, y); ctx.stroke();
-    }
-    ctx.strokeStyle = colors.axis;
-    ctx.lineWidth = 2;
-    ctx.beginPath(); ctx.moveTo(0, H / 2); ctx.lineTo(W, H / 2); ctx.stroke();
-}
-
 function drawCanvas() {
-    if (state.vizMode === 'phasor') return;
+    _plot = null;
+    updateZoomIndicator();
+    if (state.vizMode === 'phasor') { drawOverlay(); return; }
     if (!state.f0) calculateResults();
 
     const { ctx, W, H } = resizeCanvas();
     const colors = getThemeColors();
     ctx.clearRect(0, 0, W, H);
-    drawGrid(ctx, W, H, colors);
 
     switch (state.vizMode) {
-        case 'time':    drawTimeDomain(ctx, W, H, colors); break;
-        case 'bode':    drawBode(ctx, W, H, colors);       break;
-        case 'nyquist': drawNyquist(ctx, W, H, colors);    break;
-        case 'fft':     drawFFT(ctx, W, H, colors);        break;
+        case 'time':      drawTimeDomain(ctx, W, H, colors);   break;
+        case 'bode':      drawBode(ctx, W, H, colors);         break;
+        case 'nyquist':   drawNyquist(ctx, W, H, colors);      break;
+        case 'smith':     drawSmith(ctx, W, H, colors);        break;
+        case 'fft':       drawFFT(ctx, W, H, colors);          break;
+        case 'splane':    drawSPlane(ctx, W, H, colors);       break;
+        case 'tolerance': drawTolerance(ctx, W, H, colors);    break;
+        case 'sweep':     drawSweepMetrics(ctx, W, H, colors); break;
     }
+    drawOverlay();
+}
+
+/** Redibujo agrupado por fotograma (desplazamiento y zoom continuos) */
+let _drawPending = false;
+function scheduleDraw() {
+    if (_drawPending) return;
+    _drawPending = true;
+    requestAnimationFrame(() => { _drawPending = false; drawCanvas(); });
 }
 
 /* ============================================================
-   VISTA TEMPORAL — FIX crítico amortiguamiento + zoom aplicado
+   VISTA TEMPORAL
    ============================================================ */
+/** Muestras de arranque desde t = 0 cuando la ventana empieza más tarde */
+const TIME_WARMUP_POINTS = 200;
+const TIME_POWER_SHARE   = 0.4;   // fracción de la altura para el panel de potencia y energía
+const TIME_PANE_GAP      = 12;
+const POWER_COLORS       = { p: '#d97706', wL: '#7c3aed', wC: '#0d9488' };
+
 function drawTimeDomain(ctx, W, H, colors) {
-    const amp   = state.amp;
-    const freq  = Math.max(state.freq, 1);
-    const omega = 2 * Math.PI * freq;
-
-    // FIX: zoom controla cuántos periodos se muestran
-    const periods = 3 / state.zoom;
-    const points  = Math.min(W, 600);
-
-    let inputFn, outputFn;
-
-    if (state.signalType === 'sine') {
-        const Z   = Math.sqrt(state.R ** 2 + (omega * state.L - 1 / (omega * state.C)) ** 2);
-        const phi = Math.atan2(omega * state.L - 1 / (omega * state.C), state.R);
-        const H_  = state.R / Z; // ganancia como divisor resistivo (Vr/Vin) para pasa-banda
-        inputFn  = t => amp * Math.sin(omega * t);
-        outputFn = t => amp * H_ * Math.sin(omega * t - phi);
-
-    } else if (state.signalType === 'square') {
-        // Suma de Fourier (5 armónicos impares)
-        const harmonics = [1, 3, 5, 7, 9];
-        inputFn = t => {
-            let v = 0;
-            harmonics.forEach(n => { v += (4 / (n * Math.PI)) * Math.sin(n * omega * t); });
-            return amp * v / (4 / Math.PI); // normalizar a amplitud amp
-        };
-        outputFn = t => {
-            let v = 0;
-            harmonics.forEach(n => {
-                const wn   = n * omega;
-                const Zn   = Math.sqrt(state.R ** 2 + (wn * state.L - 1 / (wn * state.C)) ** 2);
-                const Hn   = state.R / Zn;
-                const phin = Math.atan2(wn * state.L - 1 / (wn * state.C), state.R);
-                v += Hn * (4 / (n * Math.PI)) * Math.sin(n * omega * t - phin);
-            });
-            return amp * v / (4 / Math.PI);
+    const view     = state.views.time || {};
+    const circuits = getActiveCircuits();
+    const signal   = currentSignal();
+    const full     = plotArea(W, H, circuits.length === 1 || circuits.some(c => RLC.outputUnit(RLC.circuitOutput(c)) === 'A')
+                                    ? PLOT_MARGIN_Y2 : PLOT_MARGIN.right);
+    // Con un solo circuito, panel inferior opcional con p(t), W_L(t) y W_C(t)
+    const powerH    = state.showPower && circuits.length === 1 ? Math.round(full.h * TIME_POWER_SHARE) : 0;
+    const area      = powerH ? { ...full, h: full.h - powerH - TIME_PANE_GAP } : full;
+    const powerArea = powerH ? { ...full, y: full.y + full.h - powerH, h: powerH } : null;
+
+    // Métricas del escalón (un solo circuito): se marcan sobre la curva
+    const step = isIdealStep() && circuits.length === 1 ? stepResultFor(circuits[0]) : null;
+
+    // Autoescala: tres periodos de la señal más lenta desde t = 0 (un barrido del chirp, cinco
+    // constantes de la amortiguada), o hasta pasado el establecimiento del escalón
+    const span = s => s.type === 'chirp' ? s.sweepTime : s.type === 'damped' ? 5 * s.decay : 3 / Math.max(s.freq, 1);
+    const autoEnd  = step && step.settling2 ? 1.5 * step.settling2
+                   : Math.max(...circuits.map(c => span(c.signal || signal)));
+    // Una captura cargada fija la autoescala a su duración, con el pretrigger a la izquierda de t = 0
+    const cap      = _capture ? _capture.aligned : null;
+    const [t0, t1] = view.x || (cap ? [cap.t[0], cap.t[cap.t.length - 1]] : [0, autoEnd]);
+    const tStart   = Math.max(t0, 0);
+    const points   = Math.min(Math.round(area.w), 600);
+    const visible  = t1 > tStart
+        ? Array.from({ length: points + 1 }, (_, i) => tStart + (i / points) * (t1 - tStart))
+        : [];
+    const warm  = tStart > 0 ? Array.from({ length: TIME_WARMUP_POINTS }, (_, i) => (i / TIME_WARMUP_POINTS) * tStart) : [];
+    const times = warm.concat(visible);
+
+    const traces = visible.length ? circuits.map(c => {
+        const r = RLC.timeResponse(c, c.signal || signal, times);
+        return {
+            input: r.input.slice(warm.length), output: r.output.slice(warm.length), i: r.i.slice(warm.length),
+            p: r.p.slice(warm.length), wL: r.wL.slice(warm.length), wC: r.wC.slice(warm.length),
+            unit: r.outputUnit, color: c.color || '#059669'
         };
+    }) : [];
 
-    } else if (state.signalType === 'step') {
-        const R   = Math.max(state.R, 1e-6);
-        const L   = Math.max(state.L, 1e-12);
-        const C   = Math.max(state.C, 1e-12);
-        const w0  = 1 / Math.sqrt(L * C);
-        const al  = R / (2 * L);
-        const zt  = al / w0; // amortiguamiento relativo (ζ = α/ω0)
-
-        inputFn = t => amp * (t >= 0 ? 1 : 0);
-
-        if (zt < 0.9999) {
-            // Sub-amortiguado
-            const wd = w0 * Math.sqrt(1 - zt * zt);
-            outputFn = t => t < 0 ? 0 :
-                amp * (1 - Math.exp(-al * t) * (Math.cos(wd * t) + (al / wd) * Math.sin(wd * t)));
-        } else if (zt > 1.0001) {
-            // Sobre-amortiguado
-            const s1 = -al + Math.sqrt(al * al - w0 * w0);
-            const s2 = -al - Math.sqrt(al * al - w0 * w0);
-            outputFn = t => t < 0 ? 0 :
-                amp * (1 - (s2 * Math.exp(s1 * t) - s1 * Math.exp(s2 * t)) / (s2 - s1));
+    // Escala Y simétrica con margen sobre el máximo de entrada y salidas en tensión
+    let maxAbs = 0;
+    traces.forEach(tr => {
+        tr.input.forEach(v  => { maxAbs = Math.max(maxAbs, Math.abs(v)); });
+        if (tr.unit === 'V') tr.output.forEach(v => { maxAbs = Math.max(maxAbs, Math.abs(v)); });
+    });
+    if (cap) cap.t.forEach((t, i) => {
+        if (t >= t0 && t <= t1) maxAbs = Math.max(maxAbs, Math.abs(cap.y[i]), cap.u ? Math.abs(cap.u[i]) : 0);
+    });
+    if (maxAbs < 1e-12) maxAbs = state.amp || 1;
+    const sx = makeScale([t0, t1], [area.x, area.x + area.w]);
+    const sy = makeScale(view.y || [-1.25 * maxAbs, 1.25 * maxAbs], [area.y + area.h, area.y]);
+
+    // Eje derecho en amperios, con escala propia: las salidas en corriente o, si no hay
+    // ninguna y sólo hay un circuito, la corriente de la fuente
+    const currentOut = traces.some(tr => tr.unit === 'A');
+    const showSource = !currentOut && traces.length === 1;
+    const iMax = currentOut ? Math.max(...traces.filter(tr => tr.unit === 'A').flatMap(tr => tr.output.map(Math.abs)))
+               : showSource ? Math.max(...traces[0].i.map(Math.abs)) : 0;
+    const si   = iMax > 1e-15 ? makeScale(sy.domain.map(v => v * iMax / maxAbs), sy.range) : null;
+    const scaleOf = tr => (tr.unit === 'A' ? si : sy) || sy;
+
+    drawAxes(ctx, area, {
+        x: { scale: sx, unit: 's', title: powerArea ? '' : 't', labels: !powerArea },
+        y: { scale: sy, unit: 'V', title: 'V' },
+        y2: si ? { scale: si, unit: 'A', title: 'I', color: showSource ? '#dc2626' : traces.find(tr => tr.unit === 'A').color } : null,
+        zero: true
+    }, colors);
+
+    const series = [];
+    if (traces.length) {
+        clipToArea(ctx, area);
+        // Entrada (común salvo al barrer frecuencia o amplitud: una por curva, discontinua) y salida(s)
+        if (circuits.some(c => c.signal)) {
+            ctx.setLineDash([6, 4]);
+            traces.forEach(tr => drawTrace(ctx, visible, tr.input, sx, sy, tr.color, 1.5));
+            ctx.setLineDash([]);
         } else {
-            // FIX: Caso crítico (ζ ≈ 1), evita división por cero: y = (1 - e^(-αt)(1+αt))
-            outputFn = t => t < 0 ? 0 :
-                amp * (1 - Math.exp(-al * t) * (1 + al * t));
+            drawTrace(ctx, visible, traces[0].input, sx, sy, '#0369a1', 3);
+        }
+        traces.forEach(tr => drawTrace(ctx, visible, tr.output, sx, scaleOf(tr), tr.color, 3));
+        if (si && showSource) {
+            ctx.setLineDash([6, 4]);
+            drawTrace(ctx, visible, traces[0].i, sx, si, '#dc2626', 2);
+            ctx.setLineDash([]);
         }
+        if (step) drawStepMetrics(ctx, area, sx, scaleOf(traces[0]), step, colors);
+        ctx.restore();
 
-    } else {
-        // Impulso
-        const R   = Math.max(state.R, 1e-6);
-        const L   = Math.max(state.L, 1e-12);
-        const C   = Math.max(state.C, 1e-12);
-        const w0  = 1 / Math.sqrt(L * C);
-        const al  = R / (2 * L);
-        inputFn = () => 0;
-        if (al < w0) {
-            const wd = Math.sqrt(w0 * w0 - al * al);
-            outputFn = t => t <= 0 ? 0 : (amp / (L * wd)) * Math.exp(-al * t) * Math.sin(wd * t);
-        } else {
-            outputFn = () => 0;
+        series.push({ name: 'Entrada', color: '#0369a1', unit: 'V', values: traces[0].input },
+            ...traces.map((tr, k) => ({ name: circuits[k].name || outputName(circuits[k]), color: tr.color, unit: tr.unit, values: tr.output })));
+        if (si && showSource) series.push({ name: 'Corriente', color: '#dc2626', unit: 'A', values: traces[0].i });
+    }
+
+    if (cap) drawCaptureOverlay(ctx, area, sx, sy, colors);
+    if (state.showFFT) drawSpectrumInset(ctx, area, colors, circuits[0]);
+    if (powerArea) series.push(...drawPowerPane(ctx, powerArea, sx, visible, traces[0], colors));
+
+    _plot = {
+        mode: 'time', W, H, area: full, sx, sy, xs: visible, log: false,
+        toPx: sx.toPx, fromPx: sx.fromPx,
+        powerArea,
+        series
+    };
+}
+
+/**
+ * Panel de potencia: p(t) entregada por la fuente en W (eje izquierdo, con su media
+ * en trazos) y energías almacenadas W_L(t), W_C(t) en J (eje derecho, con el cero
+ * alineado). Devuelve las series para las lecturas del cursor.
+ */
+function drawPowerPane(ctx, area, sx, ts, tr, colors) {
+    const pHi = tr ? Math.max(...tr.p) : 0, pLo = tr ? Math.min(0, ...tr.p) : 0;
+    const eHi = tr ? Math.max(...tr.wL, ...tr.wC) : 0;
+    const top = pHi > 1e-15 ? 1.1 * pHi : 1, bottom = pLo * 1.1;
+    const sp  = makeScale([bottom, top], [area.y + area.h, area.y]);
+    const se  = makeScale([eHi > 0 ? eHi * 1.1 * bottom / top : -1e-12, eHi > 0 ? eHi * 1.1 : 1e-12], sp.range);
+    drawAxes(ctx, area, {
+        x:  { scale: sx, unit: 's', title: 't' },
+        y:  { scale: sp, unit: 'W', title: 'p' },
+        y2: { scale: se, unit: 'J', title: 'W', color: POWER_COLORS.wL },
+        zero: true
+    }, colors);
+    if (!tr) return [];
+
+    clipToArea(ctx, area);
+    drawTrace(ctx, ts, tr.wL, sx, se, POWER_COLORS.wL, 1.5);
+    drawTrace(ctx, ts, tr.wC, sx, se, POWER_COLORS.wC, 1.5);
+    drawTrace(ctx, ts, tr.p, sx, sp, POWER_COLORS.p, 2);
+    // Potencia media de la ventana visible
+    const mean = tr.p.reduce((a, v) => a + v, 0) / tr.p.length;
+    const y = sp.toPx(mean);
+    ctx.strokeStyle = POWER_COLORS.p; ctx.lineWidth = 1; ctx.setLineDash([6, 4]);
+    ctx.beginPath(); ctx.moveTo(area.x, y); ctx.lineTo(area.x + area.w, y); ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.font = '11px sans-serif';
+    [['p(t)', POWER_COLORS.p], ['W_L', POWER_COLORS.wL], ['W_C', POWER_COLORS.wC]].forEach(([label, color], k) => {
+        ctx.fillStyle = color;
+        ctx.fillText(label, area.x + 8 + 44 * k, area.y + 14);
+    });
+    ctx.fillStyle = POWER_COLORS.p;
+    ctx.fillText(`p̄ = ${formatEng(mean, 'W')}`, area.x + 8, y - 4);
+    ctx.restore();
+
+    return [
+        { name: 'p(t)', color: POWER_COLORS.p,  unit: 'W', values: tr.p },
+        { name: 'W_L',  color: POWER_COLORS.wL, unit: 'J', values: tr.wL },
+        { name: 'W_C',  color: POWER_COLORS.wC, unit: 'J', values: tr.wC }
+    ];
+}
+
+/**
+ * Marcas de las métricas del escalón sobre la salida: valor final con la banda de ±2 %,
+ * puntos del 10 % y 90 % (subida), pico con su sobreimpulso y establecimiento a 2 %.
+ */
+function drawStepMetrics(ctx, area, sx, sy, s, colors) {
+    const color = '#d97706';
+    const ref   = s.final ? Math.abs(s.final) : Math.abs(s.peak);
+    const hLine = v => {
+        ctx.beginPath(); ctx.moveTo(area.x, sy.toPx(v)); ctx.lineTo(area.x + area.w, sy.toPx(v)); ctx.stroke();
+    };
+    const dot = (t, v) => {
+        ctx.beginPath(); ctx.arc(sx.toPx(t), sy.toPx(v), 4, 0, 2 * Math.PI); ctx.fill();
+    };
+    const label = (text, x, y) => {
+        const w = ctx.measureText(text).width;
+        ctx.fillStyle = colors.background; ctx.globalAlpha = 0.85;
+        ctx.fillRect(x - 2, y - 11, w + 4, 14);
+        ctx.globalAlpha = 1; ctx.fillStyle = colors.text;
+        ctx.fillText(text, x, y);
+        ctx.fillStyle = color;
+    };
+
+    ctx.strokeStyle = color; ctx.fillStyle = color;
+    ctx.lineWidth = 1; ctx.font = '11px sans-serif';
+
+    ctx.setLineDash([6, 4]);
+    hLine(s.final);
+    ctx.setLineDash([2, 3]);
+    hLine(s.final + 0.02 * ref);
+    hLine(s.final - 0.02 * ref);
+    if (s.settling2 !== null) {
+        const x = sx.toPx(s.settling2);
+        ctx.beginPath(); ctx.moveTo(x, area.y); ctx.lineTo(x, area.y + area.h); ctx.stroke();
+    }
+    ctx.setLineDash([]);
+    label(`y∞ = ${formatEng(s.final, s.unit)}`, area.x + area.w - 90, sy.toPx(s.final) - 6);
+    if (s.settling2 !== null) label(`ts 2 % = ${formatEng(s.settling2, 's')}`, sx.toPx(s.settling2) + 4, area.y + 14);
+
+    if (s.riseTime !== null) {
+        dot(s.t10, 0.1 * s.final);
+        dot(s.t90, 0.9 * s.final);
+        label(`tr = ${formatEng(s.riseTime, 's')}`, sx.toPx(s.t90) + 6, sy.toPx(0.9 * s.final) + 14);
+    }
+    if (s.peakTime !== null) {
+        dot(s.peakTime, s.peak);
+        const os = s.overshoot !== null ? `Mp = ${s.overshoot.toFixed(1)} % · ` : '';
+        label(`${os}tp = ${formatEng(s.peakTime, 's')}`, sx.toPx(s.peakTime) + 6, sy.toPx(s.peak) - 8);
+    }
+}
+
+/** Recuadro con el espectro de la salida superpuesto a la vista temporal */
+function drawSpectrumInset(ctx, area, colors, circ) {
+    const a  = RLC.spectrumAnalysis(circ, circ.signal || currentSignal(), state.fftWindow);
+    const w  = Math.min(area.w * 0.35, 260), h = Math.min(area.h * 0.35, 140);
+    const x0 = area.x + area.w - w - 6, y0 = area.y + area.h - h - 6;
+    const fMax = Math.min(a.fs / 2, 10 * a.f1);
+    const top  = spectrumTop([a.output], fMax);
+
+    ctx.fillStyle = colors.background; ctx.globalAlpha = 0.9;
+    ctx.fillRect(x0, y0, w, h);
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = colors.axis; ctx.lineWidth = 1;
+    ctx.strokeRect(x0, y0, w, h);
+
+    drawSpectrumLine(ctx, a.output,
+        makeScale([0, fMax], [x0, x0 + w]), makeScale([top - FFT_DB_SPAN, top], [y0 + h, y0 + 14]),
+        circ.color || '#059669', 1.5);
+
+    ctx.fillStyle = colors.text; ctx.font = '10px sans-serif';
+    let label = `FFT salida · 0–${formatFreqShort(fMax)}Hz`;
+    if (a.outputHarmonics) label += ` · THD ${(a.outputHarmonics.thd * 100).toFixed(2)} %`;
+    ctx.fillText(label, x0 + 4, y0 + 11);
+}
+
+/* ============================================================
+   DIAGRAMA DE BODE — magnitud (arriba) y fase (abajo) sobre el mismo eje de frecuencia
+   ============================================================ */
+const BODE_MAG_SHARE  = 0.6;   // fracción de la altura para el panel de magnitud
+const BODE_PANE_GAP   = 12;    // px entre los dos paneles
+const BODE_PHASE_STEP = 45;    // la autoescala de fase se redondea a múltiplos de 45°
+
+function drawBode(ctx, W, H, colors) {
+    const circuits = getActiveCircuits().filter(c => c.res.f0 > 0);
+    if (!circuits.length) return;
+    const view = state.views.bode || {};
+    const area = plotArea(W, H);
+    const magArea   = { ...area, h: Math.round(area.h * BODE_MAG_SHARE) - BODE_PANE_GAP / 2 };
+    const phaseArea = { ...area, y: magArea.y + magArea.h + BODE_PANE_GAP, h: area.h - magArea.h - BODE_PANE_GAP };
+
+    // Autoescala: cuatro décadas centradas que cubren todas las f0
+    const f0s  = circuits.map(c => c.res.f0);
+    const fMin = Math.min(...f0s), fMax = Math.max(...f0s);
+    const half = Math.pow(10, (4 + Math.log10(fMax / fMin)) / 2);
+    const fc   = Math.sqrt(fMin * fMax);
+    // Una medida de H cargada amplía la autoescala a su rango
+    const meas = _measurement && _measurement.data.kind === 'H' ? _measurement.data.points : null;
+    const [fa, fb] = view.x || (meas ? [Math.min(fc / half, meas[0].f), Math.max(fc * half, meas[meas.length - 1].f)]
+                                     : [fc / half, fc * half]);
+    const N     = Math.min(Math.round(area.w), 400);
+    const freqs = RLC.logspace(fa, fb, N + 1);
+    const resps = circuits.map(c => RLC.frequencyResponse(c, freqs));
+    const asyms = state.bodeAsymptotes ? circuits.map(c => RLC.bodeAsymptotes(c, freqs)) : null;
+    const fitted = meas && fittedCircuit() ? RLC.frequencyResponse(fittedCircuit(), freqs) : null;
+
+    // Medida en dB y con su fase desenrollada y llevada a la vuelta de la del primer circuito
+    const measDb = meas ? meas.map(p => RLC.toDb(p.mag)) : null;
+    let measPh = null;
+    if (meas && _measurement.data.hasPhase) {
+        measPh = RLC.unwrapPhase(meas.map(p => p.phase));
+        const j   = meas.length >> 1;
+        const ref = resps[0].reduce((a, b) => Math.abs(Math.log(b.f / meas[j].f)) < Math.abs(Math.log(a.f / meas[j].f)) ? b : a);
+        const turn = 360 * Math.round((ref.phase - measPh[j]) / 360);
+        measPh = measPh.map(v => v + turn);
+    }
+    const measVisible = i => meas[i].f >= fa && meas[i].f <= fb;
+
+    // Autoescala en dB: de 10 dB por encima del máximo hasta 80 dB por debajo, en múltiplos de 10
+    let dbMax = -Infinity, dbMin = Infinity;
+    resps.forEach(resp => resp.forEach(p => { dbMax = Math.max(dbMax, p.dB); dbMin = Math.min(dbMin, p.dB); }));
+    if (meas) measDb.forEach((v, i) => { if (measVisible(i)) { dbMax = Math.max(dbMax, v); dbMin = Math.min(dbMin, v); } });
+    const top = Math.ceil(dbMax / 10) * 10 + 10;
+    const bottom = Math.min(Math.floor(Math.max(dbMin, dbMax - 80) / 10) * 10, top - 20);
+
+    // Fase desenrollada: múltiplos de 45° que la contienen, con al menos 90° de recorrido
+    let phLo = Infinity, phHi = -Infinity;
+    resps.forEach(resp => resp.forEach(p => { phLo = Math.min(phLo, p.phase); phHi = Math.max(phHi, p.phase); }));
+    if (measPh) measPh.forEach((v, i) => { if (measVisible(i)) { phLo = Math.min(phLo, v); phHi = Math.max(phHi, v); } });
+    phLo = Math.floor(phLo / BODE_PHASE_STEP) * BODE_PHASE_STEP;
+    phHi = Math.ceil(phHi / BODE_PHASE_STEP) * BODE_PHASE_STEP;
+    if (phHi - phLo < 90) { phLo -= BODE_PHASE_STEP; phHi += BODE_PHASE_STEP; }
+
+    const sx = makeScale([fa, fb], [area.x, area.x + area.w], true);
+    const sy = makeScale(view.y || [bottom, top], [magArea.y + magArea.h, magArea.y]);
+    const sp = makeScale([phLo, phHi], [phaseArea.y + phaseArea.h, phaseArea.y]);
+    drawAxes(ctx, magArea, {
+        x: { scale: sx, unit: 'Hz', title: '', labels: false },
+        y: { scale: sy, unit: 'dB', title: '|H| dB' }
+    }, colors);
+    drawAxes(ctx, phaseArea, {
+        x: { scale: sx, unit: 'Hz', title: 'f' },
+        y: { scale: sp, unit: '°', title: 'φ', step: BODE_PHASE_STEP }
+    }, colors);
+
+    const series = [];
+    circuits.forEach((c, k) => {
+        const resp = resps[k], color = c.color || '#0369a1', phaseColor = c.color || '#7c3aed';
+        series.push({ name: c.name || `|H| ${OUTPUT_SYMBOLS[RLC.circuitOutput(c)]}`, color, resp });
+
+        // Magnitud, con los marcadores automáticos (pico y −3 dB) del primer circuito
+        clipToArea(ctx, magArea);
+        if (asyms) {
+            ctx.setLineDash([2, 4]);
+            drawTrace(ctx, freqs, asyms[k].map(p => p.dB), sx, sy, color, 1.5);
+            ctx.setLineDash([]);
+        }
+        drawTrace(ctx, freqs, resp.map(p => p.dB), sx, sy, color, 3);
+        if (k === 0) drawBodeFeatures(ctx, resp, sx.toPx, sy.toPx, color, colors);
+        ctx.restore();
+
+        // Fase
+        clipToArea(ctx, phaseArea);
+        if (asyms) {
+            ctx.setLineDash([2, 4]);
+            drawTrace(ctx, freqs, asyms[k].map(p => p.phase), sx, sp, phaseColor, 1.5);
+            ctx.setLineDash([]);
+        }
+        drawTrace(ctx, freqs, resp.map(p => p.phase), sx, sp, phaseColor, 2);
+        ctx.restore();
+
+        // Línea de f0 a través de los dos paneles
+        const f0x = sx.toPx(c.res.f0);
+        if (f0x > area.x && f0x < area.x + area.w) {
+            const mark = c.color || '#dc2626';
+            ctx.strokeStyle = mark; ctx.lineWidth = 1; ctx.setLineDash([5, 5]);
+            ctx.beginPath();
+            ctx.moveTo(f0x, magArea.y);   ctx.lineTo(f0x, magArea.y + magArea.h);
+            ctx.moveTo(f0x, phaseArea.y); ctx.lineTo(f0x, phaseArea.y + phaseArea.h);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = mark; ctx.font = 'bold 12px sans-serif';
+            ctx.fillText(k === 0 ? `f₀ ${formatEng(c.res.f0, 'Hz')}` : 'f₀', f0x + 4, area.y + 14);
         }
+    });
+
+    // Medida (puntos) y curva del último ajuste (discontinua)
+    if (meas) {
+        [[magArea, measDb, fitted && fitted.map(p => p.dB), sy], [phaseArea, measPh, fitted && fitted.map(p => p.phase), sp]]
+            .forEach(([pane, ys, fit, scale]) => {
+                if (!ys) return;
+                clipToArea(ctx, pane);
+                if (fit) {
+                    ctx.setLineDash([6, 4]);
+                    drawTrace(ctx, freqs, fit, sx, scale, MEASUREMENT_COLOR, 1.5);
+                    ctx.setLineDash([]);
+                }
+                drawMeasuredPoints(ctx, meas.map((p, i) => ({ x: sx.toPx(p.f), y: scale.toPx(ys[i]) })), pane, colors, pane === magArea);
+                ctx.restore();
+            });
     }
 
-    // Escalar Y dinámicamente
-    let maxAbs = 0;
-    for (let i = 0; i <= points; i++) {
-        const t  = (i / points) * periods / freq;
-        maxAbs = Math.max(maxAbs, Math.abs(inputFn(t)), Math.abs(outputFn(t)));
+    drawBodeMargins(ctx, RLC.responseFeatures(resps[0]).margins, sx, sy, sp, magArea, phaseArea, colors);
+
+    _plot = {
+        mode: 'bode', W, H, area, sx, sy, xs: freqs, log: true,
+        toPx: sx.toPx, fromPx: sx.fromPx, dbToPx: sy.toPx,
+        magArea, phaseArea,
+        series
+    };
+}
+
+function drawBodeFeatures(ctx, resp, fToPx, dbToPx, color, colors) {
+    const { peak, halfPower } = RLC.responseFeatures(resp);
+    ctx.font = '11px sans-serif';
+    const label = (text, x, y) => {
+        const w = ctx.measureText(text).width;
+        ctx.fillStyle = colors.background; ctx.globalAlpha = 0.85;
+        ctx.fillRect(x - 2, y - 11, w + 4, 14);
+        ctx.globalAlpha = 1; ctx.fillStyle = colors.text;
+        ctx.fillText(text, x, y);
+    };
+
+    if (!peak.edge) {
+        const x = fToPx(peak.f), y = dbToPx(peak.dB);
+        ctx.fillStyle = color;
+        ctx.beginPath(); ctx.arc(x, y, 4, 0, 2 * Math.PI); ctx.fill();
+        label(`pico ${peak.dB.toFixed(1)} dB · ${formatEng(peak.f, 'Hz')}`, x + 6, y - 8);
+    }
+    halfPower.forEach(f => {
+        const x = fToPx(f), y = dbToPx(peak.dB - 3);
+        ctx.fillStyle = color;
+        ctx.beginPath(); ctx.moveTo(x, y); ctx.lineTo(x - 5, y - 8); ctx.lineTo(x + 5, y - 8); ctx.closePath(); ctx.fill();
+        label(`−3 dB · ${formatEng(f, 'Hz')}`, x + 6, y + 16);
+    });
+}
+
+/**
+ * Márgenes del primer circuito como si H fuese una ganancia de lazo (sólo si sus cruces caen
+ * en el barrido): el de fase, de −180° a la fase en el cruce por 0 dB; el de ganancia, de
+ * |H| a 0 dB en el cruce de la fase por −180°.
+ */
+function drawBodeMargins(ctx, margins, sx, sy, sp, magArea, phaseArea, colors) {
+    const color = '#d97706';
+    const bar = (area, x, y0, y1, text) => {
+        if (x < area.x || x > area.x + area.w) return;
+        const clamp = y => Math.min(Math.max(y, area.y), area.y + area.h);
+        ctx.strokeStyle = color; ctx.lineWidth = 1; ctx.setLineDash([3, 3]);
+        ctx.beginPath(); ctx.moveTo(area.x, clamp(y0)); ctx.lineTo(area.x + area.w, clamp(y0)); ctx.stroke();
+        ctx.setLineDash([]); ctx.lineWidth = 2;
+        ctx.beginPath(); ctx.moveTo(x, clamp(y0)); ctx.lineTo(x, clamp(y1)); ctx.stroke();
+
+        ctx.font = '11px sans-serif';
+        const w  = ctx.measureText(text).width;
+        const tx = x + 6 + w > area.x + area.w ? x - w - 6 : x + 6;
+        const ty = clamp((y0 + y1) / 2) + 4;
+        ctx.fillStyle = colors.background; ctx.globalAlpha = 0.85;
+        ctx.fillRect(tx - 2, ty - 11, w + 4, 14);
+        ctx.globalAlpha = 1; ctx.fillStyle = color;
+        ctx.fillText(text, tx, ty);
+    };
+
+    if (margins.phase) {
+        const m = margins.phase;
+        bar(phaseArea, sx.toPx(m.f), sp.toPx(-180), sp.toPx(m.deg - 180), `MF = ${m.deg.toFixed(1)}° · ${formatEng(m.f, 'Hz')}`);
+    }
+    if (margins.gain) {
+        const m = margins.gain;
+        bar(magArea, sx.toPx(m.f), sy.toPx(0), sy.toPx(-m.dB), `MG = ${m.dB.toFixed(1)} dB · ${formatEng(m.f, 'Hz')}`);
+    }
+}
+
+/* ============================================================
+   DIAGRAMA DE NYQUIST — Z(jω), Y(jω) o H(jω) con autoescala en proporción 1:1
+   ============================================================ */
+/** Magnitudes que puede trazar el diagrama: valor complejo en f, unidad y color del punto ω₀ */
+const NYQUIST_QUANTITIES = {
+    Z: { label: 'Z', unit: 'Ω', at: (c, f) => RLC.impedance(c, f) },
+    Y: { label: 'Y', unit: 'S', at: (c, f) => RLC.Complex.inv(RLC.impedance(c, f)) },
+    H: { label: 'H', unit: '',  at: (c, f) => RLC.transfer(c, f) }
+};
+const NYQUIST_TICK_GAP = 28;   // px mínimos entre dos marcas de frecuencia etiquetadas
+
+function selectNyquistQuantity(q) {
+    if (!NYQUIST_QUANTITIES[q] || q === state.nyquistQuantity) return;
+    state.nyquistQuantity = q;
+    // La ventana guardada está en las unidades de la magnitud anterior
+    delete state.views.nyquist;
+    drawCanvas();
+    saveState();
+}
+
+/** Frecuencias 1-2-5 dentro de [fa, fb] */
+function decadeTicks125(fa, fb) {
+    const out = [];
+    for (let e = Math.floor(Math.log10(fa)); e <= Math.ceil(Math.log10(fb)); e++) {
+        [1, 2, 5].forEach(m => {
+            const f = m * Math.pow(10, e);
+            if (f >= fa && f <= fb) out.push(f);
+        });
+    }
+    return out;
+}
+
+function drawNyquist(ctx, W, H, colors) {
+    const circuits = getActiveCircuits().filter(c => c.res.f0 > 0);
+    if (!circuits.length) return;
+    const view = state.views.nyquist || {};
+    const area = plotArea(W, H);
+    const qty  = NYQUIST_QUANTITIES[state.nyquistQuantity] || NYQUIST_QUANTITIES.Z;
+    const isH  = qty === NYQUIST_QUANTITIES.H;
+
+    // Barrido de tres décadas a cada lado de las f0: el desplazamiento descubre el resto de la curva
+    const f0s   = circuits.map(c => c.res.f0);
+    const fMin  = Math.min(...f0s), fMax = Math.max(...f0s);
+    const freqs = RLC.logspace(fMin / 1000, fMax * 1000, 401);
+    const curves = circuits.map(c => freqs.map(f => qty.at(c, f)));
+
+    // Autoescala: la curva entre f0/10 y 10·f0 más el origen (y −1 para H), con margen y la misma escala en X e Y
+    let reLo = isH ? -1 : 0, reHi = 0, imLo = 0, imHi = 0;
+    curves.forEach(zs => zs.forEach((z, i) => {
+        if (freqs[i] < fMin / 10 || freqs[i] > fMax * 10 || !isFinite(z.re) || !isFinite(z.im)) return;
+        reLo = Math.min(reLo, z.re); reHi = Math.max(reHi, z.re);
+        imLo = Math.min(imLo, z.im); imHi = Math.max(imHi, z.im);
+    }));
+    const perPx = Math.max((reHi - reLo) / area.w, (imHi - imLo) / area.h, 1e-12) * 1.1;
+    const around = (lo, hi, px) => [(lo + hi) / 2 - perPx * px / 2, (lo + hi) / 2 + perPx * px / 2];
+
+    const sx = makeScale(view.x || around(reLo, reHi, area.w), [area.x, area.x + area.w]);
+    const sy = makeScale(view.y || around(imLo, imHi, area.h), [area.y + area.h, area.y]);
+    drawAxes(ctx, area, {
+        x: { scale: sx, unit: qty.unit, title: `Re(${qty.label})` },
+        y: { scale: sy, unit: qty.unit, title: `Im(${qty.label})` },
+        zero: true
+    }, colors);
+    const px = z => ({ x: sx.toPx(z.re), y: sy.toPx(z.im) });
+    const inside = p => isFinite(p.x) && isFinite(p.y) &&
+        p.x >= area.x && p.x <= area.x + area.w && p.y >= area.y && p.y <= area.y + area.h;
+
+    clipToArea(ctx, area);
+    circuits.forEach((c, k) => {
+        const color = c.color || '#0369a1';
+        // Curva de Nyquist
+        drawTrace(ctx, curves[k].map(z => z.re), curves[k].map(z => z.im), sx, sy, color, 3);
+
+        // Sentido de frecuencia creciente, media década a cada lado de la resonancia
+        [Math.pow(10, -0.5), Math.pow(10, 0.5)].forEach(m => {
+            const f = c.res.f0 * m;
+            drawArrowHead(ctx, px(qty.at(c, f / 1.02)), px(qty.at(c, f)), px(qty.at(c, f * 1.02)), color, 8);
+        });
+
+        // Marcas 1-2-5 de frecuencia sobre la curva del primer circuito
+        if (k === 0) {
+            ctx.font = '10px sans-serif';
+            let last = null;
+            decadeTicks125(freqs[0], freqs[freqs.length - 1]).forEach(f => {
+                const p = px(qty.at(c, f));
+                if (!inside(p) || (last && Math.hypot(p.x - last.x, p.y - last.y) < NYQUIST_TICK_GAP)) return;
+                last = p;
+                ctx.fillStyle = color;
+                ctx.beginPath(); ctx.arc(p.x, p.y, 3, 0, 2 * Math.PI); ctx.fill();
+                ctx.fillStyle = colors.text;
+                ctx.fillText(formatEng(f, 'Hz', 2), p.x + 5, p.y + 12);
+            });
+        }
+
+        // Punto de resonancia
+        const p0 = px(qty.at(c, c.res.f0));
+        if (isFinite(p0.x) && isFinite(p0.y)) {
+            ctx.fillStyle = c.color || '#dc2626';
+            ctx.beginPath(); ctx.arc(p0.x, p0.y, 6, 0, 2 * Math.PI); ctx.fill();
+            ctx.font = 'bold 12px sans-serif';
+            ctx.fillText('ω₀', p0.x + 9, p0.y - 8);
+        }
+    });
+
+    // Medida de la misma magnitud (Y a partir de Z) y curva del último ajuste
+    const measured = measuredComplex(isH ? 'H' : 'Z');
+    if (measured) {
+        const fitted = fittedCircuit();
+        if (fitted) {
+            const zs = freqs.map(f => qty.at(fitted, f));
+            ctx.setLineDash([6, 4]);
+            drawTrace(ctx, zs.map(z => z.re), zs.map(z => z.im), sx, sy, MEASUREMENT_COLOR, 1.5);
+            ctx.setLineDash([]);
+        }
+        const zs = qty === NYQUIST_QUANTITIES.Y ? measured.map(RLC.Complex.inv) : measured;
+        drawMeasuredPoints(ctx, zs.map(px), area, colors);
+    }
+
+    // Punto crítico −1 + j0 de H
+    if (isH) {
+        const p = px({ re: -1, im: 0 });
+        ctx.strokeStyle = '#dc2626'; ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(p.x - 6, p.y); ctx.lineTo(p.x + 6, p.y);
+        ctx.moveTo(p.x, p.y - 6); ctx.lineTo(p.x, p.y + 6);
+        ctx.stroke();
+        ctx.fillStyle = '#dc2626'; ctx.font = 'bold 12px sans-serif';
+        ctx.fillText('−1', p.x - 18, p.y - 8);
+    }
+    ctx.restore();
+
+    _plot = {
+        mode: 'nyquist', W, H, area, sx, sy, xs: freqs, log: true,
+        quantity: qty.label, unit: qty.unit,
+        zToPx: px,
+        series: circuits.map((c, k) => ({ name: c.name || qty.label, color: c.color || '#0369a1', z: curves[k] }))
+    };
+}
+
+/* ============================================================
+   CARTA DE SMITH — Γ(jω) de la impedancia de entrada frente a Z₀
+   ============================================================ */
+const SMITH_Z0     = [50, 75, 600];           // impedancias de referencia (Ω)
+const SMITH_VALUES = [0.2, 0.5, 1, 2, 5];      // r y x normalizados de la rejilla (g y b en admitancia)
+const SMITH_ADMITTANCE_COLOR = '#db2777';
+const SMITH_ADMITTANCE_GRID  = '#f9a8d4';
+
+function selectSmithZ0(z0) {
+    state.smithZ0 = +z0;
+    drawCanvas();
+    saveState();
+}
+
+function toggleSmithAdmittance() {
+    state.smithAdmittance = !state.smithAdmittance;
+    document.getElementById('btn-admittance').classList.toggle('active', state.smithAdmittance);
+    drawCanvas();
+    saveState();
+}
+
+/**
+ * Rejilla de Smith: círculos de r constante y arcos de x constante, recortados al círculo
+ * unidad (radio r1 px). sign = −1 la refleja (Γ → −Γ) y da la de admitancia (g, b).
+ */
+function drawSmithGrid(ctx, px, r1, sign, color) {
+    const o = px({ re: 0, im: 0 });
+    ctx.save();
+    ctx.beginPath(); ctx.arc(o.x, o.y, r1, 0, 2 * Math.PI); ctx.clip();
+    ctx.strokeStyle = color; ctx.lineWidth = 1;
+    SMITH_VALUES.forEach(v => {
+        const c = px({ re: sign * v / (1 + v), im: 0 });
+        ctx.beginPath(); ctx.arc(c.x, c.y, r1 / (1 + v), 0, 2 * Math.PI); ctx.stroke();
+        [1, -1].forEach(s => {
+            const q = px({ re: sign, im: sign * s / v });
+            ctx.beginPath(); ctx.arc(q.x, q.y, r1 / v, 0, 2 * Math.PI); ctx.stroke();
+        });
+    });
+    ctx.beginPath(); ctx.moveTo(o.x - r1, o.y); ctx.lineTo(o.x + r1, o.y); ctx.stroke();
+    ctx.restore();
+}
+
+/** Rótulos de r sobre el eje real y de ±jx en el borde del círculo unidad */
+function drawSmithLabels(ctx, px, colors) {
+    ctx.fillStyle = colors.axis; ctx.font = '10px sans-serif';
+    SMITH_VALUES.forEach(v => {
+        const p = px({ re: (v - 1) / (v + 1), im: 0 });
+        ctx.textAlign = 'left';
+        ctx.fillText(String(v), p.x + 2, p.y - 3);
+        ctx.textAlign = 'center';
+        [1, -1].forEach(s => {
+            // Punto r = 0, x = ±v: Γ = (jx − 1)/(jx + 1), rótulo un 8 % por fuera
+            const g = RLC.Complex.div({ re: -1, im: s * v }, { re: 1, im: s * v });
+            const q = px(RLC.Complex.scale(g, 1.08));
+            ctx.fillText(`${s < 0 ? '−' : '+'}j${v}`, q.x, q.y + 4);
+        });
+    });
+    ctx.textAlign = 'left';
+}
+
+function drawSmith(ctx, W, H, colors) {
+    const circuits = getActiveCircuits().filter(c => c.res.f0 > 0);
+    if (!circuits.length) return;
+    const view = state.views.smith || {};
+    const area = plotArea(W, H);
+    const z0   = state.smithZ0;
+
+    // Barrido de dos décadas a cada lado de las f0: Γ está acotado, la curva entera cabe
+    const f0s   = circuits.map(c => c.res.f0);
+    const freqs = RLC.logspace(Math.min(...f0s) / 100, Math.max(...f0s) * 100, 401);
+    const gammaAt = (c, f) => RLC.reflection(RLC.impedance(c, f), z0).gamma;
+    const curves  = circuits.map(c => freqs.map(f => gammaAt(c, f)));
+
+    // Misma escala en X e Y siempre (los círculos deben seguir siéndolo tras un zoom de recuadro):
+    // el ancho de la ventana manda y Y se centra en la suya
+    const xr = view.x || [-1.1, 1.1];
+    const perPx = view.x ? (xr[1] - xr[0]) / area.w : Math.max(2.2 / area.w, 2.2 / area.h);
+    const cx = (xr[0] + xr[1]) / 2, cy = view.y ? (view.y[0] + view.y[1]) / 2 : 0;
+    const sx = makeScale([cx - perPx * area.w / 2, cx + perPx * area.w / 2], [area.x, area.x + area.w]);
+    const sy = makeScale([cy - perPx * area.h / 2, cy + perPx * area.h / 2], [area.y + area.h, area.y]);
+    const px = g => ({ x: sx.toPx(g.re), y: sy.toPx(g.im) });
+    const r1 = 1 / perPx;
+
+    clipToArea(ctx, area);
+    if (state.smithAdmittance) drawSmithGrid(ctx, px, r1, -1, SMITH_ADMITTANCE_GRID);
+    drawSmithGrid(ctx, px, r1, 1, colors.grid);
+    const o = px({ re: 0, im: 0 });
+    ctx.strokeStyle = colors.axis; ctx.lineWidth = 1.5;
+    ctx.beginPath(); ctx.arc(o.x, o.y, r1, 0, 2 * Math.PI); ctx.stroke();
+    drawSmithLabels(ctx, px, colors);
+
+    circuits.forEach((c, k) => {
+        const color = c.color || '#0369a1';
+        drawTrace(ctx, curves[k].map(g => g.re), curves[k].map(g => g.im), sx, sy, color, 3);
+        const fa = c.res.f0 * Math.pow(10, 0.5);
+        drawArrowHead(ctx, px(gammaAt(c, fa / 1.02)), px(gammaAt(c, fa)), px(gammaAt(c, fa * 1.02)), color, 8);
+
+        // f₀ (relleno) y frecuencia de operación (anillo)
+        const p0 = px(gammaAt(c, c.res.f0)), pf = px(gammaAt(c, state.freq));
+        ctx.fillStyle = ctx.strokeStyle = c.color || '#dc2626';
+        ctx.font = 'bold 12px sans-serif';
+        ctx.beginPath(); ctx.arc(p0.x, p0.y, 6, 0, 2 * Math.PI); ctx.fill();
+        ctx.fillText('f₀', p0.x + 9, p0.y - 8);
+        if (k === 0) {
+            ctx.lineWidth = 2;
+            ctx.beginPath(); ctx.arc(pf.x, pf.y, 7, 0, 2 * Math.PI); ctx.stroke();
+            ctx.fillText(`f ${formatEng(state.freq, 'Hz')}`, pf.x + 10, pf.y + 16);
+        }
+    });
+
+    // Impedancia medida y curva del último ajuste
+    const measured = measuredComplex('Z');
+    if (measured) {
+        const fitted = fittedCircuit();
+        if (fitted) {
+            const gs = freqs.map(f => gammaAt(fitted, f));
+            ctx.setLineDash([6, 4]);
+            drawTrace(ctx, gs.map(g => g.re), gs.map(g => g.im), sx, sy, MEASUREMENT_COLOR, 1.5);
+            ctx.setLineDash([]);
+        }
+        drawMeasuredPoints(ctx, measured.map(z => px(RLC.reflection(z, z0).gamma)), area, colors);
+    }
+    ctx.restore();
+    ctx.strokeStyle = colors.axis; ctx.lineWidth = 1;
+    ctx.strokeRect(area.x, area.y, area.w, area.h);
+
+    ctx.fillStyle = colors.text; ctx.font = '12px sans-serif';
+    ctx.fillText(`Z₀ = ${z0} Ω`, area.x + 8, area.y + 16);
+    if (state.smithAdmittance) {
+        ctx.fillStyle = SMITH_ADMITTANCE_COLOR;
+        ctx.fillText('Rejilla de admitancia', area.x + 8, area.y + 32);
+    }
+
+    _plot = {
+        mode: 'smith', W, H, area, sx, sy, xs: freqs, log: true,
+        quantity: 'Γ', unit: '', z0,
+        zToPx: px,
+        series: circuits.map((c, k) => ({ name: c.name || 'Γ', color: c.color || '#0369a1', z: curves[k] }))
+    };
+}
+
+/* ============================================================
+   PLANO s — polos, ceros y lugar de las raíces al variar R
+   ============================================================ */
+const SPLANE_LOCUS_COLOR = '#7c3aed';
+
+function drawSPlane(ctx, W, H, colors) {
+    const circuits = getActiveCircuits().filter(c => c.res.f0 > 0);
+    if (!circuits.length) return;
+    const view  = state.views.splane || {};
+    const area  = plotArea(W, H);
+    const roots = circuits.map(c => RLC.polesZeros(c));
+    // Lugar de las raíces sólo con un circuito: con varios se confundirían las ramas
+    const locus = circuits.length === 1 ? RLC.rootLocus(circuits[0]) : null;
+
+    // Autoescala: de −2,2·ω0 (o la raíz más lenta visible, hasta −6·ω0) a +0,6·ω0, misma escala
+    // en X e Y; las raíces parásitas, mucho más allá de ω0, quedan fuera y se señalan en el borde
+    const w0 = Math.max(...roots.map(r => r.w0));
+    let reLo = -2.2 * w0, imHi = 1.3 * w0;
+    roots.forEach(r => r.poles.concat(r.zeros).forEach(p => {
+        reLo = Math.min(reLo, Math.max(1.15 * p.re, -6 * w0));
+        imHi = Math.max(imHi, Math.min(1.15 * Math.abs(p.im), 6 * w0));
+    }));
+    const reHi = 0.6 * w0;
+    const perPx = Math.max((reHi - reLo) / area.w, 2 * imHi / area.h);
+    const around = (c, px) => [c - perPx * px / 2, c + perPx * px / 2];
+
+    const sx = makeScale(view.x || around((reLo + reHi) / 2, area.w), [area.x, area.x + area.w]);
+    const sy = makeScale(view.y || around(0, area.h), [area.y + area.h, area.y]);
+    drawAxes(ctx, area, {
+        x: { scale: sx, unit: 's⁻¹', title: 'σ' },
+        y: { scale: sy, unit: 'rad/s', title: 'jω' },
+        zero: true
+    }, colors);
+
+    const px = r => ({ x: sx.toPx(r.re), y: sy.toPx(r.im) });
+    const hover = [];
+    clipToArea(ctx, area);
+
+    // Circunferencia |s| = ω0 de cada circuito: por ella se mueven los polos complejos
+    ctx.lineWidth = 1; ctx.setLineDash([4, 4]);
+    roots.forEach((r, k) => {
+        ctx.strokeStyle = circuits[k].color || colors.axis;
+        ctx.beginPath();
+        ctx.ellipse(sx.toPx(0), sy.toPx(0), Math.abs(sx.toPx(r.w0) - sx.toPx(0)), Math.abs(sy.toPx(r.w0) - sy.toPx(0)), 0, 0, 2 * Math.PI);
+        ctx.stroke();
+    });
+    ctx.setLineDash([]);
+
+    if (locus) {
+        locus.branches.forEach(b => {
+            drawTrace(ctx, b.map(p => p.re), b.map(p => p.im), sx, sy, SPLANE_LOCUS_COLOR, 1.5);
+            // Flecha a mitad de cada tramo en el sentido de R creciente
+            [Math.round(b.length * 0.3), Math.round(b.length * 0.7)].forEach(i =>
+                drawArrowHead(ctx, px(b[i - 1]), px(b[i]), px(b[i + 1]), SPLANE_LOCUS_COLOR));
+        });
+        if (locus.critical) {
+            const q = px(locus.critical.s);
+            ctx.fillStyle = SPLANE_LOCUS_COLOR;
+            ctx.beginPath();
+            ctx.moveTo(q.x, q.y - 7); ctx.lineTo(q.x + 7, q.y); ctx.lineTo(q.x, q.y + 7); ctx.lineTo(q.x - 7, q.y);
+            ctx.closePath(); ctx.fill();
+            ctx.font = '11px sans-serif';
+            ctx.fillText(`ζ = 1 · R = ${formatEng(locus.critical.R, 'Ω')}`, q.x + 9, q.y - 9);
+            hover.push({ ...locus.critical.s, kind: 'Ruptura (ζ = 1)', color: SPLANE_LOCUS_COLOR, R: locus.critical.R });
+        }
+    }
+
+    // Polos (×) y ceros (○); las raíces repetidas se rotulan con su multiplicidad
+    roots.forEach((r, k) => {
+        const color = circuits[k].color || '#dc2626';
+        const name  = circuits[k].name;
+        ctx.strokeStyle = color; ctx.lineWidth = 2.5;
+        r.poles.forEach(p => {
+            const q = px(p);
+            ctx.beginPath();
+            ctx.moveTo(q.x - 6, q.y - 6); ctx.lineTo(q.x + 6, q.y + 6);
+            ctx.moveTo(q.x - 6, q.y + 6); ctx.lineTo(q.x + 6, q.y - 6);
+            ctx.stroke();
+            hover.push({ ...p, kind: 'Polo', color, name });
+        });
+        ctx.lineWidth = 2;
+        r.zeros.forEach((z, i) => {
+            const q = px(z);
+            ctx.beginPath(); ctx.arc(q.x, q.y, 6, 0, 2 * Math.PI); ctx.stroke();
+            const n = r.zeros.filter(o => o.re === z.re && o.im === z.im).length;
+            if (n > 1 && r.zeros.findIndex(o => o.re === z.re && o.im === z.im) === i) {
+                ctx.fillStyle = color; ctx.font = 'bold 11px sans-serif';
+                ctx.fillText(`×${n}`, q.x + 8, q.y - 8);
+            }
+            hover.push({ ...z, kind: 'Cero', color, name });
+        });
+    });
+    ctx.restore();
+
+    // Raíces fuera de la vista por la izquierda o por arriba: se indica su posición en el borde, apiladas
+    ctx.font = '11px sans-serif';
+    let stacked = 0;
+    roots.forEach((r, k) => [['polo', r.poles], ['cero', r.zeros]].forEach(([kind, list]) => list.forEach(p => {
+        if ((sx.toPx(p.re) >= area.x && sy.toPx(p.im) >= area.y) || p.im < 0) return;
+        const y = Math.min(Math.max(sy.toPx(p.im), area.y + 14), area.y + area.h) - 8 - 14 * stacked++;
+        ctx.fillStyle = circuits[k].color || '#dc2626';
+        ctx.fillText(`← ${kind} en s = ${formatEng(p.re, 's⁻¹')}${p.im ? ` ± j${formatEng(p.im, 'rad/s')}` : ''}`, area.x + 6, y);
+    })));
+
+    _plot = { mode: 'splane', W, H, area, sx, sy, xs: [], log: false, toPx: sx.toPx, fromPx: sx.fromPx, series: [], roots: hover, rootToPx: px };
+}
+
+/** Lectura de la raíz más cercana al puntero (valor, ζ y ωn) o, si no hay, de la coordenada s */
+function drawRootReadout(ctx, colors) {
+    if (!_cursor || (_gesture && _gesture.moved)) return;
+    let best = null, bestD = 12;
+    _plot.roots.forEach(r => {
+        const q = _plot.rootToPx(r);
+        const d = Math.hypot(q.x - _cursor.x, q.y - _cursor.y);
+        if (d <= bestD) { bestD = d; best = r; }
+    });
+    const cplx = (re, im) => `s = ${formatEng(re, 's⁻¹')}` + (im ? ` ${im < 0 ? '−' : '+'} j${formatEng(Math.abs(im), 'rad/s')}` : '');
+    const lines = [];
+    if (best) {
+        const q = _plot.rootToPx(best);
+        ctx.strokeStyle = best.color; ctx.lineWidth = 1.5;
+        ctx.beginPath(); ctx.arc(q.x, q.y, 10, 0, 2 * Math.PI); ctx.stroke();
+        lines.push({ text: `${best.kind}${best.name ? ` · ${best.name}` : ''}`, color: best.color }, { text: cplx(best.re, best.im) });
+        lines.push({ text: `ζ = ${best.zeta === null ? '—' : best.zeta.toFixed(4)} · ωn = ${formatEng(best.wn, 'rad/s')} (${formatEng(best.wn / (2 * Math.PI), 'Hz')})` });
+        if (best.R) lines.push({ text: `R crítica = ${formatEng(best.R, 'Ω')}` });
+    } else {
+        lines.push({ text: cplx(_plot.sx.fromPx(_cursor.x), _plot.sy.fromPx(_cursor.y)) });
     }
-    if (maxAbs < 1e-12) maxAbs = 1;
-    const yScale = (H / 2.5) / maxAbs;
+    const a = _plot.area, left = _cursor.x > a.x + a.w / 2;
+    drawReadoutBox(ctx, lines, left ? _cursor.x - 12 : _cursor.x + 12, _cursor.y + 12, colors, left);
+}
+
+/* ============================================================
+   ESPECTRO FFT
+   ============================================================ */
+function drawFFT(ctx, W, H, colors) {
+    const circuits = getActiveCircuits();
+    const signal   = currentSignal();
+    const analyses = circuits.map(c => RLC.spectrumAnalysis(c, c.signal || signal, state.fftWindow));
+    const first    = analyses[0];
+    const view     = state.views.fft || {};
+    const area     = plotArea(W, H);
+
+    // Autoescala: hasta el décimo armónico y FFT_DB_SPAN dB por debajo del máximo visible
+    const [fa, fb] = view.x || [0, Math.min(first.fs / 2, 10 * first.f1)];
+    const top = spectrumTop(analyses.flatMap(a => [a.input, a.output]), fb);
+    const sx  = makeScale([fa, fb], [area.x, area.x + area.w]);
+    const sy  = makeScale(view.y || [top - FFT_DB_SPAN, top], [area.y + area.h, area.y]);
+    drawAxes(ctx, area, {
+        x: { scale: sx, unit: 'Hz', title: 'f' },
+        y: { scale: sy, unit: 'dB', title: 'dB' }
+    }, colors);
+
+    // Entrada (común salvo al barrer frecuencia o amplitud: una por curva, discontinua) y salida de cada circuito
+    clipToArea(ctx, area);
+    if (circuits.some(c => c.signal)) {
+        ctx.setLineDash([6, 4]);
+        analyses.forEach((a, k) => drawSpectrumLine(ctx, a.input, sx, sy, circuits[k].color || '#0369a1', 1.5));
+        ctx.setLineDash([]);
+    } else {
+        drawSpectrumLine(ctx, first.input, sx, sy, '#0369a1', 1.5);
+    }
+    analyses.forEach((a, k) => {
+        drawSpectrumLine(ctx, a.output, sx, sy, circuits[k].color || '#059669', 2);
+    });
+    ctx.restore();
+
+    drawHarmonicReadout(ctx, area, colors, first);
+
+    // Bins visibles, para cursores y marcadores
+    const f  = first.input.f;
+    const k0 = Math.max(f.findIndex(v => v >= fa), 0);
+    let k1   = f.findIndex(v => v > fb);
+    if (k1 < 0) k1 = f.length;
+    _plot = {
+        mode: 'fft', W, H, area, sx, sy, xs: f.slice(k0, k1), log: false,
+        toPx: sx.toPx, fromPx: sx.fromPx,
+        series: [{ name: 'Entrada', color: '#0369a1', dB: first.input.dB.slice(k0, k1) }]
+            .concat(analyses.map((a, k) => ({
+                name: circuits[k].name || outputName(circuits[k]), color: circuits[k].color || '#059669', dB: a.output.dB.slice(k0, k1)
+            })))
+    };
+}
+
+/** Nivel superior del eje de dB (múltiplo de 10) para los espectros visibles */
+function spectrumTop(spectra, fMax) {
+    let top = -Infinity;
+    spectra.forEach(sp => sp.dB.forEach((d, k) => {
+        if (sp.f[k] <= fMax) top = Math.max(top, d);
+    }));
+    return Number.isFinite(top) ? Math.ceil(top / 10) * 10 : 0;
+}
+
+/** Traza un espectro en dB con las escalas dadas; los niveles se acotan al dominio de sy */
+function drawSpectrumLine(ctx, sp, sx, sy, color, lw) {
+    const [fa, fb] = sx.domain, [lo, hi] = sy.domain;
+    ctx.beginPath();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lw;
+    let started = false;
+    for (let k = 0; k < sp.f.length && sp.f[k] <= fb; k++) {
+        if (sp.f[k] < fa) continue;
+        const x = sx.toPx(sp.f[k]);
+        const y = sy.toPx(Math.min(Math.max(sp.dB[k], lo), hi));
+        started ? ctx.lineTo(x, y) : ctx.moveTo(x, y);
+        started = true;
+    }
+    ctx.stroke();
+}
+
+/** Lecturas de THD, SNR y armónicos de la salida del primer circuito, arriba a la derecha del área */
+function drawHarmonicReadout(ctx, area, colors, a) {
+    const lines = [`Ventana: ${state.fftWindow}`];
+    const h = a.outputHarmonics;
+    if (h) {
+        lines.push(`THD: ${(h.thd * 100).toFixed(3)} % (${formatDbLevel(h.thd_dB)} dB)`);
+        lines.push(`SNR: ${formatDbLevel(h.snr)} dB`);
+        h.harmonics.forEach(hm => lines.push(`H${hm.n} (${formatFreqShort(hm.f)}): ${formatDbLevel(hm.dBc)} dBc`));
+    } else {
+        lines.push('Señal no periódica: sin THD/SNR');
+    }
+
+    const bw = 190, bh = lines.length * 14 + 8;
+    const x0 = area.x + area.w - bw - 6, y0 = area.y + 6;
+    ctx.fillStyle = colors.background; ctx.globalAlpha = 0.9;
+    ctx.fillRect(x0, y0, bw, bh);
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = colors.axis; ctx.lineWidth = 1;
+    ctx.strokeRect(x0, y0, bw, bh);
+    ctx.fillStyle = colors.text; ctx.font = '11px sans-serif';
+    lines.forEach((l, i) => ctx.fillText(l, x0 + 6, y0 + 16 + i * 14));
+}
+
+/** Niveles en dB con suelo numérico: por debajo de FFT_DB_FLOOR se muestran acotados */
+function formatDbLevel(d) {
+    if (d > -FFT_DB_FLOOR && d < FFT_DB_FLOOR) return d.toFixed(1);
+    return d > 0 ? `> ${FFT_DB_FLOOR}` : `< −${FFT_DB_FLOOR}`;
+}
+
+function formatFreqShort(f) {
+    if (f >= 1e6) return (f / 1e6).toFixed(1) + 'M';
+    if (f >= 1e3) return (f / 1e3).toFixed(1) + 'k';
+    return f.toFixed(0);
+}
+
+/* ============================================================
+   BARRIDO — métricas derivadas frente al parámetro barrido
+   ============================================================ */
+const SWEEP_METRICS = [
+    { key: 'f0',        label: 'f₀',               unit: 'Hz' },
+    { key: 'Q',         label: 'Q',                unit: '' },
+    { key: 'BW',        label: 'BW',               unit: 'Hz' },
+    { key: 'gain_dB',   label: 'Ganancia (dB)',    unit: 'dB' },
+    { key: 'overshoot', label: 'Sobreimpulso (%)', unit: '' }
+];
+
+let _sweepMetricsCache = { key: null, rows: null };
+
+/** Métricas de cada circuito del barrido; el sobreimpulso se mide sobre su respuesta al escalón */
+function sweepMetricRows(circuits) {
+    const key = JSON.stringify([state.sweep, circuitFromState(), state.freq, state.amp]);
+    if (_sweepMetricsCache.key !== key) {
+        _sweepMetricsCache = {
+            key,
+            rows: circuits.map(c => ({
+                x: c.sweepValue, color: c.color,
+                ...c.res,
+                overshoot: RLC.stepAnalysis(c, (c.signal || currentSignal()).amp).overshoot
+            }))
+        };
+    }
+    return _sweepMetricsCache.rows;
+}
+
+function drawSweepMetrics(ctx, W, H, colors) {
+    if (!state.sweep.active) {
+        ctx.fillStyle = colors.text; ctx.font = '13px sans-serif'; ctx.textAlign = 'center';
+        ctx.fillText('Inicie un barrido paramétrico (📈 Barrido) para ver f₀, Q, BW, ganancia y sobreimpulso', W / 2, H / 2);
+        ctx.textAlign = 'left';
+        return;
+    }
+    const key  = sweepKey(state.sweep.param);
+    const rows = sweepMetricRows(getActiveCircuits());
+    const xs   = rows.map(r => r.x);
+    const sw   = state.sweep;
+    const cols = 3, cw = W / cols, ch = H / 2;
+
+    SWEEP_METRICS.forEach((m, k) => {
+        const pts  = rows.filter(r => r[m.key] !== null && isFinite(r[m.key]));
+        const area = {
+            x: (k % cols) * cw + 52, y: Math.floor(k / cols) * ch + 10,
+            w: Math.max(cw - 62, 10), h: Math.max(ch - 44, 10)
+        };
+        let lo = Math.min(...pts.map(r => r[m.key])), hi = Math.max(...pts.map(r => r[m.key]));
+        if (!pts.length) { lo = 0; hi = 1; }
+        const pad = (hi - lo) * 0.1 || Math.abs(hi) * 0.1 || 1;
+        const sx = makeScale([Math.min(...xs), Math.max(...xs)], [area.x, area.x + area.w], sw.scale === 'log');
+        const sy = makeScale([lo - pad, hi + pad], [area.y + area.h, area.y]);
+        drawAxes(ctx, area, {
+            x: { scale: sx, unit: SWEEP_UNITS[key], title: SWEEP_LABELS[key] },
+            y: { scale: sy, unit: m.unit, title: '' }
+        }, colors);
+
+        clipToArea(ctx, area);
+        drawTrace(ctx, pts.map(r => r.x), pts.map(r => r[m.key]), sx, sy, colors.axis, 1.5);
+        pts.forEach(r => {
+            ctx.fillStyle = r.color;
+            ctx.beginPath(); ctx.arc(sx.toPx(r.x), sy.toPx(r[m.key]), 4, 0, 2 * Math.PI); ctx.fill();
+        });
+        ctx.restore();
 
-    // Dibujar entrada
-    drawSignalLine(ctx, points, W, H, periods, freq, inputFn, '#0369a1', 3, yScale);
-    // Dibujar salida
-    drawSignalLine(ctx, points, W, H, periods, freq, outputFn, '#059669', 3, yScale);
+        ctx.fillStyle = colors.text; ctx.font = '11px sans-serif';
+        ctx.fillText(pts.length ? m.label : `${m.label}: no definido`, area.x + 6, area.y + 14);
+    });
 }
 
-function drawSignalLine(ctx, pts, W, H, periods, freq, fn, color, lw, yScale) {
+/* ============================================================
+   TOLERANCIAS — envolvente de Bode e histogramas de f₀, Q y BW
+   ============================================================ */
+const TOLERANCE_BINS = 24;
+
+function drawTolerance(ctx, W, H, colors) {
+    ctx.fillStyle = colors.text; ctx.font = '13px sans-serif'; ctx.textAlign = 'center';
+    if (!_toleranceResult) {
+        ctx.fillText('Ejecute «Analizar tolerancias» en la pestaña Tolerancias del panel de control', W / 2, H / 2);
+        ctx.textAlign = 'left';
+        return;
+    }
+    ctx.textAlign = 'left';
+    const a     = _toleranceResult.analysis;
+    const split = Math.round(H * 0.58);
+
+    // Envolvente de |H|: banda de Monte Carlo, límites de peor caso y curva nominal
+    const area = plotArea(W, split);
+    const { freqs, envelope: env, worst } = a;
+    let hi = -Infinity, lo = Infinity;
+    [env.max, worst.envelope.max].forEach(c => c.forEach(v => { hi = Math.max(hi, v); }));
+    [env.min, worst.envelope.min].forEach(c => c.forEach(v => { lo = Math.min(lo, v); }));
+    const top = Math.ceil(hi / 10) * 10 + 10;
+    const sx  = makeScale([freqs[0], freqs[freqs.length - 1]], [area.x, area.x + area.w], true);
+    const sy  = makeScale([Math.min(Math.floor(Math.max(lo, hi - 80) / 10) * 10, top - 20), top], [area.y + area.h, area.y]);
+    drawAxes(ctx, area, { x: { scale: sx, unit: 'Hz', title: 'f' }, y: { scale: sy, unit: 'dB', title: '|H| dB' } }, colors);
+
+    clipToArea(ctx, area);
     ctx.beginPath();
-    ctx.strokeStyle = color;
-    ctx.lineWidth = lw;
-    for (let i = 0; i <= pts; i++) {
-        const t = (i / pts) * periods / freq;
-        const x = (i / pts) * W;
-        const y = H / 2 - fn(t) * yScale;
-        i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
+    freqs.forEach((f, i) => ctx.lineTo(sx.toPx(f), sy.toPx(env.max[i])));
+    for (let i = freqs.length - 1; i >= 0; i--) ctx.lineTo(sx.toPx(freqs[i]), sy.toPx(env.min[i]));
+    ctx.closePath();
+    ctx.fillStyle = '#059669'; ctx.globalAlpha = 0.25; ctx.fill(); ctx.globalAlpha = 1;
+    ctx.setLineDash([6, 4]);
+    drawTrace(ctx, freqs, worst.envelope.max, sx, sy, '#dc2626', 1.5);
+    drawTrace(ctx, freqs, worst.envelope.min, sx, sy, '#dc2626', 1.5);
+    ctx.setLineDash([]);
+    drawTrace(ctx, freqs, a.nominal.dB, sx, sy, '#0369a1', 2.5);
+    ctx.restore();
+
+    ctx.font = '11px sans-serif'; ctx.textAlign = 'right';
+    const legend = [
+        ['#0369a1', 'Nominal'],
+        ['#059669', `Monte Carlo (${a.samples.f0.length} ensayos)`],
+        ['#dc2626', `Peor caso (${worst.corners} esquinas)`]
+    ];
+    legend.forEach(([c, text], i) => {
+        ctx.fillStyle = c;
+        ctx.fillText(text, area.x + area.w - 6, area.y + 14 + i * 14);
+    });
+    if (_toleranceResult.key !== toleranceKey()) {
+        ctx.fillStyle = '#d97706';
+        ctx.fillText('Resultados desfasados: vuelva a analizar', area.x + area.w - 6, area.y + 14 + legend.length * 14);
     }
-    ctx.stroke();
+    ctx.textAlign = 'left';
+
+    // Histogramas con la especificación (rojo), el nominal y los extremos de peor caso
+    const spec = state.tolerance.spec;
+    const cell = W / RLC.TOLERANCE_METRICS.length;
+    RLC.TOLERANCE_METRICS.forEach((k, i) => {
+        const ha = { x: i * cell + 40, y: split + 6, w: Math.max(cell - 52, 10), h: Math.max(H - split - 36, 10) };
+        const values = a.samples[k];
+        const marks  = [a.worst[k][0], a.worst[k][1], ...spec[k].filter(v => v !== null)];
+        const h  = RLC.histogram(values, TOLERANCE_BINS,
+            Math.min(a.stats[k].min, ...marks), Math.max(a.stats[k].max, ...marks));
+        const hx = makeScale([h.lo, h.hi], [ha.x, ha.x + ha.w]);
+        const hy = makeScale([0, Math.max(...h.counts) * 1.15 || 1], [ha.y + ha.h, ha.y]);
+        drawAxes(ctx, ha, { x: { scale: hx, unit: METRIC_UNITS[k], title: METRIC_LABELS[k] }, y: { scale: hy, unit: '', title: '' } }, colors);
+
+        const [sLo, sHi] = spec[k];
+        h.counts.forEach((n, b) => {
+            const mid = h.lo + (b + 0.5) * h.width;
+            const ok  = (sLo === null || mid >= sLo) && (sHi === null || mid <= sHi);
+            ctx.fillStyle = ok ? '#059669' : '#dc2626';
+            ctx.globalAlpha = 0.6;
+            const x0 = hx.toPx(h.lo + b * h.width), x1 = hx.toPx(h.lo + (b + 1) * h.width);
+            ctx.fillRect(x0, hy.toPx(n), Math.max(x1 - x0 - 1, 1), hy.toPx(0) - hy.toPx(n));
+        });
+        ctx.globalAlpha = 1;
+
+        const vLine = (v, color, dash) => {
+            ctx.strokeStyle = color; ctx.lineWidth = 1.5; ctx.setLineDash(dash);
+            ctx.beginPath(); ctx.moveTo(hx.toPx(v), ha.y); ctx.lineTo(hx.toPx(v), ha.y + ha.h); ctx.stroke();
+        };
+        vLine(a.nominal[k], '#0369a1', []);
+        a.worst[k].forEach(v => vLine(v, '#d97706', [4, 3]));
+        [sLo, sHi].forEach(v => { if (v !== null) vLine(v, '#dc2626', []); });
+        ctx.setLineDash([]);
+    });
 }
 
 /* ============================================================
-   DIAGRAMA DE BODE — zoom sobre eje frecuencia
+   CURSORES Y MARCADORES — capa superpuesta al canvas principal
    ============================================================ */
-function drawBode(ctx, W, H, colors) {
-    const f0 = state.f0;
-    const Q  = state.Q;
-    if (f0 <= 0) return;
-
-    // FIX: zoom estrecha/amplía el rango de décadas mostrado
-    const decades  = 4 / state.zoom;
-    const logStart = Math.log10(f0) - decades / 2;
-    const N        = 300;
-
-    // Magnitud
-    ctx.beginPath(); ctx.strokeStyle = '#0369a1'; ctx.lineWidth = 3;
-    for (let i = 0; i <= N; i++) {
-        const f = Math.pow(10, logStart + (i / N) * decades);
-        const u = f / f0;
-        const H_ = computeHFromU(u, Q);
-        const dB  = 20 * Math.log10(Math.max(H_, 1e-10));
-        const x   = (i / N) * W;
-        const y   = H - 40 - (dB + 60) * (H - 80) / 60;
-        i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
+/**
+ * Vista dibujada en coordenadas de datos, la rellena cada función de dibujo:
+ *   { mode, W, H, area, sx, sy, xs, log, toPx, fromPx, series }   Temporal, Bode y FFT (xs: t o f)
+ *   { mode: 'nyquist' | 'smith', W, H, area, sx, sy, xs, zToPx, series }   curvas en el plano
+ *     complejo: Nyquist y Smith (xs: f de cada punto; en Smith, series[].z es Γ)
+ */
+let _plot      = null;
+let _cursor    = null;   // posición del puntero { x, y } en px del canvas, o null
+let _markers   = {};     // vista → [x1, x2] en unidades del eje (s o Hz)
+let _dragIndex = -1;     // marcador arrastrado, -1 si ninguno
+let _gesture   = null;   // { type: 'pan' | 'box', start, sx, sy, moved } mientras se arrastra el fondo
+
+const MARKER_COLORS = ['#0891b2', '#c026d3'];
+const MARKER_GRAB   = 10;   // px de tolerancia para agarrar un marcador
+
+/** ys interpolado en x (xs creciente); en ejes logarítmicos la interpolación se hace en log10(x) */
+function interpolateAt(xs, ys, x, log) {
+    let lo = 0, hi = xs.length - 1;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        xs[mid] <= x ? lo = mid : hi = mid;
     }
-    ctx.stroke();
+    const t = log ? Math.log10(x / xs[lo]) / Math.log10(xs[hi] / xs[lo]) : (x - xs[lo]) / (xs[hi] - xs[lo]);
+    return ys[lo] + Math.min(Math.max(t, 0), 1) * (ys[hi] - ys[lo]);
+}
 
-    // Fase
-    ctx.beginPath(); ctx.strokeStyle = '#7c3aed'; ctx.lineWidth = 2; ctx.setLineDash([5, 5]);
-    for (let i = 0; i <= N; i++) {
-        const f    = Math.pow(10, logStart + (i / N) * decades);
-        const u    = f / f0;
-        const ph   = computePhase(u, Q);
-        const x    = (i / N) * W;
-        const y    = H - 40 - (ph + 180) * (H - 80) / 360;
-        i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
-    }
-    ctx.stroke(); ctx.setLineDash([]);
-
-    // Línea de f0
-    const f0x = ((Math.log10(f0) - logStart) / decades) * W;
-    if (f0x > 0 && f0x < W) {
-        ctx.strokeStyle = '#dc2626'; ctx.lineWidth = 1; ctx.setLineDash([5, 5]);
-        ctx.beginPath(); ctx.moveTo(f0x, 0); ctx.lineTo(f0x, H); ctx.stroke();
-        ctx.setLineDash([]);
-        ctx.fillStyle = '#dc2626'; ctx.font = 'bold 12px sans-serif';
-        ctx.fillText('f₀', f0x + 4, 18);
+/** Valores del primer circuito en la abscisa x: las filas de la lectura de un marcador */
+function readoutAt(x) {
+    const p = _plot;
+    if (p.mode === 'time') {
+        return p.series.map(s => ({ name: s.name, color: s.color, value: interpolateAt(p.xs, s.values, x, false), unit: s.unit }));
+    }
+    if (p.mode === 'bode') {
+        return p.series.map(s => ({
+            name: s.name, color: s.color,
+            dB:    interpolateAt(p.xs, s.resp.map(r => r.dB), x, true),
+            phase: interpolateAt(p.xs, s.resp.map(r => r.phase), x, true)
+        }));
+    }
+    if (p.mode === 'fft') {
+        return p.series.map(s => ({ name: s.name, color: s.color, dB: interpolateAt(p.xs, s.dB, x, false) }));
     }
+    return p.series.map(s => ({
+        name: s.name, color: s.color,
+        re: interpolateAt(p.xs, s.z.map(z => z.re), x, true),
+        im: interpolateAt(p.xs, s.z.map(z => z.im), x, true)
+    }));
+}
 
-    // Etiquetas dB
-    ctx.fillStyle = colors.text; ctx.font = '11px sans-serif';
-    [-60, -40, -20, 0, 20].forEach(db => {
-        const y = H - 40 - (db + 60) * (H - 80) / 60;
-        ctx.fillText(`${db}dB`, 2, y - 2);
+/** Frecuencia del punto de la primera curva (Nyquist o Smith) más cercano al píxel (px, py) */
+function nyquistFreqAt(px, py) {
+    const p = _plot, zs = p.series[0].z;
+    let best = 0, bestD = Infinity;
+    zs.forEach((z, i) => {
+        const q = p.zToPx(z);
+        const d = Math.hypot(q.x - px, q.y - py);
+        if (d < bestD) { bestD = d; best = i; }
+    });
+    return { f: p.xs[best], dist: bestD };
+}
+
+/** Abscisa de datos bajo el puntero (t o f; en Nyquist, f del punto más cercano de la curva) */
+function plotXAt(px, py) {
+    if (_plot.zToPx) return nyquistFreqAt(px, py).f;
+    const a = _plot.area;
+    const x = _plot.fromPx(Math.min(Math.max(px, a.x), a.x + a.w));
+    return Math.min(Math.max(x, _plot.xs[0]), _plot.xs[_plot.xs.length - 1]);
+}
+
+/** Posición en píxeles de un marcador de la vista actual */
+function markerPx(x) {
+    if (!_plot.zToPx) return { x: _plot.toPx(x), y: null };
+    const s = _plot.series[0];
+    return _plot.zToPx({
+        re: interpolateAt(_plot.xs, s.z.map(z => z.re), x, true),
+        im: interpolateAt(_plot.xs, s.z.map(z => z.im), x, true)
     });
 }
 
-function computeHFromU(u, Q) {
-    const denom = Math.sqrt(Math.pow(1 - u * u, 2) + Math.pow(u / Q, 2));
-    switch (state.activePreset) {
-        case 'hpf':   return (u * u) / denom;
-        case 'bpf':   return (u / Q)  / denom;
-        case 'notch': return Math.abs(1 - u * u) / denom;
-        default:      return 1 / denom;
+/** Marcadores de la vista actual; se recolocan a 1/3 y 2/3 si quedan fuera del rango visible */
+function currentMarkers() {
+    const xs = _plot.xs, lo = xs[0], hi = xs[xs.length - 1];
+    let m = _markers[_plot.mode];
+    if (!m || m.some(x => x < lo || x > hi)) {
+        const at = k => _plot.log ? lo * Math.pow(hi / lo, k) : lo + (hi - lo) * k;
+        m = _markers[_plot.mode] = [at(1 / 3), at(2 / 3)];
     }
+    return m;
+}
+
+function toggleMarkers() {
+    state.showMarkers = !state.showMarkers;
+    document.getElementById('btn-markers').classList.toggle('active', state.showMarkers);
+    drawOverlay();
+    saveState();
 }
 
-function computePhase(u, Q) {
-    return -Math.atan2(Q * (u - 1 / u), 1) * 180 / Math.PI;
+function toggleAsymptotes() {
+    state.bodeAsymptotes = !state.bodeAsymptotes;
+    document.getElementById('btn-asymptotes').classList.toggle('active', state.bodeAsymptotes);
+    drawCanvas();
+    saveState();
 }
 
-/* ============================================================
-   DIAGRAMA DE NYQUIST — FIX: escala adaptativa
-   ============================================================ */
-function drawNyquist(ctx, W, H, colors) {
-    const R   = Math.max(state.R, 1e-6);
-    const L   = Math.max(state.L, 1e-12);
-    const C   = Math.max(state.C, 1e-12);
-    const cx  = W / 2, cy = H / 2;
-    const N   = 300;
-
-    // FIX: Calcular rango real de Z para escalar dinámicamente
-    let maxMag = 0;
-    for (let i = 0; i <= N; i++) {
-        const logf = 1 + (i / N) * 5; // 10 Hz a 100 kHz
-        const f    = Math.pow(10, logf);
-        const w    = 2 * Math.PI * f;
-        const Zim  = w * L - 1 / (w * C);
-        const Zmag = Math.sqrt(R * R + Zim * Zim);
-        if (isFinite(Zmag)) maxMag = Math.max(maxMag, Zmag);
-    }
-    const scale = (Math.min(W, H) * 0.4 / maxMag) * state.zoom;
-
-    // Ejes
-    ctx.strokeStyle = colors.axis; ctx.lineWidth = 1.5;
-    ctx.beginPath(); ctx.moveTo(0, cy); ctx.lineTo(W, cy);
-    ctx.moveTo(cx, 0); ctx.lineTo(cx, H); ctx.stroke();
-
-    // Curva de Nyquist
-    ctx.beginPath(); ctx.strokeStyle = '#0369a1'; ctx.lineWidth = 3;
-    let first = true;
-    for (let i = 0; i <= N; i++) {
-        const logf  = 1 + (i / N) * 5;
-        const f     = Math.pow(10, logf);
-        const w     = 2 * Math.PI * f;
-        const Zreal = R;
-        const Zimag = w * L - 1 / (w * C);
-        const x = cx + Zreal * scale;
-        const y = cy - Zimag * scale;
-        if (!isFinite(x) || !isFinite(y)) continue;
-        first ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
-        first = false;
+/** Lecturas formateadas de una fila según la vista */
+function formatReadout(r) {
+    if (_plot.mode === 'time') return `${r.name}: ${formatEng(r.value, r.unit)}`;
+    if (_plot.mode === 'bode') return `${r.name}: ${r.dB.toFixed(2)} dB · ${r.phase.toFixed(1)}°`;
+    if (_plot.mode === 'fft')  return `${r.name}: ${formatDbLevel(r.dB)} dB`;
+    if (_plot.mode === 'smith') {
+        const mag  = Math.hypot(r.re, r.im);
+        const vswr = mag < 1 ? ((1 + mag) / (1 - mag)).toFixed(2) : '∞';
+        return `${r.name}: ${mag.toFixed(3)}∠${RLC.Complex.argDeg(r).toFixed(1)}° · ROE ${vswr} · RL ${(-RLC.toDb(mag)).toFixed(1)} dB`;
     }
-    ctx.stroke();
+    const sign = r.im < 0 ? '−' : '+', unit = _plot.unit;
+    return `${r.name}: ${formatTick(r.re, unit)} ${sign} j${formatTick(Math.abs(r.im), unit)}`;
+}
 
-    // Punto de resonancia
-    const w0 = 2 * Math.PI * state.f0;
-    const Z0im = w0 * L - 1 / (w0 * C);
-    const x0 = cx + R * scale;
-    const y0 = cy - Z0im * scale;
-    if (isFinite(x0) && isFinite(y0)) {
-        ctx.fillStyle = '#dc2626';
-        ctx.beginPath(); ctx.arc(x0, y0, 6, 0, 2 * Math.PI); ctx.fill();
-        ctx.fillStyle = '#dc2626'; ctx.font = 'bold 12px sans-serif';
-        ctx.fillText('ω₀', x0 + 9, y0 - 8);
+const formatAbscissa = x => _plot.mode === 'time' ? `t = ${formatEng(x, 's')}` : `f = ${formatEng(x, 'Hz')}`;
+
+/**
+ * Cuadro de texto con fondo; (x, y) es su esquina superior izquierda, o la derecha con
+ * alignRight. Se mantiene dentro del área de trazado.
+ */
+function drawReadoutBox(ctx, lines, x, y, colors, alignRight = false) {
+    ctx.font = '11px sans-serif';
+    const w = Math.max(...lines.map(l => ctx.measureText(l.text).width)) + 12;
+    const h = lines.length * 14 + 8;
+    if (alignRight) x -= w;
+    const a = _plot.area;
+    x = Math.min(Math.max(x, a.x + 2), a.x + a.w - w - 2);
+    y = Math.min(Math.max(y, a.y + 2), a.y + a.h - h - 2);
+    ctx.fillStyle = colors.background; ctx.globalAlpha = 0.92;
+    ctx.fillRect(x, y, w, h);
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = colors.axis; ctx.lineWidth = 1;
+    ctx.strokeRect(x, y, w, h);
+    lines.forEach((l, i) => {
+        ctx.fillStyle = l.color || colors.text;
+        ctx.fillText(l.text, x + 6, y + 16 + i * 14);
+    });
+}
+
+/** Redibuja sólo la capa de cursores: no recalcula las respuestas */
+function drawOverlay() {
+    const { ctx, W, H } = resizeCanvas('cursor-canvas');
+    ctx.clearRect(0, 0, W, H);
+    if (!_plot) return;
+    const colors = getThemeColors();
+    const a = _plot.area;
+
+    // Recuadro de zoom en curso
+    if (_gesture && _gesture.type === 'box' && _cursor) {
+        const { start } = _gesture;
+        ctx.fillStyle = 'rgba(3, 105, 161, 0.12)'; ctx.strokeStyle = '#0369a1'; ctx.lineWidth = 1;
+        ctx.fillRect(start.x, start.y, _cursor.x - start.x, _cursor.y - start.y);
+        ctx.strokeRect(start.x, start.y, _cursor.x - start.x, _cursor.y - start.y);
+        return;
     }
+    if (_plot.mode === 'splane') { drawRootReadout(ctx, colors); return; }
+    if (_plot.xs.length < 2) return;
+
+    if (state.showMarkers) drawMarkers(ctx, colors);
+
+    if (_cursor && !(_gesture && _gesture.moved)) {
+        const x = plotXAt(_cursor.x, _cursor.y);
+        const pos = _plot.zToPx ? markerPx(x) : { x: _plot.toPx(x), y: _cursor.y };
+        ctx.strokeStyle = colors.axis; ctx.lineWidth = 1; ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(pos.x, a.y); ctx.lineTo(pos.x, a.y + a.h);
+        ctx.moveTo(a.x, pos.y); ctx.lineTo(a.x + a.w, pos.y);
+        ctx.stroke(); ctx.setLineDash([]);
+        if (_plot.zToPx) {
+            ctx.fillStyle = colors.text;
+            ctx.beginPath(); ctx.arc(pos.x, pos.y, 4, 0, 2 * Math.PI); ctx.fill();
+        }
 
-    // Etiquetas de ejes
-    ctx.fillStyle = colors.text; ctx.font = '11px sans-serif';
-    ctx.fillText('Re(Z) →', W - 60, cy - 6);
-    ctx.fillText('Im(Z)', cx + 6, 16);
+        const lines = [{ text: formatAbscissa(x) }]
+            .concat(readoutAt(x).map(r => ({ text: formatReadout(r), color: r.color })));
+        const left = pos.x > a.x + a.w / 2;
+        drawReadoutBox(ctx, lines, left ? pos.x - 12 : pos.x + 12, pos.y + 12, colors, left);
+    }
 }
 
-/* ============================================================
-   ESPECTRO FFT
-   ============================================================ */
-function drawFFT(ctx, W, H, colors) {
-    const bins = 256;
-    const bw   = W / bins;
-    const freq = state.freq;
-    const f0   = state.f0;
-    const Q    = state.Q;
-
-    // FIX: zoom ajusta el rango de frecuencias visible
-    const fs = (10 * freq) / state.zoom;
-
-    ctx.fillStyle = '#0369a1';
-    for (let i = 0; i < bins; i++) {
-        const binF = (i / bins) * (fs / 2);
-        let mag = 0;
-
-        if (state.signalType === 'sine') {
-            const det = Math.abs(binF - freq);
-            if (det < freq * 0.05) mag = 1 - det / (freq * 0.05);
-        } else if (state.signalType === 'square') {
-            for (let h = 1; h <= 9; h += 2) {
-                if (Math.abs(binF - h * freq) < freq * 0.02) mag += 1 / h;
-            }
+/** Dos marcadores arrastrables con su lectura y las diferencias Δ entre ellos */
+function drawMarkers(ctx, colors) {
+    const m = currentMarkers();
+    const a = _plot.area;
+    // Lectura de la primera salida (Temporal y FFT incluyen antes la entrada)
+    const main  = ['time', 'fft'].includes(_plot.mode) ? Math.min(1, _plot.series.length - 1) : 0;
+    const reads = m.map(x => readoutAt(x)[main]);
+
+    m.forEach((x, k) => {
+        const pos = markerPx(x);
+        ctx.strokeStyle = ctx.fillStyle = MARKER_COLORS[k]; ctx.lineWidth = 1.5;
+        if (_plot.zToPx) {
+            ctx.beginPath(); ctx.arc(pos.x, pos.y, 6, 0, 2 * Math.PI); ctx.stroke();
+            ctx.font = 'bold 11px sans-serif';
+            ctx.fillText(`M${k + 1}`, pos.x + 8, pos.y + 14);
         } else {
-            mag = Math.exp(-Math.abs(binF - freq) / (freq * 0.5));
+            ctx.beginPath(); ctx.moveTo(pos.x, a.y); ctx.lineTo(pos.x, a.y + a.h); ctx.stroke();
+            ctx.fillRect(pos.x - 10, a.y, 20, 14);
+            ctx.fillStyle = '#fff'; ctx.font = 'bold 10px sans-serif';
+            ctx.fillText(`M${k + 1}`, pos.x - 8, a.y + 11);
         }
+    });
+
+    const lines = m.map((x, k) => ({ text: `M${k + 1}  ${formatAbscissa(x)} · ${formatReadout(reads[k])}`, color: MARKER_COLORS[k] }));
+    const dx = m[1] - m[0];
+    if (_plot.mode === 'time') {
+        lines.push({ text: `Δt = ${formatEng(dx, 's')}${dx ? ` (1/Δt = ${formatEng(1 / Math.abs(dx), 'Hz')})` : ''}` });
+        lines.push({ text: `ΔV = ${formatEng(reads[1].value - reads[0].value, reads[0].unit)}` });
+    } else if (_plot.mode === 'bode') {
+        lines.push({ text: `Δf = ${formatEng(dx, 'Hz')} (×${(m[1] / m[0]).toFixed(3)})` });
+        lines.push({ text: `ΔdB = ${(reads[1].dB - reads[0].dB).toFixed(2)} dB · Δφ = ${(reads[1].phase - reads[0].phase).toFixed(1)}°` });
+    } else if (_plot.mode === 'fft') {
+        lines.push({ text: `Δf = ${formatEng(dx, 'Hz')}` });
+        lines.push({ text: `ΔdB = ${(reads[1].dB - reads[0].dB).toFixed(2)} dB` });
+    } else {
+        lines.push({ text: `Δf = ${formatEng(dx, 'Hz')}` });
+        lines.push({ text: `|Δ${_plot.quantity}| = ${formatTick(Math.hypot(reads[1].re - reads[0].re, reads[1].im - reads[0].im), _plot.unit)}` });
+    }
+    drawReadoutBox(ctx, lines, a.x, a.y + a.h, colors);
+}
 
-        const ww = 2 * Math.PI * Math.max(binF, 1);
-        const w0 = 2 * Math.PI * f0;
-        const u  = ww / w0;
-        const Hf = computeHFromU(u, Q);
-        mag *= Hf;
+/** Posición del evento en px del canvas */
+function canvasPoint(e) {
+    const rect = document.getElementById('main-canvas').getBoundingClientRect();
+    const src  = e.touches ? e.touches[0] : e;
+    return { x: src.clientX - rect.left, y: src.clientY - rect.top };
+}
+
+/** Marcador bajo el puntero (dentro de MARKER_GRAB px), o -1 */
+function markerAt(pt) {
+    if (!_plot || !state.showMarkers || _plot.xs.length < 2) return -1;
+    let hit = -1, best = MARKER_GRAB;
+    currentMarkers().forEach((x, k) => {
+        const pos = markerPx(x);
+        const d = _plot.zToPx ? Math.hypot(pos.x - pt.x, pos.y - pt.y) : Math.abs(pos.x - pt.x);
+        if (d <= best) { best = d; hit = k; }
+    });
+    return hit;
+}
 
-        const bh = mag * (H - 40);
-        ctx.fillRect(i * bw, H - bh - 20, bw - 1, bh);
+/**
+ * Pulsación sobre el canvas: agarra un marcador o, con gestures (ratón), empieza a
+ * desplazar la vista (arrastre) o a marcar un recuadro de zoom (Mayús + arrastre).
+ */
+function pointerDown(e, gestures = false) {
+    if (!_plot) return false;
+    const pt = canvasPoint(e);
+    _dragIndex = markerAt(pt);
+    if (_dragIndex < 0 && gestures) {
+        // En los paneles inferiores autoescalados (fase de Bode, potencia en Temporal) los gestos sólo mueven el eje X
+        const lower = _plot.phaseArea || _plot.powerArea;
+        const xOnly = lower && pt.y >= lower.y;
+        _gesture = { type: e.shiftKey ? 'box' : 'pan', start: pt, sx: _plot.sx, sy: xOnly ? null : _plot.sy, moved: false };
     }
+    _cursor = pt;
+    drawOverlay();
+    return true;
+}
 
-    // Etiquetas
-    ctx.fillStyle = colors.text; ctx.font = '11px sans-serif';
-    ctx.fillText('0', 2, H - 5);
-    ctx.fillText(formatFreqShort(fs / 4), W / 2 - 20, H - 5);
-    ctx.fillText(formatFreqShort(fs / 2), W - 50, H - 5);
+function pointerMove(e) {
+    if (!_plot) return;
+    const pt = canvasPoint(e);
+    _cursor = pt;
+    if (_dragIndex >= 0) {
+        currentMarkers()[_dragIndex] = plotXAt(pt.x, pt.y);
+    } else if (_gesture) {
+        const dx = pt.x - _gesture.start.x, dy = pt.y - _gesture.start.y;
+        _gesture.moved = _gesture.moved || Math.hypot(dx, dy) > 3;
+        // El desplazamiento se calcula con las escalas del inicio del arrastre
+        if (_gesture.type === 'pan' && _gesture.moved) {
+            setViewWindow(panDomain(_gesture.sx, dx), _gesture.sy && panDomain(_gesture.sy, dy));
+            return;
+        }
+    }
+    document.getElementById('main-canvas').style.cursor =
+        (_dragIndex >= 0 || markerAt(pt) >= 0) ? 'ew-resize' : _gesture && _gesture.type === 'pan' ? 'grabbing' : 'crosshair';
+    drawOverlay();
 }
 
-function formatFreqShort(f) {
-    if (f >= 1e6) return (f / 1e6).toFixed(1) + 'M';
-    if (f >= 1e3) return (f / 1e3).toFixed(1) + 'k';
-    return f.toFixed(0);
+/** Fin del arrastre: aplica el recuadro de zoom; un lado de menos de 6 px deja ese eje sin cambios */
+function pointerUp() {
+    const g = _gesture;
+    _dragIndex = -1;
+    _gesture   = null;
+    if (!g || g.type !== 'box' || !g.moved || !_cursor) return;
+    const x = Math.abs(_cursor.x - g.start.x) >= 6 ? [g.start.x, _cursor.x].map(g.sx.fromPx).sort((a, b) => a - b) : null;
+    const y = g.sy && Math.abs(_cursor.y - g.start.y) >= 6 ? [g.start.y, _cursor.y].map(g.sy.fromPx).sort((a, b) => a - b) : null;
+    if (x || y) setViewWindow(x, y);
+    else drawOverlay();
 }
 
 /* ============================================================
@@ -1038,6 +4152,25 @@ function formatFrequency(f) {
     return `${f.toFixed(2)}<span class="result-unit">Hz</span>`;
 }
 
+/** Notación de ingeniería con prefijo SI: formatEng(0.0123, 'H') → '12.3 mH' */
+function formatEng(v, unit, digits = 3) {
+    if (!isFinite(v)) return `— ${unit}`;
+    if (v === 0) return `0 ${unit}`;
+    const prefixes = { '-12': 'p', '-9': 'n', '-6': 'µ', '-3': 'm', '0': '', '3': 'k', '6': 'M', '9': 'G' };
+    let exp = Math.floor(Math.log10(Math.abs(v)) / 3) * 3;
+    exp = Math.min(9, Math.max(-12, exp));
+    return `${+(v / Math.pow(10, exp)).toPrecision(digits)} ${prefixes[exp]}${unit}`;
+}
+
+/** Escapa texto de origen externo (archivos importados) antes de insertarlo como HTML */
+function escapeHTML(s) {
+    return String(s).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+function formatDeviation(pct) {
+    return `${pct >= 0 ? '+' : ''}${pct.toFixed(2)} %`;
+}
+
 function formatImpedance(z) {
     if (z >= 1e6) return `${(z / 1e6).toFixed(2)}<span class="result-unit">MΩ</span>`;
     if (z >= 1e3) return `${(z / 1e3).toFixed(2)}<span class="result-unit">kΩ</span>`;
@@ -1048,19 +4181,28 @@ function formatImpedance(z) {
    EXPORTACIÓN
    ============================================================ */
 function exportViz() {
-    document.getElementById('exportModal').classList.add('active');
-    document.getElementById('exportModal').setAttribute('aria-hidden', 'false');
+    openModal('exportModal');
+}
+
+function openModal(id) {
+    const modal = document.getElementById(id);
+    modal.classList.add('active');
+    modal.setAttribute('aria-hidden', 'false');
     document.body.style.overflow = 'hidden';
 }
 
-function closeModal() {
-    document.getElementById('exportModal').classList.remove('active');
-    document.getElementById('exportModal').setAttribute('aria-hidden', 'true');
+function closeModal(id = 'exportModal') {
+    const modal = document.getElementById(id);
+    modal.classList.remove('active');
+    modal.setAttribute('aria-hidden', 'true');
     document.body.style.overflow = '';
 }
 
 function exportData(fmt) {
-    const fns = { csv: exportCSV, png: exportPNG, pdf: exportPDF, json: exportJSON, ltspice: exportLTspice };
+    const fns = {
+        csv: exportCSV, png: exportPNG, pdf: exportPDF, json: exportJSON,
+        ltspice: exportLTspice, spice: exportSpice
+    };
     if (fns[fmt]) fns[fmt]();
     closeModal();
 }
@@ -1075,16 +4217,9 @@ function downloadFile(content, filename, mimeType) {
 
 function exportCSV() {
     let csv = 'Frecuencia(Hz),Magnitud(dB),Fase(deg),Impedancia(Ohm)\n';
-    for (let i = 0; i <= 100; i++) {
-        const f   = Math.pow(10, 1 + i * 0.04);
-        const u   = f / state.f0;
-        const H_  = computeHFromU(u, state.Q);
-        const dB  = 20 * Math.log10(Math.max(H_, 1e-10));
-        const ph  = computePhase(u, state.Q);
-        const w   = 2 * Math.PI * f;
-        const Z   = Math.sqrt(state.R ** 2 + (w * state.L - 1 / (w * state.C)) ** 2);
-        csv += `${f.toFixed(2)},${dB.toFixed(4)},${ph.toFixed(4)},${Z.toFixed(4)}\n`;
-    }
+    RLC.frequencyResponse(state, RLC.logspace(10, 1e5, 101)).forEach(p => {
+        csv += `${p.f.toFixed(2)},${p.dB.toFixed(4)},${p.phase.toFixed(4)},${p.Z_mag.toFixed(4)}\n`;
+    });
     downloadFile(csv, 'rlc_response.csv', 'text/csv');
     showToast('CSV exportado');
 }
@@ -1149,26 +4284,646 @@ async function exportPDF() {
 }
 
 function exportJSON() {
-    const data = { version: '4.0.0', timestamp: new Date().toISOString(), state, results: { f0: state.f0, Q: state.Q, BW: state.BW } };
+    const data = {
+        schema: STATE_SCHEMA_VERSION, timestamp: new Date().toISOString(),
+        state: persistentState(), results: { f0: state.f0, Q: state.Q, BW: state.BW }
+    };
     downloadFile(JSON.stringify(data, null, 2), 'rlc_config.json', 'application/json');
     showToast('JSON exportado');
 }
 
+/** Cabecera común de los archivos SPICE/LTspice exportados */
+function spiceHeader() {
+    return [
+        'Circuito RLC — Universidad de Oriente',
+        'Desarrollado por: Ing. José Vicet · Jiménez Matos',
+        `Fecha: ${new Date().toLocaleDateString()}`
+    ];
+}
+
 function exportLTspice() {
-    const asc = `* Circuito RLC — Universidad de Oriente
-* Desarrollado por: Ing. José Vicet · Jiménez Matos
-* Fecha: ${new Date().toLocaleDateString()}
+    downloadFile(RLC.exportLtspiceSchematic(state, currentSignal(), spiceHeader()), 'rlc_circuit.asc', 'text/plain');
+    showToast('Esquemático LTspice exportado');
+}
+
+function exportSpice() {
+    downloadFile(RLC.exportSpiceNetlist(state, currentSignal(), spiceHeader()), 'rlc_circuit.cir', 'text/plain');
+    showToast('Netlist SPICE exportada');
+}
+
+/* ============================================================
+   IMPORTACIÓN — netlists SPICE (.cir/.net) y esquemáticos LTspice (.asc)
+   ============================================================ */
+let _importResult = null;
+
+const IMPORT_ACCEPT = '.cir,.net,.sp,.spi,.asc,.txt';
+
+/** Destino del archivo elegido cuando la extensión no basta ('capture': captura de osciloscopio) */
+let _importPurpose = null;
+
+/** accept: extensiones del selector ('.json' desde el modal de exportación) */
+function openImport(accept = IMPORT_ACCEPT, purpose = null) {
+    _importPurpose = purpose;
+    const drawer = document.getElementById('navDrawer');
+    if (drawer.classList.contains('active')) toggleNav();
+    if (document.getElementById('exportModal').classList.contains('active')) closeModal();
+
+    const input = document.getElementById('import-file');
+    input.accept = accept;
+    input.value  = '';
+    input.click();
+}
+
+/** Texto del archivo: LTspice guarda en UTF-16 LE o en ANSI (µ = 0xB5) según la versión */
+function decodeImportText(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if ((bytes[0] === 0xFF && bytes[1] === 0xFE) || (bytes.length > 1 && bytes[0] !== 0 && bytes[1] === 0)) {
+        return new TextDecoder('utf-16le').decode(bytes);
+    }
+    try { return new TextDecoder('utf-8', { fatal: true }).decode(bytes); }
+    catch (_) { return new TextDecoder('windows-1252').decode(bytes); }
+}
+
+function handleImportFile(input) {
+    const file = input.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        const text = decodeImportText(reader.result);
+        if (_importPurpose === 'capture') {
+            loadCaptureText(file.name, text);
+            return;
+        }
+        if (/\.json$/i.test(file.name)) {
+            importConfigText(file.name, text);
+            openModal('importModal');
+            return;
+        }
+        if (/\.(csv|s1p)$/i.test(file.name)) {
+            loadMeasurementText(file.name, text);
+            return;
+        }
+        let parsed = null;
+        try {
+            parsed = /\.asc$/i.test(file.name) ? RLC.parseAsc(text) : RLC.parseSpice(text);
+            _importResult = RLC.spiceToCircuit(parsed);
+            renderImportSummary(file.name, _importResult);
+        } catch (e) {
+            console.warn('Error al importar:', e);
+            _importResult = null;
+            renderImportSummary(file.name, parsed, e.message);
+        }
+        openModal('importModal');
+    };
+    reader.onerror = () => showToast('No se pudo leer el archivo');
+    reader.readAsArrayBuffer(file);
+}
+
+/** Configuración exportada en JSON: se migra al esquema actual y se valida campo a campo */
+function importConfigText(fileName, text) {
+    try {
+        const { state: raw, from } = migrateState(JSON.parse(text));
+        const { values, errors } = validateState(raw);
+        if (!Object.keys(values).length) throw new Error('Ningún campo de configuración válido');
+        _importResult = { kind: 'config', values, errors, from };
+        renderConfigSummary(fileName, _importResult);
+    } catch (e) {
+        console.warn('Error al importar:', e);
+        _importResult = null;
+        renderConfigSummary(fileName, null, e instanceof SyntaxError ? `JSON no válido: ${e.message}` : e.message);
+    }
+}
+
+function renderConfigSummary(fileName, result, error = null) {
+    document.getElementById('btn-import-apply').disabled = !!error;
+    let html = `<p class="info-note">${escapeHTML(fileName)}</p>`;
+    if (error) {
+        html += `<p class="import-error">${escapeHTML(error)}</p>`;
+    } else {
+        html += `<p class="info-note">Esquema v${result.from}${result.from !== STATE_SCHEMA_VERSION
+            ? ` — migrado a v${STATE_SCHEMA_VERSION}` : ''} · ${Object.keys(result.values).length} campo(s) válido(s)</p>`;
+        if (result.errors.length) {
+            html += `
+                <div class="import-title">Campos descartados</div>
+                <ul class="import-list">${result.errors.map(t => `<li>${escapeHTML(t)}</li>`).join('')}</ul>`;
+        }
+    }
+    document.getElementById('import-summary').innerHTML = html;
+}
+
+/** Resumen de lo reconocido, avisos y elementos no representables antes de aplicar */
+function renderImportSummary(fileName, result, error = null) {
+    const box = document.getElementById('import-summary');
+    document.getElementById('btn-import-apply').disabled = !!error;
+
+    const list = (title, items) => !items.length ? '' : `
+        <div class="import-title">${title}</div>
+        <ul class="import-list">${items.map(t => `<li>${escapeHTML(t)}</li>`).join('')}</ul>`;
+
+    let html = `<p class="info-note">${escapeHTML(fileName)}</p>`;
+    if (error) html += `<p class="import-error">${escapeHTML(error)}</p>`;
+
+    if (result && result.circuit) {
+        const c = result.circuit, sg = result.signal;
+        const rows = [
+            ['Topología', c.topology === 'parallel' ? 'R||L||C Paralelo' : 'R-L-C Serie'],
+            ['R', formatEng(c.R, 'Ω')], ['L', formatEng(c.L, 'H')], ['C', formatEng(c.C, 'F')]
+        ];
+        if (c.useParasitics) {
+            rows.push(['ESR C', formatEng(c.esrC, 'Ω')], ['ESL C', formatEng(c.eslC, 'H')], ['ESR L', formatEng(c.esrL, 'Ω')]);
+        }
+        rows.push(['Señal', !sg ? 'sin cambios' :
+            `${sg.type} · ${formatEng(Math.abs(sg.amp), 'V')}${sg.freq ? ` · ${formatEng(sg.freq, 'Hz')}` : ''}`]);
+        html += `
+            <table class="design-table">
+                <tbody>${rows.map(([k, v]) => `<tr><td>${k}</td><td>${v}</td></tr>`).join('')}</tbody>
+            </table>`;
+    }
+
+    const an = result ? result.analyses || {} : {};
+    const analyses = [];
+    if (an.ac)   analyses.push(`.ac ${an.ac.sweep} ${an.ac.points}: ${formatEng(an.ac.fStart, 'Hz')} – ${formatEng(an.ac.fStop, 'Hz')}`);
+    if (an.tran) analyses.push(`.tran hasta ${formatEng(an.tran.tstop, 's')}`);
+    html += list('Análisis', analyses);
+    html += list('Avisos', result ? result.warnings : []);
+    html += list('Elementos no representables',
+        (result ? result.unsupported : []).map(u => `${u.line ? `Línea ${u.line}: ` : ''}${u.text} — ${u.reason}`));
+    box.innerHTML = html;
+}
+
+function applyImport() {
+    if (!_importResult) return;
+    if (_importResult.kind === 'config') { applyConfigImport(_importResult); return; }
+    const { circuit, signal, analyses } = _importResult;
+
+    // Con parásitos desactivados se conservan los valores ESR/ESL del usuario
+    const { esrC, eslC, esrL, ...base } = circuit;
+    Object.assign(state, base);
+    if (circuit.useParasitics) Object.assign(state, { esrC, eslC, esrL });
+    if (signal) {
+        state.signalType = signal.type;
+        if (signal.amp)  state.amp  = Math.abs(signal.amp);
+        if (signal.freq) state.freq = signal.freq;
+        // Parámetros del generador que trae la fuente; el resto vuelve a su valor por defecto
+        Object.assign(state, {
+            sigOffset: signal.offset || 0, sigPhase: signal.phase || 0, sigDuty: signal.duty || 0.5,
+            sigRise:   signal.rise   || 0, sigFall:  signal.fall  || 0
+        });
+        if (signal.decay) state.dampTau = signal.decay;
+        if (signal.points) state.customWave = decimateWave(signal.points);
+    }
+    const units = { R: 'R', L: 'L', C: 'C', freq: 'freq', amp: 'amp', 'esr-c': 'esrC', 'esl-c': 'eslC', 'esr-l': 'esrL' };
+    Object.keys(units).forEach(id => {
+        const factor = pickUnitFactor(`unit-${id}`, state[units[id]]);
+        saveUnitToState(id, factor);
+        updateSliderRange(id, factor);
+    });
+
+    // Los rangos de .tran/.ac fijan el eje X de las vistas Temporal y Bode
+    if (analyses.tran && analyses.tran.tstop > analyses.tran.tstart) {
+        state.views.time = { x: [analyses.tran.tstart, analyses.tran.tstop], y: null };
+    }
+    if (analyses.ac && analyses.ac.fStart > 0 && analyses.ac.fStop > analyses.ac.fStart) {
+        state.views.bode = { x: [analyses.ac.fStart, analyses.ac.fStop], y: null };
+    }
+
+    restoreUI();
+    updateAllValues();
+    updateQEquation();
+    updateZoomIndicator();
+    closeModal('importModal');
+    showToast(_importResult.unsupported.length
+        ? `Circuito importado; ${_importResult.unsupported.length} elemento(s) sin representar`
+        : 'Circuito importado');
+}
+
+/** Aplica campos ya validados de una configuración y refresca toda la interfaz */
+function applyStateValues(values) {
+    Object.assign(state, values);
+    Object.keys(UNIT_INPUTS).forEach(k => updateSliderRange(UNIT_INPUTS[k], state[k]));
+
+    restoreUI();
+    updateAllValues();
+    updateQEquation();
+    updateZoomIndicator();
+}
+
+function applyConfigImport({ values, errors }) {
+    applyStateValues(values);
+    closeModal('importModal');
+    showToast(errors.length
+        ? `Configuración importada; ${errors.length} campo(s) descartado(s)`
+        : 'Configuración importada');
+}
+
+/* ============================================================
+   DATOS MEDIDOS — CSV o Touchstone (.s1p) sobre Bode, Nyquist y Smith, y ajuste de R, L, C
+   ============================================================ */
+const MEASUREMENT_ACCEPT = '.csv,.s1p';
+const MEASUREMENT_COLOR  = '#e11d48';
+const FIT_UNITS = { R: 'Ω', L: 'H', C: 'F', esrC: 'Ω', eslC: 'H', esrL: 'Ω' };
+const FIT_LABELS = { R: 'R', L: 'L', C: 'C', esrC: 'ESR C', eslC: 'ESL C', esrL: 'ESR L' };
+
+/** Medida cargada { name, data, fit }; vive sólo en la sesión (no se guarda con el estado) */
+let _measurement = null;
+
+/** Con una medida cargada abre su ajuste; si no, el selector de archivos */
+function openMeasurement() {
+    if (!_measurement) { openImport(MEASUREMENT_ACCEPT); return; }
+    const drawer = document.getElementById('navDrawer');
+    if (drawer.classList.contains('active')) toggleNav();
+    renderMeasurementSummary();
+    openModal('fitModal');
+}
+
+function loadMeasurementText(fileName, text) {
+    try {
+        const data = /\.s1p$/i.test(fileName) ? RLC.parseTouchstone(text) : RLC.parseMeasurementCSV(text);
+        _measurement = { name: fileName, data, fit: null };
+        renderMeasurementSummary();
+    } catch (e) {
+        console.warn('Error al importar la medida:', e);
+        _measurement = null;
+        renderMeasurementSummary(fileName, e.message);
+    }
+    openModal('fitModal');
+    drawCanvas();
+}
+
+function clearMeasurement() {
+    _measurement = null;
+    closeModal('fitModal');
+    drawCanvas();
+    showToast('Datos medidos quitados');
+}
+
+/** Circuito actual con los valores del último ajuste */
+function fittedCircuit() {
+    const fit = _measurement && _measurement.fit;
+    if (!fit) return null;
+    const c = { ...circuitFromState(), ...fit.values };
+    if ('esrC' in fit.values) c.useParasitics = true;
+    return c;
+}
+
+/** Semiancho relativo del intervalo del 95 % de un ajuste con error relativo σ ('' si es infinito) */
+function formatConfidence(sigma) {
+    if (!isFinite(sigma)) return '';
+    const v = 100 * (Math.exp(1.96 * sigma) - 1);
+    return v < 0.01 ? '< 0.01 %' : `± ${+v.toPrecision(2)} %`;
+}
+
+/** Puntos medidos con fase como complejos, o null si la medida no es de tipo kind */
+function measuredComplex(kind) {
+    const m = _measurement;
+    if (!m || m.data.kind !== kind || !m.data.hasPhase) return null;
+    return m.data.points.map(p => {
+        const a = p.phase * Math.PI / 180;
+        return RLC.Complex.of(p.mag * Math.cos(a), p.mag * Math.sin(a));
+    });
+}
+
+/** Puntos medidos ({x, y} en px) y, si legend, la leyenda abajo a la izquierda del área */
+function drawMeasuredPoints(ctx, pts, area, colors, legend = true) {
+    ctx.fillStyle = MEASUREMENT_COLOR;
+    pts.forEach(p => {
+        if (!isFinite(p.x) || !isFinite(p.y)) return;
+        ctx.beginPath(); ctx.arc(p.x, p.y, 2.5, 0, 2 * Math.PI); ctx.fill();
+    });
+    if (!legend) return;
+    ctx.font = '11px sans-serif';
+    const text = `● ${_measurement.name}${_measurement.fit ? ' · - - ajuste' : ''}`;
+    const w = ctx.measureText(text).width;
+    ctx.fillStyle = colors.background; ctx.globalAlpha = 0.85;
+    ctx.fillRect(area.x + 4, area.y + area.h - 18, w + 8, 15);
+    ctx.globalAlpha = 1; ctx.fillStyle = MEASUREMENT_COLOR;
+    ctx.fillText(text, area.x + 8, area.y + area.h - 7);
+}
+
+function renderMeasurementSummary(fileName = _measurement && _measurement.name, error = null) {
+    const m = _measurement, fit = m && m.fit;
+    document.getElementById('btn-fit-run').disabled   = !m;
+    document.getElementById('btn-fit-apply').disabled = !fit;
+    document.getElementById('fit-fixed-row').classList.toggle('hidden', !m || m.data.kind !== 'H');
+
+    const list = (title, items) => !items.length ? '' : `
+        <div class="import-title">${title}</div>
+        <ul class="import-list">${items.map(t => `<li>${escapeHTML(t)}</li>`).join('')}</ul>`;
+
+    let html = `<p class="info-note">${escapeHTML(fileName || '')}</p>`;
+    if (error) html += `<p class="import-error">${escapeHTML(error)}</p>`;
+    if (m) {
+        const pts = m.data.points;
+        html += `
+            <table class="design-table">
+                <tbody>
+                    <tr><td>Medida</td><td>${m.data.kind === 'Z'
+                        ? `Impedancia de entrada Z(jω)${m.data.z0 ? ` · ref. ${m.data.z0} Ω` : ''}`
+                        : `Respuesta H(jω) de ${OUTPUT_SYMBOLS[RLC.circuitOutput(circuitFromState())]}`}</td></tr>
+                    <tr><td>Puntos</td><td>${pts.length} · ${formatEng(pts[0].f, 'Hz')} – ${formatEng(pts[pts.length - 1].f, 'Hz')}</td></tr>
+                    <tr><td>Fase</td><td>${m.data.hasPhase ? 'sí' : 'no (sólo magnitud)'}</td></tr>
+                </tbody>
+            </table>`;
+        html += list('Avisos', m.data.warnings);
+    }
+    document.getElementById('fit-summary').innerHTML = html;
+
+    const box = document.getElementById('fit-results');
+    if (!fit) { box.innerHTML = ''; return; }
+    box.innerHTML = `
+        <div class="import-title">Ajuste (${fit.iterations} iteraciones${fit.converged ? '' : ', sin converger'})</div>
+        <table class="design-table">
+            <thead><tr><th>Parámetro</th><th>Valor</th><th>IC 95 %</th><th>Intervalo</th></tr></thead>
+            <tbody>${fit.params.map(p => `
+                <tr><td>${FIT_LABELS[p.key]}</td><td>${formatEng(p.value, FIT_UNITS[p.key])}</td><td>${formatConfidence(p.sigma) || '—'}</td>
+                    <td>${isFinite(p.sigma) ? `${formatEng(p.lo, FIT_UNITS[p.key])} – ${formatEng(p.hi, FIT_UNITS[p.key])}` : '—'}</td></tr>`).join('')}
+            </tbody>
+        </table>
+        <p class="info-note">Residuos sobre ${fit.points} puntos: RMS ${fit.rms.dB.toFixed(2)} dB${
+            fit.rms.deg !== null ? ` · ${fit.rms.deg.toFixed(1)}°` : ''} · máximo ${fit.max.dB.toFixed(2)} dB${
+            fit.max.deg !== null ? ` · ${fit.max.deg.toFixed(1)}°` : ''}</p>
+        ${list('Avisos del ajuste', fit.warnings)}`;
+}
+
+/** Ajusta la topología y la salida actuales a la medida; el circuito actual es el arranque */
+function runFit() {
+    if (!_measurement) return;
+    const { data } = _measurement;
+    const opts = {
+        parasitics: document.getElementById('fit-parasitics').checked,
+        fixed: data.kind === 'H' ? document.getElementById('fit-fixed').value : null
+    };
+    try {
+        _measurement.fit = RLC.fitMeasurement(circuitFromState(), data, opts);
+    } catch (e) {
+        console.warn('Error en el ajuste:', e);
+        _measurement.fit = null;
+        showToast(`Error en el ajuste: ${e.message}`);
+    }
+    renderMeasurementSummary();
+    drawCanvas();
+}
+
+/** Carga los valores ajustados en el circuito */
+function applyFit() {
+    const fit = _measurement && _measurement.fit;
+    if (!fit) return;
+    Object.assign(state, fit.values);
+    if ('esrC' in fit.values) state.useParasitics = true;
+    const ids = { R: 'R', L: 'L', C: 'C', esrC: 'esr-c', eslC: 'esl-c', esrL: 'esr-l' };
+    Object.keys(fit.values).forEach(key => {
+        const factor = pickUnitFactor(`unit-${ids[key]}`, state[key]);
+        saveUnitToState(ids[key], factor);
+        updateSliderRange(ids[key], factor);
+    });
 
-V1 N001 0 AC ${state.amp} SINE(0 ${state.amp} ${state.freq})
-${state.topology === 'series' ? `R1 N001 N002 ${state.R}\nL1 N002 N003 ${state.L}\nC1 N003 0 ${state.C}` :
-`L1 N001 0 ${state.L}\nC1 N001 0 ${state.C}\nR1 N001 0 ${state.R}`}
+    restoreUI();
+    updateAllValues();
+    updateQEquation();
+    updateZoomIndicator();
+    closeModal('fitModal');
+    showToast(`Valores ajustados cargados: ${fit.params.map(p => `${FIT_LABELS[p.key]} = ${formatEng(p.value, FIT_UNITS[p.key])}`).join(' · ')}`);
+}
+
+/* ============================================================
+   CAPTURAS DE OSCILOSCOPIO — respuesta al escalón medida en la vista Temporal
+   ============================================================ */
+const CAPTURE_ACCEPT      = '.csv,.txt';
+const CAPTURE_INPUT_COLOR = '#f472b6';
+const CAPTURE_MAX_DRAWN   = 2000;    // muestras dibujadas como máximo (las capturas largas se diezman)
+
+/**
+ * Captura cargada { name, scope, input, output, aligned, fit, known }: scope es la de
+ * RLC.parseScopeCSV, input/output los índices de canal (input −1 = sin entrada) y aligned
+ * la de RLC.alignCapture. Como la medida en frecuencia, sólo vive en la sesión.
+ */
+let _capture = null;
+
+function openCapture() {
+    if (!_capture) { openImport(CAPTURE_ACCEPT, 'capture'); return; }
+    const drawer = document.getElementById('navDrawer');
+    if (drawer.classList.contains('active')) toggleNav();
+    renderCaptureSummary();
+    openModal('captureModal');
+}
+
+/** Carga la captura, la lleva a la vista Temporal con señal escalón y ajusta el modelo */
+function loadCaptureText(fileName, text) {
+    try {
+        const scope = RLC.parseScopeCSV(text);
+        if (!scope.channels.length) throw new Error('La captura no tiene canales');
+        const two = scope.channels.length > 1;
+        _capture = { name: fileName, scope, input: two ? 0 : -1, output: two ? 1 : 0, known: 'R' };
+        analyzeCapture();
+    } catch (e) {
+        console.warn('Error al importar la captura:', e);
+        _capture = null;
+        renderCaptureSummary(fileName, e.message);
+        openModal('captureModal');
+        return;
+    }
+
+    const edge = _capture.aligned.edge;
+    if (edge) {
+        state.amp = Math.abs(edge.amp);
+        const factor = pickUnitFactor('unit-amp', state.amp);
+        saveUnitToState('amp', factor);
+        updateSliderRange('amp', factor);
+        restoreUI();
+        updateAllValues();
+    }
+    delete state.views.time;
+    if (state.signalType !== 'step') selectSignal('step');
+    if (state.vizMode !== 'time') switchVizTab(document.querySelector(`.tabs [onclick*="switchVizTab(this, 'time')"]`), 'time');
+    updateZoomIndicator();
+    renderCaptureSummary();
+    openModal('captureModal');
+    drawCanvas();
+}
+
+/** Alinea la captura con los canales elegidos y ajusta el modelo de 2.º orden */
+function analyzeCapture() {
+    const c = _capture;
+    c.aligned = RLC.alignCapture(c.scope, c.input, c.output);
+    c.error   = null;
+    try {
+        c.fit = RLC.fitStepResponse(c.aligned.t, c.aligned.y);
+    } catch (e) {
+        console.warn('Error en el ajuste de la captura:', e);
+        c.fit = null;
+        c.fitError = e.message;
+    }
+}
+
+function selectCaptureChannels() {
+    if (!_capture) return;
+    _capture.input  = +document.getElementById('capture-input').value;
+    _capture.output = +document.getElementById('capture-output').value;
+    analyzeCapture();
+    renderCaptureSummary();
+    drawCanvas();
+}
+
+function selectCaptureKnown(key) {
+    _capture.known = key;
+    renderCaptureSummary();
+}
+
+function clearCapture() {
+    _capture = null;
+    closeModal('captureModal');
+    drawCanvas();
+    showToast('Captura quitada');
+}
+
+/**
+ * Error entre la salida medida (alineada) y la simulada con el circuito actual ante un
+ * escalón de la amplitud medida, sobre las muestras con t ≥ 0. Se recalcula sólo si
+ * cambian el circuito o la captura. Devuelve { rms, max, rel } o null (salida en corriente).
+ */
+function captureError() {
+    const c = _capture, circ = circuitFromState();
+    if (RLC.outputUnit(RLC.circuitOutput(circ)) !== 'V') return null;
+    const amp = c.aligned.edge ? c.aligned.edge.amp : state.amp;
+    const key = JSON.stringify([circ, amp, c.input, c.output]);
+    if (c.error && c.error.key === key) return c.error;
+
+    const idx = c.aligned.t.map((_, i) => i).filter(i => c.aligned.t[i] >= 0);
+    const ts  = idx.map(i => c.aligned.t[i]);
+    const sim = RLC.timeResponse(circ, { type: 'step', amp, freq: state.freq }, ts).output;
+    const err = idx.map((i, k) => c.aligned.y[i] - sim[k]);
+    const rms = Math.sqrt(err.reduce((s, e) => s + e * e, 0) / err.length);
+    const span = Math.max(...idx.map(i => Math.abs(c.aligned.y[i]))) || 1;
+    c.error = { key, rms, max: Math.max(...err.map(Math.abs)), rel: rms / span };
+    return c.error;
+}
+
+/** Valores del circuito que reproducen el ζ y ω0 ajustados con el componente conocido */
+function captureComponents() {
+    const c = _capture;
+    return c && c.fit ? RLC.componentsFromStep(circuitFromState(), c.fit, c.known) : null;
+}
+
+/**
+ * Canales medidos (alineados) sobre la vista Temporal: entrada fina, salida y, en trazos,
+ * el modelo de 2.º orden ajustado; abajo a la izquierda, el error frente a la simulación.
+ */
+function drawCaptureOverlay(ctx, area, sx, sy, colors) {
+    const c = _capture, a = c.aligned;
+    const [t0, t1] = sx.domain;
+    const idx = a.t.map((_, i) => i).filter(i => a.t[i] >= t0 && a.t[i] <= t1);
+    const step = Math.max(1, Math.ceil(idx.length / CAPTURE_MAX_DRAWN));
+    const shown = idx.filter((_, k) => k % step === 0);
+    const ts = shown.map(i => a.t[i]);
+
+    clipToArea(ctx, area);
+    if (a.u) drawTrace(ctx, ts, shown.map(i => a.u[i]), sx, sy, CAPTURE_INPUT_COLOR, 1);
+    drawTrace(ctx, ts, shown.map(i => a.y[i]), sx, sy, MEASUREMENT_COLOR, 1.5);
+    if (c.fit) {
+        const tf = ts.filter(t => t >= 0);
+        ctx.setLineDash([6, 4]);
+        drawTrace(ctx, tf, tf.map(t => RLC.stepModel(c.fit, t)), sx, sy, colors.text, 1.5);
+        ctx.setLineDash([]);
+    }
+    ctx.restore();
+
+    const err = captureError();
+    ctx.font = '11px sans-serif';
+    const text = `● ${c.name}${c.fit ? ' · - - ajuste 2.º orden' : ''}${
+        err ? ` · error RMS ${formatEng(err.rms, 'V')} (${(100 * err.rel).toFixed(1)} %)` : ''}`;
+    const w = ctx.measureText(text).width;
+    ctx.fillStyle = colors.background; ctx.globalAlpha = 0.85;
+    ctx.fillRect(area.x + 4, area.y + area.h - 18, w + 8, 15);
+    ctx.globalAlpha = 1; ctx.fillStyle = MEASUREMENT_COLOR;
+    ctx.fillText(text, area.x + 8, area.y + area.h - 7);
+}
 
-.ac dec 100 1 100k
-.tran 0 10m 0 1u
-.backanno
-.end`;
-    downloadFile(asc, 'rlc_circuit.asc', 'text/plain');
-    showToast('Archivo LTspice exportado');
+function renderCaptureSummary(fileName = _capture && _capture.name, error = null) {
+    const c = _capture;
+    document.getElementById('btn-capture-apply').disabled = !(c && c.fit);
+    const list = (title, items) => !items.length ? '' : `
+        <div class="import-title">${title}</div>
+        <ul class="import-list">${items.map(t => `<li>${escapeHTML(t)}</li>`).join('')}</ul>`;
+    const table = rows => `
+        <table class="design-table">
+            <tbody>${rows.map(([k, v]) => `<tr><td>${k}</td><td>${v}</td></tr>`).join('')}</tbody>
+        </table>`;
+    const pct = s => (formatConfidence(s) ? ` ${formatConfidence(s)}` : '');
+
+    let html = `<p class="info-note">${escapeHTML(fileName || '')}</p>`;
+    if (error) html += `<p class="import-error">${escapeHTML(error)}</p>`;
+    if (!c) { document.getElementById('capture-summary').innerHTML = html; return; }
+
+    const { t, channels } = c.scope, a = c.aligned;
+    const options = (sel, none) => (none ? `<option value="-1"${sel < 0 ? ' selected' : ''}>— ninguno —</option>` : '') +
+        channels.map((ch, i) => `<option value="${i}"${i === sel ? ' selected' : ''}>${escapeHTML(ch.name)}</option>`).join('');
+    html += `
+        <div class="capture-channels">
+            <label>Entrada <select id="capture-input" onchange="selectCaptureChannels()">${options(c.input, true)}</select></label>
+            <label>Salida <select id="capture-output" onchange="selectCaptureChannels()">${options(c.output, false)}</select></label>
+        </div>`;
+    html += table([
+        ['Muestras', `${t.length} · ${formatEng(t[t.length - 1] - t[0], 's')} · Δt = ${formatEng((t[t.length - 1] - t[0]) / (t.length - 1), 's')}`],
+        ['Flanco', a.edge ? `t = ${formatEng(a.edge.t0, 's')} · escalón de ${formatEng(a.edge.amp, 'V')}` : 'supuesto en t = 0']
+    ]);
+    html += list('Avisos', c.scope.warnings.concat(a.warnings));
+
+    const f = c.fit;
+    if (!f) {
+        html += `<p class="import-error">${escapeHTML(c.fitError || 'Sin ajuste')}</p>`;
+    } else {
+        html += `<div class="import-title">Modelo de 2.º orden</div>`;
+        html += table([
+            ['α', `${formatEng(f.alpha, 's⁻¹')}`],
+            ['ωd', f.wd > 0 ? formatEng(f.wd, 'rad/s') : '— (sin oscilación)'],
+            ['ζ', `${f.zeta.toFixed(4)}${pct(f.sigma.zeta)}`],
+            ['ω0', `${formatEng(f.w0, 'rad/s')}${pct(f.sigma.w0)} · f₀ = ${formatEng(f.f0, 'Hz')}`],
+            ['Q', f.Q.toFixed(3)],
+            ['Residuo RMS', `${formatEng(f.rms, 'V')} (${(100 * f.rms / (f.span || 1)).toFixed(1)} % del recorrido)`]
+        ]);
+        html += list('Avisos del ajuste', f.warnings);
+
+        const comp = captureComponents();
+        html += `
+            <div class="import-title">Circuito (${state.topology === 'parallel' ? 'paralelo' : 'serie'})</div>
+            <div class="capture-channels">
+                <label>Componente conocido
+                    <select onchange="selectCaptureKnown(this.value)" aria-label="Componente conocido">
+                        ${['R', 'L', 'C'].map(k => `<option value="${k}"${k === c.known ? ' selected' : ''}>${k} = ${formatEng(state[k], FIT_UNITS[k])}</option>`).join('')}
+                    </select>
+                </label>
+            </div>`;
+        html += table(['R', 'L', 'C'].map(k => [k, `${formatEng(comp[k], FIT_UNITS[k])}${k === c.known ? ' (conocido)' : ''}`]));
+        html += list('Avisos', comp.warnings);
+    }
+
+    const err = captureError();
+    html += `<div class="import-title">Medida frente a simulación</div>`;
+    html += err
+        ? `<p class="info-note">Error con el circuito actual: RMS ${formatEng(err.rms, 'V')} (${(100 * err.rel).toFixed(1)} % del máximo) · máximo ${formatEng(err.max, 'V')}</p>`
+        : '<p class="info-note">La salida simulada es una corriente: elija una salida en tensión para compararla con la captura.</p>';
+    document.getElementById('capture-summary').innerHTML = html;
+}
+
+/** Carga en el circuito los valores deducidos del ajuste */
+function applyCaptureFit() {
+    const comp = captureComponents();
+    if (!comp) return;
+    ['R', 'L', 'C'].forEach(k => {
+        state[k] = comp[k];
+        const factor = pickUnitFactor(`unit-${k}`, state[k]);
+        saveUnitToState(k, factor);
+        updateSliderRange(k, factor);
+    });
+
+    restoreUI();
+    updateAllValues();
+    updateQEquation();
+    updateZoomIndicator();
+    closeModal('captureModal');
+    const err = captureError();
+    showToast(`Valores deducidos cargados${err ? `: error RMS ${formatEng(err.rms, 'V')} (${(100 * err.rel).toFixed(1)} %)` : ''}`);
 }
 
 /* ============================================================
@@ -1185,19 +4940,41 @@ function showToast(msg) {
    EVENTOS Y CICLO DE VIDA
    ============================================================ */
 const debounce = (fn, ms) => { let t; return (...a) => { clearTimeout(t); t = setTimeout(() => fn(...a), ms); }; };
+/** Guardado agrupado durante los arrastres y la rueda */
+const saveStateSoon = debounce(saveState, 300);
 
 window.addEventListener('resize', debounce(drawCanvas, 120));
 window.addEventListener('orientationchange', () => setTimeout(drawCanvas, 300));
 window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', drawCanvas);
 
-// Gestos de pinch-zoom en canvas
+// Ratón: cursor, marcadores, desplazamiento (arrastre), recuadro de zoom (Mayús + arrastre),
+// zoom en X con la rueda (en Y con Mayús) y autoescala con doble clic
+const _mainCanvas = document.getElementById('main-canvas');
+_mainCanvas?.addEventListener('mousedown', e => { if (pointerDown(e, true)) e.preventDefault(); });
+_mainCanvas?.addEventListener('mousemove', e => { if (!_gesture) pointerMove(e); });
+_mainCanvas?.addEventListener('mouseleave', () => { if (_dragIndex < 0 && !_gesture) { _cursor = null; drawOverlay(); } });
+_mainCanvas?.addEventListener('dblclick', zoomReset);
+_mainCanvas?.addEventListener('wheel', e => {
+    if (!_plot) return;
+    e.preventDefault();
+    const delta = e.deltaY || e.deltaX;
+    zoomView(delta > 0 ? ZOOM_STEP_WHEEL : 1 / ZOOM_STEP_WHEEL, e.shiftKey ? 'y' : 'x', canvasPoint(e));
+}, { passive: false });
+window.addEventListener('mousemove', e => { if (_gesture) pointerMove(e); });
+window.addEventListener('mouseup', pointerUp);
+
+// Gestos táctiles: un dedo mueve el cursor o arrastra un marcador, dos hacen pinch-zoom
 let _touchDist = 0;
-document.getElementById('main-canvas')?.addEventListener('touchstart', e => {
+_mainCanvas?.addEventListener('touchstart', e => {
+    if (e.touches.length === 1) { if (pointerDown(e)) e.preventDefault(); return; }
+    _dragIndex = -1;
     if (e.touches.length === 2)
         _touchDist = Math.hypot(e.touches[0].pageX - e.touches[1].pageX,
                                 e.touches[0].pageY - e.touches[1].pageY);
-});
-document.getElementById('main-canvas')?.addEventListener('touchmove', e => {
+}, { passive: false });
+_mainCanvas?.addEventListener('touchend', pointerUp);
+_mainCanvas?.addEventListener('touchmove', e => {
+    if (e.touches.length === 1) { e.preventDefault(); pointerMove(e); return; }
     if (e.touches.length !== 2) return;
     e.preventDefault();
     const d = Math.hypot(e.touches[0].pageX - e.touches[1].pageX,
@@ -1208,10 +4985,15 @@ document.getElementById('main-canvas')?.addEventListener('touchmove', e => {
 
 /* Inicialización */
 document.addEventListener('DOMContentLoaded', () => {
-    loadState();
+    if (!loadPermalink()) loadState();
+    renderToleranceForm();
+    renderOutputOptions();
+    updateVizLegend();
     updateAllValues();
     updateQEquation();
     calculateResults();
     syncFreqSlider();
     drawCanvas();
+    updatePermalink();
+    window.addEventListener('hashchange', handleHashChange);
 });
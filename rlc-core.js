@@ -0,0 +1,3136 @@
+/**
+ * SIMULADOR RLC — rlc-core.js
+ * Universidad de Oriente, Cuba
+ * Ing. José Vicet · Jiménez Matos
+ *
+ * Núcleo de análisis sin dependencias del DOM. Todas las funciones reciben una
+ * descripción del circuito y devuelven datos planos, de modo que el mismo código
+ * sirve a la página (app.js) y a scripts o pruebas en Node:
+ *
+ *   const RLC = require('./rlc-core.js');
+ *   RLC.analyze({ R: 100, L: 10e-3, C: 10e-6, topology: 'series' });
+ *
+ * En el navegador, <script src="rlc-core.js"> expone el global RLC.
+ */
+
+/**
+ * @typedef {Object} Circuit
+ * @property {number}  R, L, C          Componentes en unidades SI (Ω, H, F)
+ * @property {string}  [topology]       'series' | 'parallel'
+ * @property {string}  [activePreset]   'lpf' | 'hpf' | 'bpf' | 'notch'
+ * @property {string}  [output]         Salida observada (OUTPUTS); por defecto, la del preset
+ * @property {boolean} [useParasitics]  Incluir ESR/ESL
+ * @property {number}  [esrC, eslC, esrL]
+ *
+ * @typedef {{re: number, im: number}} ComplexNumber
+ *
+ * @typedef {Object} NetlistElement
+ * @property {string} type     'R' | 'L' | 'C' | 'V' | 'I'
+ * @property {string} name     Identificador único (R1, L1, V1…)
+ * @property {string} n1, n2   Nodos; '0' es masa
+ * @property {number} value    Ω, H o F; en fuentes, factor que multiplica la excitación
+ *
+ * @typedef {Object} Netlist
+ * @property {NetlistElement[]} elements
+ * @property {string} [input]  Nombre de la fuente cuya impedancia de entrada interesa
+ * @property {Object} [probes] Canales con nombre: { v: [n1, n2] } o { i: elemento | [elementos] } (suma)
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.RLC = factory();
+}(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    /* ============================================================
+       NÚMEROS COMPLEJOS
+       ============================================================ */
+    const Complex = {
+        of:    (re, im = 0) => ({ re, im }),
+        add:   (a, b) => ({ re: a.re + b.re, im: a.im + b.im }),
+        sub:   (a, b) => ({ re: a.re - b.re, im: a.im - b.im }),
+        mul:   (a, b) => ({ re: a.re * b.re - a.im * b.im, im: a.re * b.im + a.im * b.re }),
+        scale: (a, k) => ({ re: a.re * k, im: a.im * k }),
+        div(a, b) {
+            const d = b.re * b.re + b.im * b.im;
+            return { re: (a.re * b.re + a.im * b.im) / d, im: (a.im * b.re - a.re * b.im) / d };
+        },
+        inv:   a => Complex.div({ re: 1, im: 0 }, a),
+        abs:   a => Math.hypot(a.re, a.im),
+        arg:   a => Math.atan2(a.im, a.re),
+        /** Ángulo en grados */
+        argDeg: a => Math.atan2(a.im, a.re) * 180 / Math.PI
+    };
+
+    /* ============================================================
+       CIRCUITO
+       ============================================================ */
+    const MINS = { R: 1e-6, L: 1e-12, C: 1e-12 };
+
+    /**
+     * R, L y C del RLC ideal equivalente (con parásitos si están activos), acotados contra
+     * división por cero. En serie las ESR se suman a R y la ESL a L, y es exacto; en
+     * paralelo cada ESR pasa a una resistencia en paralelo L/(C·ESR), lo que vale cerca
+     * de la resonancia con Q alto (la ESL se desprecia).
+     */
+    function effectiveComponents(circ) {
+        const R = Math.max(circ.R, MINS.R);
+        const L = Math.max(circ.L, MINS.L);
+        const C = Math.max(circ.C, MINS.C);
+
+        if (!circ.useParasitics) return { R, L, C };
+        const esr = (circ.esrC || 0) + (circ.esrL || 0);
+        if (circ.topology === 'parallel') return { R: 1 / (1 / R + C * esr / L), L, C };
+        return {
+            R: Math.max(R + esr, MINS.R),
+            L: Math.max(L + (circ.eslC || 0), MINS.L),
+            C
+        };
+    }
+
+    /**
+     * Parámetros de segundo orden del circuito.
+     *   Serie:    Q = (1/R)√(L/C), α = R/(2L)
+     *   Paralelo: Q = R√(C/L),     α = 1/(2RC)
+     * Con parásitos, ω0 y α salen del par de polos dominante de la netlist
+     * (naturalFrequencies), el mismo modelo que simula el transitorio.
+     */
+    function analyze(circ) {
+        const { R, L, C } = effectiveComponents(circ);
+        let w0 = 1 / Math.sqrt(L * C);
+        let Q  = (circ.topology === 'parallel') ? R * Math.sqrt(C / L) : (1 / R) * Math.sqrt(L / C);
+        const pair = circ.useParasitics ? dominantPair(naturalFrequencies(circuitNetlist(circ), w0)) : null;
+        if (pair) {
+            w0 = Math.sqrt(pair[0].wn * pair[1].wn);
+            Q  = w0 / -(pair[0].re + pair[1].re);
+        }
+        const f0 = w0 / (2 * Math.PI);
+        const zeta  = 1 / (2 * Q);
+        const alpha = zeta * w0;
+        const wd    = zeta < 1 ? w0 * Math.sqrt(1 - zeta * zeta) : 0;
+
+        let damping = 'critical';
+        if (zeta < 0.9999)      damping = 'under';
+        else if (zeta > 1.0001) damping = 'over';
+
+        return { f0, w0, Q, BW: f0 / Q, zeta, alpha, wd, damping };
+    }
+
+    /** Impedancia vista por la fuente Z(jω) a la frecuencia f (Hz), resuelta sobre la netlist */
+    function impedance(circ, f) {
+        return inputImpedance(circuitNetlist(circ), f);
+    }
+
+    /**
+     * Coeficiente de reflexión Γ = (Z − Z0)/(Z + Z0) de la carga Z frente a la referencia
+     * real Z0, con la ROE y las pérdidas de retorno (dB) que implica. Una Z infinita
+     * (circuito abierto) da Γ = 1.
+     */
+    function reflection(z, z0) {
+        const gamma = isFinite(z.re) && isFinite(z.im)
+            ? Complex.div(Complex.sub(z, Complex.of(z0)), Complex.add(z, Complex.of(z0)))
+            : Complex.of(1);
+        const mag = Complex.abs(gamma);
+        return { gamma, mag, vswr: mag < 1 ? (1 + mag) / (1 - mag) : Infinity, returnLoss: -toDb(mag) };
+    }
+
+    /**
+     * Función de transferencia normalizada según el preset, con u = f/f0 y
+     * D(u) = (1 − u²) + j·u/Q:
+     *   PB: 1/D   PA: −u²/D   PBanda: (j·u/Q)/D   Notch: (1 − u²)/D
+     */
+    function normalizedTransfer(u, Q, preset) {
+        const D = Complex.of(1 - u * u, u / Q);
+        let N;
+        switch (preset) {
+            case 'hpf':   N = Complex.of(-u * u);  break;
+            case 'bpf':   N = Complex.of(0, u / Q); break;
+            case 'notch': N = Complex.of(1 - u * u); break;
+            default:      N = Complex.of(1);       break;
+        }
+        return Complex.div(N, D);
+    }
+
+    /**
+     * Salidas observables de cada topología. La serie se excita con tensión y la
+     * paralela con corriente (fuente Norton i = u/R), así que cada una ofrece las
+     * magnitudes que su conexionado distingue:
+     *   Serie:    vC, vL, vR, vLC (= vL + vC) e i (corriente de la fuente)
+     *   Paralelo: v (tensión del tanque), iL, iC, iR e iLC (= iL + iC)
+     */
+    const OUTPUTS = {
+        series:   ['vC', 'vL', 'vR', 'vLC', 'i'],
+        parallel: ['v', 'iL', 'iC', 'iR', 'iLC']
+    };
+
+    /** Salida que cada preset elige por defecto en cada topología */
+    const PRESET_OUTPUTS = {
+        series:   { lpf: 'vC', hpf: 'vL', bpf: 'vR', notch: 'vLC' },
+        parallel: { lpf: 'iL', hpf: 'iC', bpf: 'v',  notch: 'iLC' }
+    };
+
+    /** Forma de H(u) de cada salida en normalizedTransfer (circuito ideal; con parásitos manda la sonda) */
+    const OUTPUT_SHAPES = {
+        vC: 'lpf', vL: 'hpf', vR: 'bpf', vLC: 'notch', i: 'bpf',
+        v: 'bpf',  iL: 'lpf', iC: 'hpf', iR: 'bpf',  iLC: 'notch'
+    };
+
+    /** Salida del circuito: circ.output si su topología la ofrece; si no, la del preset */
+    function circuitOutput(circ) {
+        const list = OUTPUTS[circ.topology === 'parallel' ? 'parallel' : 'series'];
+        if (list.includes(circ.output)) return circ.output;
+        return PRESET_OUTPUTS[circ.topology === 'parallel' ? 'parallel' : 'series'][circ.activePreset] || list[0];
+    }
+
+    /** Unidad de una salida: las que empiezan por i son corrientes */
+    const outputUnit = output => output[0] === 'i' ? 'A' : 'V';
+
+    /**
+     * H de la salida `output` a partir de una solución de netlistAC sobre circuitNetlist(circ):
+     * la sonda tal cual si es una tensión y multiplicada por R si es una corriente. Con u = 1
+     * la fuente vale 1 V (serie) o 1/R A (paralelo), así que H = salida/u o R·I/u.
+     */
+    function outputTransfer(circ, netlist, sol, output) {
+        const probe = netlist.probes[output];
+        const value = probe.i
+            ? [].concat(probe.i).reduce((sum, name) => Complex.add(sum, sol.I[name]), Complex.of(0))
+            : Complex.sub(sol.V[probe.v[0]], sol.V[probe.v[1]]);
+        return outputUnit(output) === 'A' ? Complex.scale(value, Math.max(circ.R, MINS.R)) : value;
+    }
+
+    /**
+     * H(jω) de la salida del circuito en cada frecuencia de freqs (Hz), adimensional:
+     * salida/u para tensiones y R·I/u para corrientes (en paralelo, I/i de la fuente).
+     * Con parásitos se resuelve la netlist con las mismas sondas que el transitorio; el
+     * circuito ideal usa la forma cerrada de normalizedTransfer, que coincide con ella.
+     */
+    function transferResponse(circ, freqs) {
+        const output = circuitOutput(circ);
+        if (!circ.useParasitics) {
+            const { f0, Q } = analyze(circ);
+            return freqs.map(f => normalizedTransfer(f / f0, Q, OUTPUT_SHAPES[output]));
+        }
+        const netlist = circuitNetlist(circ);
+        return netlistAC(netlist, freqs).map(sol => outputTransfer(circ, netlist, sol, output));
+    }
+
+    /** H(jω) de la salida del circuito a la frecuencia f (Hz); ver transferResponse */
+    function transfer(circ, f) {
+        return transferResponse(circ, [f])[0];
+    }
+
+    const toDb = mag => 20 * Math.log10(Math.max(mag, 1e-10));
+
+    /**
+     * Fase desenrollada (grados): cada punto se desplaza un múltiplo de 360° para quedar a
+     * menos de 180° del anterior. Los saltos reales de ~180° (un cero sobre el eje jω) se conservan.
+     */
+    function unwrapPhase(deg) {
+        const out = deg.slice();
+        for (let i = 1; i < out.length; i++) out[i] -= 360 * Math.round((out[i] - out[i - 1]) / 360);
+        return out;
+    }
+
+    /**
+     * Barrido en frecuencia: magnitud, fase de H e impedancia en cada punto. La fase de H
+     * se desenrolla a lo largo del barrido (freqs creciente).
+     */
+    function frequencyResponse(circ, freqs) {
+        const Hs      = transferResponse(circ, freqs);
+        const netlist = circuitNetlist(circ);
+        const sols    = netlistAC(netlist, freqs);
+        const resp = freqs.map((f, i) => {
+            const H = Hs[i];
+            const Z = sourceImpedance(netlist, sols[i]);
+            return {
+                f,
+                H, mag: Complex.abs(H), dB: toDb(Complex.abs(H)), phase: Complex.argDeg(H),
+                Z, Z_mag: Complex.abs(Z), Z_phase: Complex.argDeg(Z)
+            };
+        });
+        const phase = unwrapPhase(resp.map(p => p.phase));
+        resp.forEach((p, i) => { p.phase = phase[i]; });
+        return resp;
+    }
+
+    /**
+     * Aproximación asintótica del Bode de la salida del circuito, recta a recta desde sus
+     * polos y ceros (polesZeros): cada raíz de módulo ωn suma (cero) o resta (polo)
+     * 20·log max(ω, ωn); en fase, una raíz real aporta ±90° lineales en log f entre ωn/10
+     * y 10·ωn y un par complejo ±180° entre ωn·10^−ζ y ωn·10^ζ (con el signo cambiado en el
+     * semiplano derecho). Las raíces en el origen fijan la pendiente y la fase iniciales, que
+     * se lleva a (−180°, 180°] como la primera fase de frequencyResponse.
+     * Devuelve [{ f, dB, phase }].
+     */
+    function bodeAsymptotes(circ, freqs) {
+        const { poles, zeros, gain } = polesZeros(circ);
+        const roots = [...zeros.map(r => ({ r, k: 1 })), ...poles.map(r => ({ r, k: -1 }))];
+        let phase0 = gain < 0 ? 180 : 0;
+        roots.forEach(({ r, k }) => {
+            if (r.wn === 0)             phase0 += 90 * k;
+            else if (!r.im && r.re > 0) phase0 += 180 * k;
+        });
+        phase0 -= 360 * Math.ceil((phase0 - 180) / 360);
+
+        return freqs.map(f => {
+            const w = 2 * Math.PI * f;
+            let dB = toDb(Math.abs(gain)), phase = phase0;
+            roots.forEach(({ r, k }) => {
+                dB += k * 20 * Math.log10(r.wn === 0 ? w : Math.max(w, r.wn));
+                if (r.wn === 0 || r.im < 0) return;   // el par complejo se cuenta una vez
+                const x    = Math.log10(w / r.wn);
+                const span = r.im ? Math.abs(r.zeta) : 1;
+                const t    = span ? Math.min(Math.max((x + span) / (2 * span), 0), 1) : (x < 0 ? 0 : 1);
+                phase += k * (r.re > 0 ? -1 : 1) * (r.im ? 180 : 90) * t;
+            });
+            return { f, dB, phase };
+        });
+    }
+
+    /** Frecuencias con espaciado logarítmico entre fStart y fStop (ambas incluidas) */
+    function logspace(fStart, fStop, n) {
+        const a = Math.log10(fStart), b = Math.log10(fStop);
+        return Array.from({ length: n }, (_, i) => Math.pow(10, a + (b - a) * i / (n - 1)));
+    }
+
+    /**
+     * Puntos notables de un barrido de frequencyResponse: el pico de |H| y los cruces a −3 dB
+     * respecto a él, interpolados en escala logarítmica de frecuencia. peak.edge indica que
+     * el máximo cae en un extremo del barrido (respuesta monótona en ese rango).
+     * margins son los márgenes que tendría H como ganancia de lazo, si sus cruces caen en
+     * el barrido: de fase en el primer cruce descendente por 0 dB (180° + φ) y de ganancia
+     * en el primer cruce de la fase por −180° (−|H| dB); null si no hay cruce.
+     */
+    function responseFeatures(resp) {
+        let k = 0;
+        resp.forEach((p, i) => { if (p.dB > resp[k].dB) k = i; });
+        const peak  = { f: resp[k].f, dB: resp[k].dB, edge: k === 0 || k === resp.length - 1 };
+        const level = peak.dB - 3;
+        const halfPower = [];
+        for (let i = 1; i < resp.length; i++) {
+            const a = resp[i - 1], b = resp[i];
+            if ((a.dB - level) * (b.dB - level) >= 0 || a.dB === b.dB) continue;
+            const u = (level - a.dB) / (b.dB - a.dB);
+            halfPower.push(Math.pow(10, Math.log10(a.f) + u * (Math.log10(b.f) - Math.log10(a.f))));
+        }
+        return { peak, halfPower, margins: stabilityMargins(resp) };
+    }
+
+    /** Cruce lineal de `key` por `level` entre dos puntos del barrido, con f interpolada en log */
+    function crossing(a, b, key, level) {
+        const u = (level - a[key]) / (b[key] - a[key]);
+        return {
+            f: Math.pow(10, Math.log10(a.f) + u * (Math.log10(b.f) - Math.log10(a.f))),
+            dB: a.dB + u * (b.dB - a.dB), phase: a.phase + u * (b.phase - a.phase)
+        };
+    }
+
+    function stabilityMargins(resp) {
+        let phase = null, gain = null;
+        for (let i = 1; i < resp.length && !(phase && gain); i++) {
+            const a = resp[i - 1], b = resp[i];
+            if (!phase && a.dB > 0 && b.dB <= 0) {
+                const c = crossing(a, b, 'dB', 0);
+                phase = { f: c.f, deg: 180 + c.phase };
+            }
+            if (!gain && (a.phase + 180) * (b.phase + 180) < 0) {
+                const c = crossing(a, b, 'phase', -180);
+                gain = { f: c.f, dB: -c.dB };
+            }
+        }
+        return { phase, gain };
+    }
+
+    /** Raíces de s² + 2α·s + ω0²; las reales se calculan sin cancelación */
+    function quadraticRoots(alpha, w0) {
+        const disc = alpha * alpha - w0 * w0;
+        if (disc < 0) {
+            const wd = Math.sqrt(-disc);
+            return [sRoot(-alpha, wd), sRoot(-alpha, -wd)];
+        }
+        const r1 = -(alpha + Math.sqrt(disc));
+        return [sRoot(w0 * w0 / r1, 0), sRoot(r1, 0)];
+    }
+
+    /**
+     * Polos y ceros de la H(s) de la salida del circuito, con H(s) = gain·Π(s − z)/Π(s − p).
+     * En el circuito ideal, D(s) = s² + (ω0/Q)·s + ω0² (la función de normalizedTransfer
+     * en s = jω) y los ceros dependen de la forma de la salida:
+     *   PB: sin ceros   PA: cero doble en 0   PBanda: cero en 0   Notch: ±jω0
+     * Con parásitos, D(s) = det(G + s·C) de la netlist y N(s) sale de la sonda de la salida
+     * (probeNumerator), de modo que las raíces son las de la misma H que dibujan Bode y Nyquist.
+     */
+    function polesZeros(circ) {
+        const { w0, Q, alpha } = analyze(circ);
+        const output = circuitOutput(circ);
+        if (!circ.useParasitics) {
+            const shape = OUTPUT_SHAPES[output];
+            const zeros = {
+                lpf:   [],
+                hpf:   [sRoot(0, 0), sRoot(0, 0)],
+                bpf:   [sRoot(0, 0)],
+                notch: [sRoot(0, w0), sRoot(0, -w0)]
+            }[shape];
+            const gain = { lpf: w0 * w0, hpf: 1, bpf: w0 / Q, notch: 1 }[shape];
+            return { poles: quadraticRoots(alpha, w0), zeros, gain, w0, Q };
+        }
+
+        const netlist = circuitNetlist(circ);
+        const mna     = buildMNA(netlist);
+        const order   = mna.elements.filter(e => e.type === 'L' || e.type === 'C').length;
+        const scale   = outputUnit(output) === 'A' ? Math.max(circ.R, MINS.R) : 1;
+        const D = samplePolynomial(s => complexDet(mnaPencil(mna, s)), order, w0);
+        const N = samplePolynomial(s => Complex.scale(probeNumerator(mna, netlist.probes[output], s), scale), order, w0);
+        const roots = a => polynomialRoots(a).map(z => sRoot(z.re * w0, z.im * w0));
+        const lead  = a => a.reduce((top, v, k) => (v ? k : top), 0);
+        const poles = roots(D), zeros = roots(N);
+        const gain  = N[lead(N)] / D[lead(D)] * Math.pow(w0, lead(D) - lead(N));
+        return { poles, zeros, gain, w0, Q };
+    }
+
+    const CRITICAL_R_RANGE = [MINS.R, 1e15];   // búsqueda de la R crítica en paralelo con parásitos
+
+    /**
+     * R que da amortiguamiento crítico (ζ = 1, polo doble en −ω0) con el resto del circuito
+     * fijo: Serie R = 2√(L/C), Paralelo R = ½√(L/C). En serie se descuentan las ESR que
+     * effectiveComponents suma a R; en paralelo con parásitos se busca por bisección
+     * (en log R) sobre el ζ de analyze, que decrece con R. null si las ESR solas ya lo superan.
+     */
+    function criticalResistance(circ) {
+        if (circ.topology === 'parallel' && circ.useParasitics) {
+            const zeta = R => analyze({ ...circ, R }).zeta;
+            let [lo, hi] = CRITICAL_R_RANGE.map(Math.log);
+            if (zeta(Math.exp(hi)) >= 1) return null;
+            for (let i = 0; i < 60; i++) {
+                const mid = (lo + hi) / 2;
+                if (zeta(Math.exp(mid)) > 1) lo = mid; else hi = mid;
+            }
+            return Math.exp((lo + hi) / 2);
+        }
+        const { R, L, C } = effectiveComponents(circ);
+        const target = circ.topology === 'parallel' ? 0.5 * Math.sqrt(L / C) : 2 * Math.sqrt(L / C);
+        const Rc = target - (R - Math.max(circ.R, MINS.R));
+        return Rc > 0 ? Rc : null;
+    }
+
+    /**
+     * Lugar de las raíces al variar R en dos décadas a cada lado de la R crítica (o de la
+     * actual si no hay). branches[0] es el polo de Im ≥ 0 y, en el eje real, el más
+     * cercano a 0; branches[1] su pareja. Ambas ramas se juntan en el punto de ruptura.
+     * Devuelve { R: [], branches: [[raíces], [raíces]], critical: { R, s } | null }.
+     */
+    function rootLocus(circ, n = 241) {
+        const Rc = criticalResistance(circ);
+        const center = Rc || Math.max(circ.R, MINS.R);
+        const Rs = logspace(center / 100, center * 100, n);
+        const branches = [[], []];
+        Rs.forEach(R => {
+            const [a, b] = dominantPair(polesZeros({ ...circ, R }).poles);
+            const first = a.im > 0 || (a.im === 0 && a.re >= b.re);
+            branches[0].push(first ? a : b);
+            branches[1].push(first ? b : a);
+        });
+        const critical = Rc ? { R: Rc, s: sRoot(-analyze({ ...circ, R: Rc }).w0, 0) } : null;
+        return { R: Rs, branches, critical };
+    }
+
+    /** Resultados a una frecuencia de operación: los que muestra el panel de resultados */
+    function operatingPoint(circ, f) {
+        const a = analyze(circ);
+        const Z = impedance(circ, Math.max(f, 0.01));
+        const H = transfer(circ, f);
+        return {
+            ...a,
+            Z, Z_mag: Complex.abs(Z), phase: Complex.argDeg(Z),
+            H, gain_dB: toDb(Complex.abs(H))
+        };
+    }
+
+    /* ============================================================
+       POTENCIA EN ALTERNA — régimen senoidal permanente
+       ============================================================ */
+
+    /** Tensión en bornes y corriente entregada por la fuente de entrada, a partir de V e I de la netlist */
+    function sourceVI(netlist, V, I) {
+        const src = netlist.elements.find(e => e.name === netlist.input);
+        // Fuente V: entrega −I(V) por n1. Fuente I: entrega I por n2, con tensión v_n2 − v_n1
+        return src.type === 'V'
+            ? { v: [V[src.n1], V[src.n2]], i: I[src.name], sign: -1 }
+            : { v: [V[src.n2], V[src.n1]], i: I[src.name], sign: 1 };
+    }
+
+    /**
+     * Potencias con u(t) = amp·sen(ωt) (amp de pico): P, Q y S entregadas por la fuente,
+     * factor de potencia, valores eficaces de cada elemento de la netlist (parásitos
+     * incluidos) y energías medias almacenadas en las bobinas (wL) y los condensadores (wC).
+     * Q > 0 es carga inductiva (corriente en retraso); se cumple Q = 2ω·(wL − wC).
+     */
+    function acPower(circ, f, amp) {
+        const netlist = circuitNetlist(circ);
+        const { V, I } = netlistAC(netlist, [Math.max(f, 0.01)])[0];
+        const k   = amp / Math.SQRT2;   // fasores unitarios → eficaces
+        const rms = c => Complex.abs(c) * k;
+
+        const src = sourceVI(netlist, V, I);
+        const vs  = Complex.scale(Complex.sub(src.v[0], src.v[1]), k);
+        const is  = Complex.scale(src.i, src.sign * k);
+        const S   = Complex.mul(vs, Complex.of(is.re, -is.im));
+        const mag = Complex.abs(S);
+
+        let wL = 0, wC = 0;
+        const elements = netlist.elements.filter(e => e.name !== netlist.input).map(e => {
+            const vRms = rms(Complex.sub(V[e.n1], V[e.n2]));
+            const iRms = rms(I[e.name]);
+            if (e.type === 'L') wL += e.value * iRms * iRms / 2;
+            if (e.type === 'C') wC += e.value * vRms * vRms / 2;
+            return { name: e.name, type: e.type, value: e.value, vRms, iRms, P: e.type === 'R' ? vRms * iRms : 0 };
+        });
+
+        return {
+            f, vRms: Complex.abs(vs), iRms: Complex.abs(is),
+            P: S.re, Q: S.im, S: mag,
+            pf: mag > 0 ? S.re / mag : 1,
+            character: Math.abs(S.im) <= 1e-9 * mag ? 'resistive' : S.im > 0 ? 'inductive' : 'capacitive',
+            elements, wL, wC
+        };
+    }
+
+    /**
+     * Elemento que, en paralelo con la fuente (a su tensión eficaz vRms), lleva el factor
+     * de potencia de `power` (resultado de acPower) a `target` sin cambiar de carácter:
+     * un condensador si la carga es inductiva o una bobina si es capacitiva.
+     * Devuelve { type: 'C' | 'L' | null, value, Qc } (Qc: reactiva que absorbe el elemento, negativa en un C).
+     */
+    function powerFactorCorrection(power, target) {
+        const pf = Math.min(Math.max(target, 0), 1);
+        const Qt = Math.sign(power.Q) * Math.abs(power.P) * Math.tan(Math.acos(pf));
+        const Qc = power.Q - Qt;
+        const w  = 2 * Math.PI * power.f;
+        if (Math.abs(power.pf) >= pf || Math.abs(Qc) < 1e-12 || !(power.vRms > 0)) return { type: null, value: 0, Qc: 0 };
+        const v2 = power.vRms * power.vRms;
+        return Qc > 0
+            ? { type: 'C', value: Qc / (w * v2), Qc: -Qc }
+            : { type: 'L', value: v2 / (w * -Qc), Qc: -Qc };
+    }
+
+    /* ============================================================
+       ÁLGEBRA LINEAL (sistemas pequeños y densos)
+       ============================================================ */
+
+    /** Factorización LU con pivoteo parcial; devuelve { lu, piv } */
+    function luFactor(M) {
+        const n   = M.length;
+        const lu  = M.map(row => row.slice());
+        const piv = Array.from({ length: n }, (_, i) => i);
+        for (let k = 0; k < n; k++) {
+            let p = k;
+            for (let i = k + 1; i < n; i++) if (Math.abs(lu[i][k]) > Math.abs(lu[p][k])) p = i;
+            if (lu[p][k] === 0) throw new Error('Sistema singular: revise la topología del circuito');
+            if (p !== k) { [lu[p], lu[k]] = [lu[k], lu[p]]; [piv[p], piv[k]] = [piv[k], piv[p]]; }
+            for (let i = k + 1; i < n; i++) {
+                const f = lu[i][k] /= lu[k][k];
+                for (let j = k + 1; j < n; j++) lu[i][j] -= f * lu[k][j];
+            }
+        }
+        return { lu, piv };
+    }
+
+    function luSolve({ lu, piv }, b) {
+        const n = lu.length;
+        const x = piv.map(i => b[i]);
+        for (let i = 1; i < n; i++) for (let j = 0; j < i; j++) x[i] -= lu[i][j] * x[j];
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = i + 1; j < n; j++) x[i] -= lu[i][j] * x[j];
+            x[i] /= lu[i][i];
+        }
+        return x;
+    }
+
+    /** Determinante de una matriz compleja por eliminación con pivoteo parcial */
+    function complexDet(M) {
+        const A = M.map(row => row.slice());
+        const n = A.length;
+        let det = Complex.of(1);
+        for (let k = 0; k < n; k++) {
+            let p = k;
+            for (let r = k + 1; r < n; r++) if (Complex.abs(A[r][k]) > Complex.abs(A[p][k])) p = r;
+            if (Complex.abs(A[p][k]) === 0) return Complex.of(0);
+            if (p !== k) { [A[p], A[k]] = [A[k], A[p]]; det = Complex.scale(det, -1); }
+            det = Complex.mul(det, A[k][k]);
+            for (let r = k + 1; r < n; r++) {
+                const m = Complex.div(A[r][k], A[k][k]);
+                for (let c = k; c < n; c++) A[r][c] = Complex.sub(A[r][c], Complex.mul(m, A[k][c]));
+            }
+        }
+        return det;
+    }
+
+    /**
+     * Resuelve (Mr + j·Mi)·x = br + j·bi por eliminación gaussiana con pivoteo parcial en
+     * aritmética compleja, con las partes real e imaginaria en matrices separadas (se
+     * modifican). Devuelve { re, im }.
+     */
+    function complexSolve(Mr, Mi, br, bi) {
+        const n = Mr.length;
+        for (let k = 0; k < n; k++) {
+            let p = k, best = 0;
+            for (let i = k; i < n; i++) {
+                const m = Mr[i][k] * Mr[i][k] + Mi[i][k] * Mi[i][k];
+                if (m > best) { best = m; p = i; }
+            }
+            if (best === 0) throw new Error('Sistema singular: revise la topología del circuito');
+            if (p !== k) {
+                [Mr[p], Mr[k]] = [Mr[k], Mr[p]]; [Mi[p], Mi[k]] = [Mi[k], Mi[p]];
+                [br[p], br[k]] = [br[k], br[p]]; [bi[p], bi[k]] = [bi[k], bi[p]];
+            }
+            const dr = Mr[k][k] / best, di = -Mi[k][k] / best;   // 1/pivote
+            for (let i = k + 1; i < n; i++) {
+                const fr = Mr[i][k] * dr - Mi[i][k] * di, fi = Mr[i][k] * di + Mi[i][k] * dr;
+                if (fr === 0 && fi === 0) continue;
+                for (let j = k + 1; j < n; j++) {
+                    Mr[i][j] -= fr * Mr[k][j] - fi * Mi[k][j];
+                    Mi[i][j] -= fr * Mi[k][j] + fi * Mr[k][j];
+                }
+                br[i] -= fr * br[k] - fi * bi[k];
+                bi[i] -= fr * bi[k] + fi * br[k];
+            }
+        }
+        const re = new Array(n), im = new Array(n);
+        for (let i = n - 1; i >= 0; i--) {
+            let sr = br[i], si = bi[i];
+            for (let j = i + 1; j < n; j++) {
+                sr -= Mr[i][j] * re[j] - Mi[i][j] * im[j];
+                si -= Mr[i][j] * im[j] + Mi[i][j] * re[j];
+            }
+            const d = Mr[i][i] * Mr[i][i] + Mi[i][i] * Mi[i][i];
+            re[i] = (sr * Mr[i][i] + si * Mi[i][i]) / d;
+            im[i] = (si * Mr[i][i] - sr * Mi[i][i]) / d;
+        }
+        return { re, im };
+    }
+
+    const matVec    = (M, x) => M.map(row => row.reduce((s, m, j) => s + m * x[j], 0));
+    /** M = P + k·Q */
+    const matCombine = (P, Q, k) => P.map((row, i) => row.map((p, j) => p + k * Q[i][j]));
+
+    /* ============================================================
+       NETLIST — análisis nodal modificado (MNA)
+       ============================================================ */
+
+    /** Nombre del nodo de referencia, como en SPICE */
+    const GROUND = '0';
+
+    /**
+     * Netlists predefinidas de las dos topologías clásicas, con parásitos si están activos.
+     *
+     * Serie:    V1 in→0, R1 in→a, L1 a→…, [R_ESR_L], [L_ESL_C], [R_ESR_C], C1 …→0
+     * Paralelo: I1 (Norton, i_s = u/R) 0→v, R1 v→0, L1 v→…, [R_ESR_L …→0],
+     *           [L_ESL_C v→…], [R_ESR_C], C1 …→0
+     *
+     * Los parásitos nulos se omiten (sus nodos se funden). `probes` conserva los
+     * canales clásicos: tensión en bornes de cada elemento con sus parásitos y corrientes,
+     * más los de cada salida de OUTPUTS.
+     */
+    function circuitNetlist(circ) {
+        const R = Math.max(circ.R, MINS.R);
+        const L = Math.max(circ.L, MINS.L);
+        const C = Math.max(circ.C, MINS.C);
+        const p = circ.useParasitics;
+        const esrC = p ? circ.esrC || 0 : 0;
+        const eslC = p ? circ.eslC || 0 : 0;
+        const esrL = p ? circ.esrL || 0 : 0;
+
+        const elements = [];
+        let node = 0;
+        // Añade una cadena de elementos en serie desde `from` hasta `to`, omitiendo los nulos
+        const chain = (from, to, parts) => {
+            const live = parts.filter(e => e.value > 0);
+            let a = from;
+            live.forEach((e, k) => {
+                const b = (k === live.length - 1) ? to : `n${++node}`;
+                elements.push({ ...e, n1: a, n2: b });
+                a = b;
+            });
+        };
+
+        if (circ.topology === 'parallel') {
+            elements.push({ type: 'I', name: 'I1', n1: GROUND, n2: 'v', value: 1 / R });
+            elements.push({ type: 'R', name: 'R1', n1: 'v', n2: GROUND, value: R });
+            chain('v', GROUND, [{ type: 'L', name: 'L1', value: L }, { type: 'R', name: 'R_ESR_L', value: esrL }]);
+            chain('v', GROUND, [
+                { type: 'L', name: 'L_ESL_C', value: eslC }, { type: 'R', name: 'R_ESR_C', value: esrC },
+                { type: 'C', name: 'C1', value: C }
+            ]);
+            return {
+                elements, input: 'I1',
+                probes: {
+                    vR: { v: ['v', GROUND] }, vL: { v: ['v', GROUND] }, vC: { v: ['v', GROUND] },
+                    v:  { v: ['v', GROUND] },
+                    i:  { i: 'I1' }, iR: { i: 'R1' }, iL: { i: 'L1' }, iC: { i: 'C1' },
+                    iLC: { i: ['L1', 'C1'] }
+                }
+            };
+        }
+
+        elements.push({ type: 'V', name: 'V1', n1: 'in', n2: GROUND, value: 1 });
+        elements.push({ type: 'R', name: 'R1', n1: 'in', n2: 'a', value: R });
+        chain('a', 'c', [{ type: 'L', name: 'L1', value: L }, { type: 'R', name: 'R_ESR_L', value: esrL }]);
+        chain('c', GROUND, [
+            { type: 'L', name: 'L_ESL_C', value: eslC }, { type: 'R', name: 'R_ESR_C', value: esrC },
+            { type: 'C', name: 'C1', value: C }
+        ]);
+        return {
+            elements, input: 'V1',
+            probes: {
+                vR: { v: ['in', 'a'] }, vL: { v: ['a', 'c'] }, vC: { v: ['c', GROUND] },
+                vLC: { v: ['a', GROUND] }, v: { v: ['c', GROUND] },
+                i:  { i: 'L1' }, iR: { i: 'R1' }, iL: { i: 'L1' }, iC: { i: 'C1' }
+            }
+        };
+    }
+
+    /**
+     * Ensambla las matrices MNA de G·x + C·x' = S·u(t).
+     * Incógnitas: tensiones de nodo (sin masa) y corrientes de rama de V, L y C.
+     * Convenio SPICE: la corriente de rama circula de n1 a n2 a través del elemento;
+     * el valor de una fuente es el factor que multiplica la excitación u(t).
+     */
+    function buildMNA(netlist) {
+        const nodes = [];
+        const nodeIndex = name => {
+            name = String(name);
+            if (name === GROUND) return -1;
+            if (!nodes.includes(name)) nodes.push(name);
+            return nodes.indexOf(name);
+        };
+
+        const elements = netlist.elements.map(e => {
+            if (!['R', 'L', 'C', 'V', 'I'].includes(e.type)) {
+                throw new Error(`Elemento no soportado: ${e.name || e.type}`);
+            }
+            if ('RLC'.includes(e.type) && !(e.value > 0)) {
+                throw new Error(`Valor no válido en ${e.name}: ${e.value}`);
+            }
+            return { ...e, a: nodeIndex(e.n1), b: nodeIndex(e.n2) };
+        });
+
+        let n = nodes.length;
+        elements.forEach(e => { if ('VLC'.includes(e.type)) e.k = n++; });
+        const G = Array.from({ length: n }, () => new Array(n).fill(0));
+        const C = Array.from({ length: n }, () => new Array(n).fill(0));
+        const S = new Array(n).fill(0);
+
+        const add = (M, r, c, v) => { if (r >= 0 && c >= 0) M[r][c] += v; };
+        // Corriente de rama k saliendo de a y entrando en b, y la tensión v_a − v_b en la fila k
+        const stampBranch = (a, b, k) => {
+            add(G, a, k, 1); add(G, b, k, -1);
+            add(G, k, a, 1); add(G, k, b, -1);
+        };
+
+        elements.forEach(e => {
+            const { a, b, k, value } = e;
+            switch (e.type) {
+                case 'R': {
+                    const g = 1 / value;
+                    add(G, a, a, g); add(G, b, b, g); add(G, a, b, -g); add(G, b, a, -g);
+                    break;
+                }
+                case 'L':   // v_a − v_b − L·i' = 0
+                    stampBranch(a, b, k);
+                    C[k][k] = -value;
+                    break;
+                case 'C':   // C·(v_a − v_b)' − i = 0
+                    add(G, a, k, 1); add(G, b, k, -1);
+                    G[k][k] = -1;
+                    add(C, k, a, value); add(C, k, b, -value);
+                    break;
+                case 'V':   // v_a − v_b = value·u
+                    stampBranch(a, b, k);
+                    S[k] += value;
+                    break;
+                case 'I':   // value·u sale de a y entra en b
+                    if (a >= 0) S[a] -= value;
+                    if (b >= 0) S[b] += value;
+                    break;
+            }
+        });
+
+        return { nodes, elements, size: n, G, C, S };
+    }
+
+    /** Tensión de nodo y corriente de cada elemento a partir del vector de incógnitas */
+    function mnaReadout(mna, x, u) {
+        const V = {};
+        mna.nodes.forEach((name, k) => { V[name] = x[k]; });
+        V[GROUND] = 0;
+        const I = {};
+        mna.elements.forEach(e => {
+            switch (e.type) {
+                case 'R': I[e.name] = (V[e.n1] - V[e.n2]) / e.value; break;
+                case 'I': I[e.name] = e.value * u; break;
+                default:  I[e.name] = x[e.k];
+            }
+        });
+        return { V, I };
+    }
+
+    /**
+     * Análisis AC: fasores de tensión de nodo y corriente de elemento para una
+     * excitación unitaria, en cada frecuencia. Resuelve (G + jωC)·X = S.
+     * Devuelve [{ f, V: {nodo: Complex}, I: {elemento: Complex} }].
+     */
+    function netlistAC(netlist, freqs) {
+        const mna = buildMNA(netlist);
+        return freqs.map(f => ({ f, ...mnaSolve(mna, Complex.of(0, 2 * Math.PI * f)) }));
+    }
+
+    /**
+     * Solución de (G + s·C)·X = S para una s = σ + jω compleja cualquiera.
+     * Devuelve { V: {nodo: Complex}, I: {elemento: Complex} }.
+     */
+    function mnaSolve(mna, s) {
+        const sol = complexSolve(
+            mna.G.map((row, i) => row.map((g, j) => g + s.re * mna.C[i][j])),
+            mna.C.map(row => row.map(c => s.im * c)),
+            mna.S.slice(), new Array(mna.size).fill(0));
+        // Como mnaReadout, en complejo y con u = 1
+        const V = { [GROUND]: Complex.of(0) };
+        mna.nodes.forEach((name, k) => { V[name] = Complex.of(sol.re[k], sol.im[k]); });
+        const I = {};
+        mna.elements.forEach(e => {
+            switch (e.type) {
+                case 'R': I[e.name] = Complex.scale(Complex.sub(V[e.n1], V[e.n2]), 1 / e.value); break;
+                case 'I': I[e.name] = Complex.of(e.value); break;
+                default:  I[e.name] = Complex.of(sol.re[e.k], sol.im[e.k]);
+            }
+        });
+        return { V, I };
+    }
+
+    /**
+     * Impedancia vista por la fuente `netlist.input`: V/I para una fuente de tensión
+     * (con la corriente que entrega) y V/I en bornes para una de corriente.
+     */
+    function inputImpedance(netlist, f) {
+        return sourceImpedance(netlist, netlistAC(netlist, [f])[0]);
+    }
+
+    /** Impedancia de entrada a partir de una solución { V, I } de netlistAC */
+    function sourceImpedance(netlist, { V, I }) {
+        const src = netlist.elements.find(e => e.name === netlist.input);
+        if (!src) throw new Error(`Fuente de entrada no encontrada: ${netlist.input}`);
+        const v = Complex.sub(V[src.n1], V[src.n2]);
+        const i = I[src.name];
+        // Fuente V: entrega −I(V) por n1. Fuente I: entrega I por n2, con tensión v_n2 − v_n1
+        return Complex.div(src.type === 'V' ? v : Complex.scale(v, -1),
+                           src.type === 'V' ? Complex.scale(i, -1) : i);
+    }
+
+    /* ============================================================
+       FRECUENCIAS NATURALES — raíces de det(G + s·C) de la netlist
+       ============================================================ */
+
+    const POLY_SHIFT = 0.3;     // giro de los puntos de muestreo (en pasos) para no caer sobre el eje jω
+    const POLY_TRIM  = 1e-10;   // coeficientes menores que esto (relativos al mayor, a escala ρ) son 0
+
+    /** Raíz del plano s con su pulsación natural ωn = |s| y su amortiguamiento ζ = −Re(s)/|s| */
+    function sRoot(re, im) {
+        const wn = Math.hypot(re, im);
+        return { re, im, wn, zeta: wn > 0 ? -re / wn : null };
+    }
+
+    /** Matriz compleja G + s·C del sistema MNA */
+    function mnaPencil(mna, s) {
+        return mna.G.map((row, i) => row.map((g, j) => Complex.of(g + s.re * mna.C[i][j], s.im * mna.C[i][j])));
+    }
+
+    /**
+     * Numerador de la función de red de una sonda (con u = 1): det(G + s·C) por el valor de
+     * la sonda, que por la regla de Cramer es una combinación de determinantes con la
+     * columna de cada incógnita sustituida por S. Es un polinomio en s y no diverge en los polos.
+     */
+    function probeNumerator(mna, probe, s) {
+        const M = mnaPencil(mna, s);
+        const cramer = k => (k < 0 ? Complex.of(0)
+            : complexDet(M.map((row, i) => row.map((v, j) => (j === k ? Complex.of(mna.S[i]) : v)))));
+        const node = name => (String(name) === GROUND ? -1 : mna.nodes.indexOf(String(name)));
+        const current = name => {
+            const e = mna.elements.find(el => el.name === name);
+            switch (e.type) {
+                case 'R': return Complex.scale(Complex.sub(cramer(e.a), cramer(e.b)), 1 / e.value);
+                case 'I': return Complex.scale(complexDet(M), e.value);
+                default:  return cramer(e.k);
+            }
+        };
+        if (probe.i) return [].concat(probe.i).map(current).reduce(Complex.add);
+        return Complex.sub(cramer(node(probe.v[0])), cramer(node(probe.v[1])));
+    }
+
+    /**
+     * Coeficientes reales [a0, a1, …, an] en potencias de z = s/ρ del polinomio de grado ≤ n
+     * que vale p(s): se muestrea en n + 1 puntos de la circunferencia |s| = ρ y se invierte
+     * la DFT. Los coeficientes despreciables se anulan (raíces en 0 o mucho más allá de ρ).
+     */
+    function samplePolynomial(p, n, rho) {
+        const m   = n + 1;
+        const arg = (j, k) => 2 * Math.PI * k * (j + POLY_SHIFT) / m;
+        const values = Array.from({ length: m }, (_, j) =>
+            p(Complex.of(rho * Math.cos(arg(j, 1)), rho * Math.sin(arg(j, 1)))));
+        const a = Array.from({ length: m }, (_, k) => values.reduce(
+            (sum, v, j) => sum + (v.re * Math.cos(arg(j, k)) + v.im * Math.sin(arg(j, k))) / m, 0));
+        const big = Math.max(...a.map(Math.abs));
+        return a.map(v => (Math.abs(v) < POLY_TRIM * big ? 0 : v));
+    }
+
+    /** Raíces de z² + p·z + q (coeficientes reales), las reales sin cancelación */
+    function monicQuadraticRoots(p, q) {
+        const disc = p * p / 4 - q;
+        if (disc < 0) {
+            const im = Math.sqrt(-disc);
+            return [Complex.of(-p / 2, im), Complex.of(-p / 2, -im)];
+        }
+        const r1 = -(p / 2 + (p < 0 ? -1 : 1) * Math.sqrt(disc));
+        return [Complex.of(r1), Complex.of(r1 ? q / r1 : 0)];
+    }
+
+    /**
+     * Raíces de a0 + a1·z + a2·z² + a3·z³ (coeficientes reales, grado ≤ 3: las netlists
+     * predefinidas tienen a lo sumo tres elementos reactivos). La cúbica tiene siempre una
+     * raíz real, que se busca por bisección; el factor cuadrático restante se obtiene
+     * dividiendo hacia delante si esa raíz es la pequeña y hacia atrás si es la grande.
+     */
+    function polynomialRoots(a) {
+        a = a.slice();
+        while (a.length && a[a.length - 1] === 0) a.pop();
+        const roots = [];
+        while (a.length > 1 && a[0] === 0) { roots.push(Complex.of(0)); a.shift(); }
+        const n = a.length - 1;
+        if (n > 3) throw new Error(`Polinomio de grado ${n} no soportado`);
+        if (n === 1) roots.push(Complex.of(-a[0] / a[1]));
+        if (n === 2) roots.push(...monicQuadraticRoots(a[1] / a[2], a[0] / a[2]));
+        if (n === 3) {
+            const [b0, b1, b2] = [a[0] / a[3], a[1] / a[3], a[2] / a[3]];
+            const cubic = z => ((z + b2) * z + b1) * z + b0;
+            let lo = -(1 + Math.max(Math.abs(b0), Math.abs(b1), Math.abs(b2))), hi = -lo;
+            for (let mid = (lo + hi) / 2; mid !== lo && mid !== hi; mid = (lo + hi) / 2) {
+                if (cubic(mid) < 0) lo = mid; else hi = mid;
+            }
+            const r = (lo + hi) / 2;
+            let p, q;
+            if (Math.abs(r) ** 3 > Math.abs(b0)) { q = -b0 / r; p = (q - b1) / r; }
+            else                                 { p = b2 + r;  q = b1 + p * r; }
+            roots.push(Complex.of(r), ...monicQuadraticRoots(p, q));
+        }
+        return roots;
+    }
+
+    /**
+     * Frecuencias naturales de una netlist (sus fuentes anuladas): las raíces de
+     * det(G + s·C), cuyo grado es como mucho el número de bobinas y condensadores.
+     * rho es la escala de |s| en torno a la que se muestrea (p. ej. 1/√(LC)).
+     * Devuelve raíces como sRoot.
+     */
+    function naturalFrequencies(netlist, rho) {
+        const mna   = buildMNA(netlist);
+        const order = mna.elements.filter(e => e.type === 'L' || e.type === 'C').length;
+        const a = samplePolynomial(s => complexDet(mnaPencil(mna, s)), order, rho);
+        return polynomialRoots(a).map(z => sRoot(z.re * rho, z.im * rho));
+    }
+
+    /**
+     * Par de polos que hace de respuesta de segundo orden: el par complejo más lento o, si
+     * no hay ninguno, los dos polos reales más lentos. null si hay menos de dos polos.
+     */
+    function dominantPair(poles) {
+        const sorted  = poles.slice().sort((a, b) => a.wn - b.wn);
+        const complex = sorted.find(p => p.im > 0);
+        if (complex) return [complex, sRoot(complex.re, -complex.im)];
+        return sorted.length >= 2 ? sorted.slice(0, 2) : null;
+    }
+
+    /* ============================================================
+       SOLVER TRANSITORIO — sistema descriptor E·x' = A·x + B·u(t)
+       ============================================================ */
+
+    // TR-BDF2: trapecio hasta t + γh y BDF2 hasta t + h (L-estable, 2.º orden)
+    const TRBDF2_G = 2 - Math.SQRT2;
+    const TRBDF2_A = 1 / (TRBDF2_G * (2 - TRBDF2_G));
+    const TRBDF2_B = Math.pow(1 - TRBDF2_G, 2) / (TRBDF2_G * (2 - TRBDF2_G));
+    const TRBDF2_C = (1 - TRBDF2_G) / (2 - TRBDF2_G);
+
+    const TRAN_RTOL          = 1e-4;
+    const TRAN_MAX_SUBSTEPS  = 4096;
+
+    /**
+     * Integra E·x' = A·x + B·u(t) sobre la rejilla de salida `times` partiendo de x0.
+     * Cada intervalo de salida se divide en m subpasos TR-BDF2; m se adapta por
+     * duplicación de paso (se compara m contra 2m subpasos) para cumplir TRAN_RTOL.
+     */
+    function integrateDescriptor(sys, u, times, x0) {
+        const { E, A, B } = sys;
+        const n = x0.length;
+        const cache = new Map();   // h → factorizaciones de las dos etapas
+
+        const stepMatrices = h => {
+            if (!cache.has(h)) {
+                cache.set(h, {
+                    trap: luFactor(matCombine(E, A, -TRBDF2_G * h / 2)),
+                    trapRhs: matCombine(E, A, TRBDF2_G * h / 2),
+                    bdf:  luFactor(matCombine(E, A, -TRBDF2_C * h))
+                });
+            }
+            return cache.get(h);
+        };
+
+        const advance = (x, t0, t1, m) => {
+            const h = (t1 - t0) / m;
+            const M = stepMatrices(h);
+            const r = new Array(n);
+            for (let k = 0; k < m; k++) {
+                const t  = t0 + k * h;
+                const un = u(t), ug = u(t + TRBDF2_G * h), u1 = u(t + h);
+                // Etapa trapezoidal hasta t + γh
+                for (let i = 0; i < n; i++) {
+                    let acc = TRBDF2_G * h / 2 * B[i] * (un + ug);
+                    for (let j = 0; j < n; j++) acc += M.trapRhs[i][j] * x[j];
+                    r[i] = acc;
+                }
+                const xg = luSolve(M.trap, r);
+                // Etapa BDF2 hasta t + h
+                for (let i = 0; i < n; i++) xg[i] = TRBDF2_A * xg[i] - TRBDF2_B * x[i];
+                for (let i = 0; i < n; i++) {
+                    let acc = TRBDF2_C * h * B[i] * u1;
+                    for (let j = 0; j < n; j++) acc += E[i][j] * xg[j];
+                    r[i] = acc;
+                }
+                x = luSolve(M.bdf, r);
+            }
+            return x;
+        };
+
+        const scale = x0.map(Math.abs);
+        const out = [x0.slice()];
+        let x = x0.slice();
+        let m = 1;
+
+        for (let k = 1; k < times.length; k++) {
+            const t0 = times[k - 1], t1 = times[k];
+            for (;;) {
+                const coarse = advance(x, t0, t1, m);
+                const fine   = advance(x, t0, t1, 2 * m);
+                const floor  = Math.max(...scale, ...fine.map(Math.abs)) * 1e-3;
+                let err = 0;
+                for (let i = 0; i < n; i++) {
+                    const tol = TRAN_RTOL * Math.max(scale[i], Math.abs(fine[i]), floor) + 1e-15;
+                    err = Math.max(err, Math.abs(fine[i] - coarse[i]) / 3 / tol);
+                }
+                if (err <= 1 || m >= TRAN_MAX_SUBSTEPS) {
+                    x = fine;
+                    if (err < 0.05 && m > 1) m /= 2;
+                    break;
+                }
+                m *= 2;
+            }
+            x.forEach((v, i) => { scale[i] = Math.max(scale[i], Math.abs(v)); });
+            out.push(x);
+        }
+        return out;
+    }
+
+    /**
+     * Estado justo después de un impulso de área `area` en t = 0: un paso de Euler
+     * implícito de duración τ → 0 con u = area/τ, seguido de otro con u = 0 que
+     * devuelve las variables algebraicas a un valor consistente.
+     */
+    function impulseState(sys, area, tau) {
+        const { E, A, B } = sys;
+        const M  = luFactor(matCombine(E, A, -tau));
+        const x1 = luSolve(M, B.map(b => b * area));
+        return luSolve(M, matVec(E, x1));
+    }
+
+    /**
+     * Estado consistente en t = 0⁺ desde el reposo con entrada u0: un paso de Euler
+     * implícito de duración τ → 0 deja las variables de estado en cero y resuelve
+     * las algebraicas (tensiones fijadas por fuentes, caídas resistivas…).
+     */
+    function initialState(sys, u0, tau) {
+        const { E, A, B } = sys;
+        if (u0 === 0) return new Array(B.length).fill(0);
+        const M = luFactor(matCombine(E, A, -tau));
+        return luSolve(M, B.map(b => b * u0 * tau));
+    }
+
+    /* ============================================================
+       GENERADOR DE FUNCIONES
+       ============================================================ */
+
+    /** Tipos de señal; las periódicas repiten su forma cada 1/freq */
+    const SIGNAL_TYPES     = ['sine', 'square', 'triangle', 'sawtooth', 'pulse', 'chirp', 'damped', 'custom', 'step', 'impulse'];
+    const PERIODIC_SIGNALS = ['sine', 'square', 'triangle', 'sawtooth', 'pulse', 'custom'];
+
+    /**
+     * Parámetros del generador además de {type, freq, amp} (amp de pico):
+     *   offset (V) y phase (°) para todas salvo el impulso; duty (0–1) del pulso;
+     *   rise/fall (s): flancos de cuadrada, pulso y escalón (fall es el retroceso del diente de sierra);
+     *   chirp de freq a freqEnd en sweepTime s, lineal o logarítmico (sweepLog), repetido;
+     *   decay (s): constante de tiempo de la senoidal amortiguada;
+     *   points: forma personalizada [[x, y]] con x ∈ [0, 1] del periodo e y ∈ [−1, 1] de amp.
+     */
+    const SIGNAL_DEFAULTS = {
+        offset: 0, phase: 0, duty: 0.5, rise: 0, fall: 0,
+        freqEnd: 10000, sweepTime: 0.01, sweepLog: false, decay: 1e-3,
+        points: [[0, 0], [0.25, 1], [0.75, -1], [1, 0]]
+    };
+
+    /**
+     * Trapecio de un periodo en x ∈ [0, 1): sube de 0 a 1 en r, sigue en 1 hasta duty y
+     * baja en f. r y f (fracciones del periodo) se recortan para caber en cada semiciclo.
+     */
+    function trapezoid(x, duty, r, f) {
+        r = Math.min(r, duty);
+        f = Math.min(f, 1 - duty);
+        if (x < r)        return x / r;
+        if (x < duty)     return 1;
+        if (x < duty + f) return 1 - (x - duty) / f;
+        return 0;
+    }
+
+    /** Interpolación lineal de la forma personalizada, cerrada sobre el periodo */
+    function customShape(points) {
+        const pts = points.slice().sort((a, b) => a[0] - b[0]);
+        if (!pts.length) return () => 0;
+        // Puntos fantasma un periodo antes y después: el tramo de cierre une el último con el primero
+        const ext = [[pts[pts.length - 1][0] - 1, pts[pts.length - 1][1]], ...pts, [pts[0][0] + 1, pts[0][1]]];
+        return x => {
+            let i = 1;
+            while (i < ext.length - 1 && ext[i][0] <= x) i++;
+            const [x0, y0] = ext[i - 1], [x1, y1] = ext[i];
+            return x1 > x0 ? y0 + (y1 - y0) * (x - x0) / (x1 - x0) : y1;
+        };
+    }
+
+    /** Forma normalizada de un periodo, x ∈ [0, 1) → [−1, 1] (el pulso va de 0 a 1) */
+    function periodicShape(s) {
+        const f = Math.max(s.freq, 1);
+        const r = s.rise * f, fl = s.fall * f;
+        switch (s.type) {
+            case 'square':   return x => 2 * trapezoid(x, 0.5, r, fl) - 1;
+            case 'pulse':    return x => trapezoid(x, Math.min(Math.max(s.duty, 0), 1), r, fl);
+            case 'triangle': return x => (x < 0.25 ? 4 * x : x < 0.75 ? 2 - 4 * x : 4 * x - 4);
+            case 'sawtooth': {
+                // Rampa desde 0 hasta +1, retroceso (fall) hasta −1 y rampa de vuelta a 0
+                const back = Math.min(fl, 0.5);
+                return x => {
+                    const y = (x + 0.5) % 1;
+                    return y < 1 - back ? 2 * y / (1 - back) - 1 : 1 - 2 * (y - 1 + back) / back;
+                };
+            }
+            case 'custom':   return customShape(s.points);
+            default:         return x => Math.sin(2 * Math.PI * x);
+        }
+    }
+
+    /** Fase instantánea (rad) de un chirp en t ∈ [0, T) de f0 a f1 */
+    function chirpPhase(t, f0, f1, T, log) {
+        if (log && f1 !== f0) {
+            const k = Math.log(f1 / f0);
+            return 2 * Math.PI * f0 * T / k * (Math.exp(k * t / T) - 1);
+        }
+        return 2 * Math.PI * (f0 * t + (f1 - f0) * t * t / (2 * T));
+    }
+
+    /**
+     * Forma de onda u(t) de la excitación; el impulso se trata aparte. Todas se evalúan
+     * punto a punto (sin sumas de armónicos), así el simulador ve la señal real.
+     */
+    function inputFunction(signal) {
+        const s   = { ...SIGNAL_DEFAULTS, ...signal };
+        const amp = s.amp, off = s.offset;
+        const ph  = s.phase / 360;
+        const f   = Math.max(s.freq, 1);
+        switch (s.type) {
+            case 'step':
+                return t => (t < 0 ? 0 : off + amp * (s.rise > 0 ? Math.min(t / s.rise, 1) : 1));
+            case 'impulse':
+                return () => 0;
+            case 'chirp': {
+                const T  = Math.max(s.sweepTime, 1e-9);
+                const f1 = Math.max(s.freqEnd, 1);
+                return t => off + amp * Math.sin(chirpPhase(((t % T) + T) % T, f, f1, T, s.sweepLog) + 2 * Math.PI * ph);
+            }
+            case 'damped':
+                return t => off + amp * Math.exp(-Math.max(t, 0) / Math.max(s.decay, 1e-12)) * Math.sin(2 * Math.PI * (f * t + ph));
+            default: {
+                const shape = periodicShape(s);
+                return t => {
+                    // Fase fraccionaria: ciclos de trabajo exactos también con muestreo coherente
+                    const p = t * f + ph + 1e-9;   // tolera el redondeo en los flancos
+                    return off + amp * shape(p - Math.floor(p));
+                };
+            }
+        }
+    }
+
+    /**
+     * Simulación transitoria de una netlist desde el reposo en t = 0, con todas las
+     * fuentes escaladas por u(t) (o por un impulso de área opts.impulse).
+     * Devuelve { t, u, V: {nodo: []}, I: {elemento: []} }.
+     */
+    function netlistTransient(netlist, u, times, opts = {}) {
+        const mna = buildMNA(netlist);
+        const sys = { E: mna.C, A: mna.G.map(row => row.map(g => -g)), B: mna.S };
+        const dt  = (times[times.length - 1] - times[0]) / Math.max(times.length - 1, 1);
+        const x0  = opts.impulse ? impulseState(sys, opts.impulse, dt * 1e-9)
+                                 : initialState(sys, u(times[0]), dt * 1e-9);
+
+        const states = integrateDescriptor(sys, u, times, x0);
+        const res = { t: times, u: times.map(u), V: {}, I: {} };
+        [...mna.nodes, GROUND].forEach(k => { res.V[k] = new Array(times.length); });
+        mna.elements.forEach(e => { res.I[e.name] = new Array(times.length); });
+        states.forEach((x, k) => {
+            const { V, I } = mnaReadout(mna, x, res.u[k]);
+            Object.keys(V).forEach(key => { res.V[key][k] = V[key]; });
+            Object.keys(I).forEach(key => { res.I[key][k] = I[key]; });
+        });
+        return res;
+    }
+
+    /** Serie temporal de una sonda { v: [n1, n2] } o { i: elemento | [elementos] } */
+    function probeSeries(res, probe) {
+        if (probe.i) {
+            return [].concat(probe.i).map(name => res.I[name])
+                .reduce((sum, s) => sum.map((v, k) => v + s[k]));
+        }
+        const [a, b] = probe.v;
+        return res.V[a].map((v, k) => v - res.V[b][k]);
+    }
+
+    /**
+     * Potencia instantánea entregada por la fuente p(t) y energías almacenadas
+     * wL(t) = Σ ½·L·i² y wC(t) = Σ ½·C·v² de un resultado de netlistTransient
+     */
+    function energySeries(netlist, res) {
+        const n  = res.t.length;
+        const wL = new Array(n).fill(0), wC = new Array(n).fill(0);
+        netlist.elements.forEach(e => {
+            if (e.type === 'L') res.I[e.name].forEach((i, k) => { wL[k] += e.value * i * i / 2; });
+            if (e.type === 'C') res.V[e.n1].forEach((v, k) => {
+                const d = v - res.V[e.n2][k];
+                wC[k] += e.value * d * d / 2;
+            });
+        });
+        const src = sourceVI(netlist, res.V, res.I);
+        const p = src.i.map((i, k) => (src.v[0][k] - src.v[1][k]) * i * src.sign);
+        return { p, wL, wC };
+    }
+
+    /**
+     * Simulación transitoria del circuito clásico (netlist predefinida) para una
+     * entrada arbitraria u(t). Devuelve series planas por canal:
+     * { t, u, vR, vL, vC, v, i, iR, iL, iC } más vLC (serie) o iLC (paralelo),
+     * y la potencia de la fuente p con las energías almacenadas wL y wC.
+     */
+    function simulate(circ, u, times, opts = {}) {
+        const netlist = circuitNetlist(circ);
+        const tr  = netlistTransient(netlist, u, times, opts);
+        const res = { t: tr.t, u: tr.u };
+        Object.keys(netlist.probes).forEach(k => { res[k] = probeSeries(tr, netlist.probes[k]); });
+        return Object.assign(res, energySeries(netlist, tr));
+    }
+
+    /**
+     * Respuesta a una señal {type, freq, amp} en los instantes dados (con t[0] = 0).
+     * `output` es el canal de la salida del circuito (circuitOutput), en `outputUnit`;
+     * el resto de canales acompaña al resultado.
+     */
+    function timeResponse(circ, signal, times) {
+        const impulse = signal.type === 'impulse';
+        const sim = simulate(circ, inputFunction(signal), times, impulse ? { impulse: signal.amp } : {});
+        const output = circuitOutput(circ);
+        return { ...sim, input: sim.u, output: sim[output], outputUnit: outputUnit(output) };
+    }
+
+    function stepResponse(circ, times, amp = 1) {
+        const sim = simulate(circ, inputFunction({ type: 'step', amp }), times);
+        return { ...sim, y: sim[circuitOutput(circ)] };
+    }
+
+    function impulseResponse(circ, times, amp = 1) {
+        const sim = simulate(circ, () => 0, times, { impulse: amp });
+        return { ...sim, y: sim[circuitOutput(circ)] };
+    }
+
+    /* ============================================================
+       COMPROBACIÓN DEL MODELO — H frente a la netlist y al transitorio
+       ============================================================ */
+
+    const CHECK_SETTLE     = 14;       // constantes de tiempo del polo más lento antes de medir
+    const CHECK_PERIODS    = 4;        // periodos sobre los que se mide el régimen permanente
+    const CHECK_PER_PERIOD = 64;
+    const CHECK_MAX_POINTS = 200000;
+
+    /**
+     * Comprueba que todas las salidas de la topología son la misma magnitud en todas las
+     * vistas: para cada salida compara transfer() con las sondas de la netlist resueltas
+     * en alterna (ac), con la H que rehacen sus polos y ceros (poleZero, el plano s) y con
+     * el régimen senoidal permanente del transitorio (transient), en f0/3, f0 y 3·f0.
+     * Sirve para scripts y pruebas en Node:
+     *   RLC.consistencyCheck({ R: 1e3, L: 10e-3, C: 10e-6, topology: 'parallel', useParasitics: true, esrL: 5 })
+     * Devuelve { freqs, ac, poleZero, transient, worst }, cada uno { salida: error } con
+     * el peor |ΔH| de las tres frecuencias relativo al mayor |H| de la salida (un notch
+     * vale 0 en f0). ac y poleZero deben quedar en el redondeo; el transitorio arrastra
+     * su error de integración, del orden de 1e-3 con 64 muestras por periodo.
+     */
+    function consistencyCheck(circ) {
+        const { f0, w0 } = analyze(circ);
+        const freqs   = [f0 / 3, f0, 3 * f0];
+        const outputs = OUTPUTS[circ.topology === 'parallel' ? 'parallel' : 'series'];
+        const netlist = circuitNetlist(circ);
+        const sols    = netlistAC(netlist, freqs);
+
+        const H  = {}, scale = {}, ac = {}, poleZero = {}, transient = {};
+        const rel = (output, a, b) => Complex.abs(Complex.sub(a, b)) / scale[output];
+        outputs.forEach(output => {
+            H[output]     = transferResponse({ ...circ, output }, freqs);
+            scale[output] = Math.max(...H[output].map(Complex.abs), 1e-12);
+            ac[output]    = Math.max(...sols.map((sol, i) => rel(output, H[output][i], outputTransfer(circ, netlist, sol, output))));
+
+            const pz = polesZeros({ ...circ, output });
+            poleZero[output] = Math.max(...freqs.map((f, i) => {
+                const s = Complex.of(0, 2 * Math.PI * f);
+                const factor = (acc, r) => Complex.mul(acc, Complex.sub(s, r));
+                const h = Complex.div(pz.zeros.reduce(factor, Complex.of(pz.gain)), pz.poles.reduce(factor, Complex.of(1)));
+                return rel(output, h, H[output][i]);
+            }));
+            transient[output] = 0;
+        });
+
+        // Régimen permanente con u = sen(ωt): fasor de cada canal por correlación sobre los últimos periodos
+        const sigma = Math.min(...naturalFrequencies(netlist, w0).map(p => -p.re).filter(v => v > 0));
+        freqs.forEach((f, i) => {
+            const w = 2 * Math.PI * f;
+            const periods = Math.ceil(CHECK_SETTLE / sigma * f) + CHECK_PERIODS;
+            const n = Math.min(periods * CHECK_PER_PERIOD, CHECK_MAX_POINTS);
+            const T = periods / f;
+            const t = Array.from({ length: n + 1 }, (_, k) => (k / n) * T);
+            const sim = simulate(circ, x => Math.sin(w * x), t);
+            const m = Math.round(CHECK_PERIODS / f / (T / n));
+            outputs.forEach(output => {
+                let re = 0, im = 0;
+                for (let k = n - m; k < n; k++) {
+                    re += sim[output][k] * Math.cos(w * t[k]);
+                    im -= sim[output][k] * Math.sin(w * t[k]);
+                }
+                // El fasor de sen(ωt) es −j: Y/U = j·Y
+                const Y = Complex.scale(Complex.of(-im, re), 2 / m);
+                const y = outputUnit(output) === 'A' ? Complex.scale(Y, Math.max(circ.R, MINS.R)) : Y;
+                transient[output] = Math.max(transient[output], rel(output, y, H[output][i]));
+            });
+        });
+
+        const worst = Math.max(...Object.values(ac), ...Object.values(poleZero), ...Object.values(transient));
+        return { freqs, ac, poleZero, transient, worst };
+    }
+
+    /* ============================================================
+       MÉTRICAS DE LA RESPUESTA AL ESCALÓN
+       ============================================================ */
+
+    const STEP_HORIZON         = 12;     // constantes de tiempo del polo más lento
+    const STEP_POINTS_PER_TURN = 60;     // muestras por periodo amortiguado
+    const STEP_MIN_POINTS      = 2000;
+    const STEP_MAX_POINTS      = 20000;
+    const STEP_NULL_FINAL      = 1e-3;   // |y∞| por debajo de esto (relativo al pico) se toma como 0
+
+    /**
+     * Métricas medidas sobre una respuesta al escalón muestreada (t, y), sin suponer
+     * ningún modelo: valor final (última muestra), tiempo de subida 10–90 %, pico,
+     * sobreimpulso y tiempos de establecimiento a ±2 % y ±5 %. Los cruces se
+     * interpolan linealmente; un campo null indica que no se alcanza en la ventana.
+     * Si la respuesta vuelve a 0 (y∞ ≈ 0), las bandas se toman respecto al pico y
+     * no hay subida ni sobreimpulso definidos.
+     */
+    function stepMetrics(t, y) {
+        const n = y.length;
+        let peakAbs = 0;
+        y.forEach(v => { peakAbs = Math.max(peakAbs, Math.abs(v)); });
+        const final   = Math.abs(y[n - 1]) > STEP_NULL_FINAL * peakAbs ? y[n - 1] : 0;
+        const sign    = final < 0 ? -1 : 1;
+        const at      = (i, u) => t[i] + u * (t[i + 1] - t[i]);
+
+        // Primer cruce ascendente de y·sign por `level`
+        const rising = level => {
+            const i = y.findIndex(v => v * sign >= level);
+            if (i <= 0) return i === 0 ? t[0] : null;
+            const a = y[i - 1] * sign, b = y[i] * sign;
+            return at(i - 1, (level - a) / (b - a));
+        };
+
+        // Último instante en que |y − y∞| sale de la banda
+        const settling = band => {
+            const tol = band * (final ? Math.abs(final) : peakAbs);
+            let i = n - 1;
+            while (i >= 0 && Math.abs(y[i] - final) <= tol) i--;
+            if (i < 0) return t[0];
+            if (i === n - 1) return null;
+            const a = Math.abs(y[i] - final), b = Math.abs(y[i + 1] - final);
+            return at(i, (a - tol) / (a - b));
+        };
+
+        let k = 0;
+        y.forEach((v, i) => { if (v * sign > y[k] * sign) k = i; });
+        let peak = y[k], peakTime = t[k];
+        if (k > 0 && k < n - 1) {
+            // Vértice de la parábola por las tres muestras alrededor del máximo
+            const a = y[k - 1], b = y[k], c = y[k + 1];
+            const d = a - 2 * b + c;
+            if (d !== 0) {
+                const u = Math.max(-1, Math.min(1, (a - c) / (2 * d)));
+                peak     = b - 0.25 * (a - c) * u;
+                peakTime = t[k] + u * (u < 0 ? t[k] - t[k - 1] : t[k + 1] - t[k]);
+            }
+        }
+
+        const out = {
+            final, riseTime: null, t10: null, t90: null,
+            peak, peakTime, overshoot: null,
+            settling2: settling(0.02), settling5: settling(0.05)
+        };
+        if (final) {
+            out.t10 = rising(0.1 * Math.abs(final));
+            out.t90 = rising(0.9 * Math.abs(final));
+            if (out.t10 !== null && out.t90 !== null) out.riseTime = out.t90 - out.t10;
+            out.overshoot = Math.max(0, (peak - final) / final * 100);
+            // Sin sobreimpulso el «pico» es el valor final: no hay instante de pico
+            if (out.overshoot < 1e-3 || k === n - 1) { out.overshoot = 0; out.peakTime = null; }
+        }
+        return out;
+    }
+
+    /**
+     * Respuesta al escalón con ventana y resolución elegidas a partir de los polos del
+     * circuito (doce constantes de tiempo del más lento), más sus métricas medidas. La
+     * simulación es la de la netlist completa, parásitos incluidos; si la respuesta no
+     * llega a establecerse en la ventana, ésta se duplica (hasta 3 veces). Se mide sobre
+     * la salida del circuito. ζ, α y ω0 son los de analyze: con parásitos, los del par de
+     * polos dominante de esa misma netlist; `order` es su número de polos (2 en el ideal).
+     * Devuelve { ...analyze(circ), order, output, unit, t, y, ...stepMetrics(t, y) }.
+     */
+    function stepAnalysis(circ, amp = 1) {
+        const a = analyze(circ);
+        const { poles } = polesZeros(circ);
+        const sigma = Math.min(...poles.map(p => -p.re).filter(v => v > 0));
+        let T = STEP_HORIZON / sigma;
+
+        for (let attempt = 0; ; attempt++) {
+            const turns  = a.wd > 0 ? T * a.wd / (2 * Math.PI) : 0;
+            const points = Math.min(STEP_MAX_POINTS, Math.max(STEP_MIN_POINTS, Math.ceil(turns * STEP_POINTS_PER_TURN)));
+            const t = Array.from({ length: points + 1 }, (_, i) => (i / points) * T);
+            const { y } = stepResponse(circ, t, amp);
+            const m = stepMetrics(t, y);
+            if (m.settling2 !== null || attempt === 3) {
+                const output = circuitOutput(circ);
+                return { ...a, order: poles.length, output, unit: outputUnit(output), t, y, ...m };
+            }
+            T *= 2;
+        }
+    }
+
+    /* ============================================================
+       ANÁLISIS ESPECTRAL — FFT radix-2 con ventanas
+       ============================================================ */
+
+    /** FFT radix-2 in situ (Cooley-Tukey iterativa); re.length debe ser potencia de 2 */
+    function fft(re, im) {
+        const n = re.length;
+        if (n & (n - 1)) throw new Error('La FFT requiere una longitud potencia de 2');
+
+        // Permutación por inversión de bits
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) { [re[i], re[j]] = [re[j], re[i]]; [im[i], im[j]] = [im[j], im[i]]; }
+        }
+        for (let len = 2; len <= n; len <<= 1) {
+            const ang = -2 * Math.PI / len;
+            const wr = Math.cos(ang), wi = Math.sin(ang);
+            for (let i = 0; i < n; i += len) {
+                let cr = 1, ci = 0;
+                for (let k = 0; k < len / 2; k++) {
+                    const a = i + k, b = a + len / 2;
+                    const tr = re[b] * cr - im[b] * ci;
+                    const ti = re[b] * ci + im[b] * cr;
+                    re[b] = re[a] - tr; im[b] = im[a] - ti;
+                    re[a] += tr;        im[a] += ti;
+                    [cr, ci] = [cr * wr - ci * wi, cr * wi + ci * wr];
+                }
+            }
+        }
+        return { re, im };
+    }
+
+    /** Ventanas disponibles; `lobe` es la semianchura del lóbulo principal en bins */
+    const WINDOWS = {
+        rect:     { label: 'Rectangular',     lobe: 1, fn: () => 1 },
+        hann:     { label: 'Hann',            lobe: 2, fn: (n, N) => 0.5 - 0.5 * Math.cos(2 * Math.PI * n / N) },
+        blackman: { label: 'Blackman-Harris', lobe: 4, fn: (n, N) => {
+            const x = 2 * Math.PI * n / N;
+            return 0.35875 - 0.48829 * Math.cos(x) + 0.14128 * Math.cos(2 * x) - 0.01168 * Math.cos(3 * x);
+        } }
+    };
+
+    /**
+     * Espectro de amplitud de un solo lado de `samples` muestreadas a fs.
+     * amp[k] está corregida por la ganancia coherente de la ventana (un tono de
+     * amplitud A aparece con amplitud A); power[k] está normalizada de modo que la
+     * suma sobre el lóbulo de un tono da su potencia A²/2.
+     */
+    function spectrum(samples, fs, windowName = 'hann') {
+        const N   = samples.length;
+        const win = WINDOWS[windowName] || WINDOWS.hann;
+        const w   = Array.from({ length: N }, (_, n) => win.fn(n, N));
+        const S1  = w.reduce((s, v) => s + v, 0);
+        const S2  = w.reduce((s, v) => s + v * v, 0);
+
+        const { re, im } = fft(samples.map((v, n) => v * w[n]), new Array(N).fill(0));
+        const half = N / 2;
+        const f = [], amp = [], dB = [], power = [];
+        for (let k = 0; k <= half; k++) {
+            const m2 = re[k] * re[k] + im[k] * im[k];
+            const single = (k === 0 || k === half) ? 1 : 2;
+            f.push(k * fs / N);
+            amp.push(single * Math.sqrt(m2) / S1);
+            dB.push(toDb(single * Math.sqrt(m2) / S1));
+            power.push(single * m2 / (N * S2) / (k === 0 || k === half ? 2 : 1));
+        }
+        return { f, amp, dB, power, df: fs / N, fs, N, window: windowName, lobe: win.lobe };
+    }
+
+    /**
+     * Armónicos de f1, THD y SNR de un espectro.
+     * THD = √(Σ P_h, h ≥ 2) / √P_1 con todos los armónicos por debajo de Nyquist;
+     * SNR = P_1 / P_ruido, donde el ruido es todo lo que no es DC, fundamental ni armónico.
+     */
+    function harmonicAnalysis(spec, f1, maxListed = 9) {
+        const { power, amp, df, lobe } = spec;
+        const last = power.length - 1;
+        const used = new Array(power.length).fill(false);
+
+        const lobePower = center => {
+            let p = 0;
+            for (let k = Math.max(0, center - lobe); k <= Math.min(last, center + lobe); k++) {
+                if (!used[k]) { p += power[k]; used[k] = true; }
+            }
+            return p;
+        };
+        const peakBin = f => {
+            const c = Math.round(f / df);
+            let best = Math.min(c, last);
+            for (let k = Math.max(1, c - 1); k <= Math.min(last, c + 1); k++) if (amp[k] > amp[best]) best = k;
+            return best;
+        };
+
+        lobePower(0); // DC excluida de todo
+        const k1 = peakBin(f1);
+        const p1 = lobePower(k1);
+
+        const harmonics = [];
+        let pHarm = 0;
+        for (let n = 2; n * f1 < (last - lobe) * df; n++) {
+            const k = peakBin(n * f1);
+            const p = lobePower(k);
+            pHarm += p;
+            if (n <= maxListed) harmonics.push({ n, f: n * f1, amp: amp[k], dBc: 10 * Math.log10(Math.max(p, 1e-30) / p1) });
+        }
+
+        let pNoise = 0;
+        for (let k = 1; k <= last; k++) if (!used[k]) pNoise += power[k];
+
+        const thd = Math.sqrt(pHarm / p1);
+        return {
+            fundamental: { f: k1 * df, amp: amp[k1], dB: spec.dB[k1] },
+            harmonics,
+            thd, thd_dB: 20 * Math.log10(Math.max(thd, 1e-15)),
+            snr: 10 * Math.log10(p1 / Math.max(pNoise, p1 * 1e-20))
+        };
+    }
+
+    const FFT_SIZE    = 2048;
+    const FFT_PERIODS = 16;
+    const FFT_MAX_WARMUP_PERIODS = 200;
+
+    /**
+     * Espectros de la entrada y la salida simuladas para una señal {type, freq, amp}.
+     * Las señales periódicas se capturan en régimen permanente (se descarta el
+     * transitorio inicial, 5/α) con muestreo coherente: FFT_PERIODS periodos exactos
+     * en FFT_SIZE muestras, de modo que cada armónico cae en un bin.
+     * Escalón e impulso se capturan desde t = 0 en la misma ventana temporal.
+     */
+    function spectrumAnalysis(circ, signal, windowName = 'hann') {
+        const f1 = Math.max(signal.freq, 1);
+        const T  = FFT_PERIODS / f1;
+        const fs = FFT_SIZE / T;
+        const periodic = PERIODIC_SIGNALS.includes(signal.type);
+
+        let warmup = 0;
+        if (periodic) {
+            const { alpha } = analyze(circ);
+            warmup = Math.min(Math.ceil(5 / alpha * f1), FFT_MAX_WARMUP_PERIODS);
+        }
+        const warmTimes = Array.from({ length: warmup * 16 }, (_, i) => i / (16 * f1));
+        const t0 = warmup / f1;
+        const recTimes = Array.from({ length: FFT_SIZE }, (_, i) => t0 + i / fs);
+
+        const r = timeResponse(circ, signal, warmTimes.concat(recTimes));
+        const input  = r.input.slice(warmTimes.length);
+        const output = r.output.slice(warmTimes.length);
+
+        const inSpec  = spectrum(input, fs, windowName);
+        const outSpec = spectrum(output, fs, windowName);
+        return {
+            fs, f1, periodic,
+            input: inSpec, output: outSpec,
+            inputHarmonics:  periodic ? harmonicAnalysis(inSpec, f1)  : null,
+            outputHarmonics: periodic ? harmonicAnalysis(outSpec, f1) : null
+        };
+    }
+
+    /* ============================================================
+       IMPORTACIÓN SPICE / LTspice
+       ============================================================ */
+
+    /** Multiplicadores SPICE (sin distinguir mayúsculas); 'meg' y 'mil' se prueban antes que 'm' */
+    const SPICE_SUFFIXES = [
+        ['meg', 1e6], ['mil', 25.4e-6], ['t', 1e12], ['g', 1e9], ['k', 1e3], ['m', 1e-3],
+        ['u', 1e-6], ['µ', 1e-6], ['μ', 1e-6], ['n', 1e-9], ['p', 1e-12], ['f', 1e-15]
+    ];
+
+    const SPICE_UNSUPPORTED = {
+        D: 'diodo', Q: 'transistor bipolar', M: 'MOSFET', J: 'JFET', X: 'subcircuito',
+        K: 'acoplamiento magnético', E: 'fuente controlada', F: 'fuente controlada',
+        G: 'fuente controlada', H: 'fuente controlada', B: 'fuente de comportamiento',
+        T: 'línea de transmisión', O: 'línea de transmisión', S: 'interruptor', W: 'interruptor'
+    };
+
+    /**
+     * Valor numérico SPICE: '4.7k', '10u', '1meg', '100nF', '2.2e-6' y la notación
+     * '4k7' de LTspice. Las letras tras el multiplicador (unidades) se ignoran; NaN si no es válido.
+     */
+    function parseSpiceValue(str) {
+        const s = String(str).trim().toLowerCase();
+        const infix = /^(\d+)(meg|[tgkmunpfµμ])(\d+)$/.exec(s);
+        if (infix) return parseSpiceValue(`${infix[1]}.${infix[3]}${infix[2]}`);
+
+        const m = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(.*)$/.exec(s);
+        if (!m) return NaN;
+        const sfx = SPICE_SUFFIXES.find(([k]) => m[2].startsWith(k));
+        const f   = sfx ? sfx[1] : 1;
+        // Dividir por 10ⁿ evita restos como 10u → 9.999999999999999e-6
+        const inv = Math.round(1 / f);
+        return (f < 1 && Math.abs(1 / f - inv) < 1e-6) ? parseFloat(m[1]) / inv : parseFloat(m[1]) * f;
+    }
+
+    /** Especificación de una fuente V/I: [DC] v, AC mag [fase], SINE(...), PULSE(...), etc. */
+    function parseSourceSpec(tokens) {
+        const spec = { dc: 0, ac: null, wave: null };
+        const norm = tokens.join(' ').replace(/([()])/g, ' $1 ').replace(/,/g, ' ')
+                           .split(/\s+/).filter(Boolean);
+        for (let k = 0; k < norm.length; k++) {
+            const t = norm[k].toUpperCase();
+            if (t === 'DC') {
+                spec.dc = parseSpiceValue(norm[++k]);
+            } else if (t === 'AC') {
+                const mag = parseSpiceValue(norm[k + 1]);
+                const ph  = parseSpiceValue(norm[k + 2]);
+                spec.ac = { mag, phase: Number.isNaN(ph) ? 0 : ph };
+                k += Number.isNaN(ph) ? 1 : 2;
+            } else if (norm[k + 1] === '(') {
+                const args = [];
+                for (k += 2; k < norm.length && norm[k] !== ')'; k++) args.push(parseSpiceValue(norm[k]));
+                spec.wave = { type: t === 'SIN' ? 'SINE' : t, args };
+            } else if (!Number.isNaN(parseSpiceValue(norm[k]))) {
+                spec.dc = parseSpiceValue(norm[k]);
+            } else {
+                spec.unknown = (spec.unknown || []).concat(norm[k]);
+            }
+        }
+        return spec;
+    }
+
+    /**
+     * Analiza una netlist SPICE (.cir/.net). Como en SPICE, la primera línea es el título.
+     * Devuelve { title, elements, sources, analyses: {ac, tran}, unsupported, warnings }:
+     * `elements` en formato Netlist (Rser/Lser de LTspice en `params`), `sources` la
+     * especificación de cada fuente y `unsupported` las líneas que el simulador no
+     * puede representar, con el motivo.
+     */
+    function parseSpice(text) {
+        const lines = [];
+        String(text).replace(/\r/g, '').split('\n').forEach((l, k) => {
+            if (/^\s*\+/.test(l) && lines.length) lines[lines.length - 1].text += ' ' + l.replace(/^\s*\+/, '');
+            else lines.push({ n: k + 1, text: l });
+        });
+
+        const out = { title: '', elements: [], sources: {}, analyses: {}, unsupported: [], warnings: [] };
+        const reject = (ln, reason) => out.unsupported.push({ line: ln.n, text: ln.text.trim(), reason });
+
+        for (let idx = 0; idx < lines.length; idx++) {
+            const ln   = lines[idx];
+            const body = ln.text.replace(/\s[;$].*$/, '').replace(/\s*=\s*/g, '=').trim();
+            if (idx === 0) {
+                out.title = body.replace(/^\*\s*/, '');
+                if (/^[RLCVI]\w*\s+\S+\s+\S+\s+\S+/i.test(body)) {
+                    out.warnings.push(`Línea 1 tratada como título (convención SPICE): ${body}`);
+                }
+                continue;
+            }
+            if (!body || body.startsWith('*') || body.startsWith(';')) continue;
+
+            const tok = body.split(/\s+/);
+            if (body.startsWith('.')) {
+                const cmd = tok[0].toLowerCase();
+                if (cmd === '.end') break;
+                if (cmd === '.ac') {
+                    out.analyses.ac = {
+                        sweep: (tok[1] || '').toLowerCase(), points: parseSpiceValue(tok[2]),
+                        fStart: parseSpiceValue(tok[3]), fStop: parseSpiceValue(tok[4])
+                    };
+                } else if (cmd === '.tran') {
+                    const nums = tok.slice(1).map(parseSpiceValue).filter(v => !Number.isNaN(v));
+                    out.analyses.tran = nums.length === 1 ? { tstep: 0, tstop: nums[0], tstart: 0 }
+                                                          : { tstep: nums[0], tstop: nums[1], tstart: nums[2] || 0 };
+                } else if (!['.backanno', '.op', '.options', '.option'].includes(cmd)) {
+                    out.warnings.push(`Directiva ignorada (línea ${ln.n}): ${body}`);
+                }
+                continue;
+            }
+
+            const name = tok[0];
+            const type = name[0].toUpperCase();
+            if (!'RLCVI'.includes(type)) {
+                reject(ln, SPICE_UNSUPPORTED[type] || 'elemento desconocido');
+                continue;
+            }
+            if (tok.length < 4) { reject(ln, 'faltan nodos o valor'); continue; }
+            const [n1, n2] = [tok[1], tok[2]];
+
+            if (type === 'V' || type === 'I') {
+                out.sources[name] = parseSourceSpec(tok.slice(3));
+                if (out.sources[name].unknown) {
+                    out.warnings.push(`Parámetros ignorados en ${name}: ${out.sources[name].unknown.join(' ')}`);
+                }
+                out.elements.push({ type, name, n1, n2, value: 1 });
+                continue;
+            }
+
+            const value = parseSpiceValue(tok[3]);
+            if (!(value > 0)) {
+                reject(ln, tok[3].startsWith('{') ? 'valor paramétrico ({…}) no soportado' : 'valor no válido');
+                continue;
+            }
+            const params = {};
+            tok.slice(4).forEach(p => {
+                const [key, v] = p.split('=');
+                const k = key.toLowerCase();
+                if ((k === 'rser' && (type === 'L' || type === 'C')) || (k === 'lser' && type === 'C')) {
+                    params[k] = parseSpiceValue(v);
+                } else {
+                    out.warnings.push(`Parámetro ignorado en ${name}: ${p}`);
+                }
+            });
+            out.elements.push({ type, name, n1, n2, value, params });
+        }
+        return out;
+    }
+
+    /**
+     * Forma personalizada a partir de los vértices (t, v) de una PWL. Si los vértices se repiten
+     * con un periodo (como en la PWL que exporta el simulador) se toma un periodo desde t = 0;
+     * si no, el tramo completo, que pasa a repetirse. Antes del primer vértice se mantiene su
+     * valor, como en SPICE. Devuelve { freq, amp, offset, points, periodic } o null si los
+     * argumentos no son pares numéricos con tiempos crecientes.
+     */
+    function pwlCustomWave(args) {
+        if (args.length < 4 || args.length % 2 || !args.every(Number.isFinite)) return null;
+        const pts = [];
+        for (let k = 0; k < args.length; k += 2) {
+            if (pts.length && args[k] < pts[pts.length - 1][0]) return null;
+            pts.push([args[k], args[k + 1]]);
+        }
+        if (pts[0][0] < 0) return null;
+        if (pts[0][0] > 0) pts.unshift([0, pts[0][1]]);
+        const tEnd = pts[pts.length - 1][0];
+        if (!(tEnd > 0)) return null;
+
+        // Tolerancias de los valores exportados con 6 cifras significativas
+        const vs   = pts.map(p => p[1]);
+        const tolV = 1e-4 * (Math.max(...vs) - Math.min(...vs)) + 1e-12;
+        const tolT = 1e-5 * tEnd;
+        // Vértices interiores: el primero y el último caen en cualquier punto del periodo
+        const inner = pts.slice(1, -1);
+        const hasVertex = (t, v) => {
+            let lo = 0, hi = inner.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (inner[mid][0] < t - tolT) lo = mid + 1; else hi = mid;
+            }
+            for (let k = lo; k < inner.length && inner[k][0] <= t + tolT; k++) {
+                if (Math.abs(inner[k][1] - v) <= tolV) return true;
+            }
+            return false;
+        };
+        const repeats = P => inner.every(([t, v]) =>
+            (t + P > tEnd - tolT || hasVertex(t + P, v)) && (t - P < tolT || hasVertex(t - P, v)));
+
+        let period = null;
+        if (inner.length) {
+            const [tr, vr] = inner[0];
+            for (const [t, v] of inner.slice(1)) {
+                const P = t - tr;
+                if (2 * P > tEnd) break;
+                if (P > tolT && Math.abs(v - vr) <= tolV && repeats(P)) { period = P; break; }
+            }
+        }
+
+        const T    = period || tEnd;
+        const one  = [pts[0], ...inner.filter(p => p[0] > 0 && p[0] < T - tolT)];
+        if (period) one.push([T, pts[0][1]]); else one.push(pts[pts.length - 1]);
+        const lo   = Math.min(...one.map(p => p[1])), hi = Math.max(...one.map(p => p[1]));
+        const amp  = (hi - lo) / 2, offset = (hi + lo) / 2;
+        return {
+            freq: 1 / T, amp, offset, periodic: !!period,
+            points: one.map(([t, v]) => [+(t / T).toPrecision(6), amp > 0 ? +((v - offset) / amp).toPrecision(6) : 0])
+        };
+    }
+
+    /** Forma de onda del simulador a partir de la especificación de la fuente */
+    function sourceSignal(spec, scale, warnings) {
+        const w = spec.wave;
+        if (w && w.type === 'SINE') {
+            const [off = 0, amp = 0, freq = 0, td = 0, theta = 0, phase = 0] = w.args;
+            if (td) warnings.push('Retardo de SINE ignorado');
+            const sine = { type: theta > 0 ? 'damped' : 'sine', amp: amp * scale, freq: freq || null, offset: off * scale, phase };
+            return theta > 0 ? { ...sine, decay: 1 / theta } : sine;
+        }
+        if (w && w.type === 'PULSE') {
+            const [v1 = 0, v2 = 0, td = 0, tr = 0, tf = 0, ton, per] = w.args;
+            if (per > 0) {
+                if (td) warnings.push('Retardo de PULSE ignorado');
+                const edges = { rise: tr, fall: tf };
+                // Flancos de T/1000 o menos: los de la exportación de una cuadrada ideal
+                if (tr <= per / 1000 + 1e-15) edges.rise = 0;
+                if (tf <= per / 1000 + 1e-15) edges.fall = 0;
+                const duty = ton > 0 ? (ton + tr) / per : 0.5;
+                if (Math.abs(duty - 0.5) <= 0.01) {
+                    return { type: 'square', amp: Math.abs(v2 - v1) / 2 * scale, freq: 1 / per, offset: (v1 + v2) / 2 * scale, ...edges };
+                }
+                return { type: 'pulse', amp: (v2 - v1) * scale, freq: 1 / per, offset: v1 * scale, duty, ...edges };
+            }
+            if (v1) warnings.push('Nivel inicial de PULSE distinto de cero ignorado');
+            if (ton > 0) {
+                // Pulso único (así exporta el simulador el impulso): se conserva su área
+                warnings.push('Pulso único interpretado como impulso de igual área');
+                return { type: 'impulse', amp: (v2 - v1) * (ton + (tr + tf) / 2) * scale, freq: null };
+            }
+            return { type: 'step', amp: (v2 - v1) * scale, freq: null };
+        }
+        if (w && w.type === 'PWL') {
+            const cw = pwlCustomWave(w.args);
+            if (cw) {
+                if (!cw.periodic) warnings.push('PWL sin periodo reconocible: el tramo completo se repite como forma personalizada');
+                return { type: 'custom', amp: cw.amp * scale, freq: cw.freq, offset: cw.offset * scale, points: cw.points };
+            }
+            warnings.push('PWL con parámetros no soportados (sólo pares t v): se conserva la señal actual');
+            return null;
+        }
+        if (w) {
+            warnings.push(`Forma de onda ${w.type} no soportada: se conserva la señal actual`);
+            return null;
+        }
+        if (spec.ac) return { type: 'sine', amp: spec.ac.mag * scale, freq: null };
+        if (spec.dc) {
+            warnings.push('Fuente DC interpretada como escalón en t = 0');
+            return { type: 'step', amp: spec.dc * scale, freq: null };
+        }
+        return null;
+    }
+
+    /**
+     * Integra en L y C los parásitos explícitos (R_ESR_L, L_ESL_C, R_ESR_C… tal como
+     * los exporta el simulador): un R o L cuyo nombre contiene ESR/ESL, en serie con
+     * una L o C a través de un nodo de grado 2, pasa a su Rser/Lser.
+     */
+    function foldParasitics(elements) {
+        let els = elements.map(e => ({ ...e, params: { ...(e.params || {}) } }));
+        const isParasitic = e => /es[rl]/i.test(e.name);
+        for (let changed = true; changed;) {
+            changed = false;
+            const degree = {};
+            els.forEach(e => [e.n1, e.n2].forEach(n => { degree[n] = (degree[n] || 0) + 1; }));
+
+            for (const p of els) {
+                const kind = (p.type === 'L' && /esl/i.test(p.name)) ? 'lser'
+                           : (p.type === 'R' && /esr/i.test(p.name)) ? 'rser' : null;
+                if (!kind) continue;
+                const hostTypes = kind === 'lser' ? ['C'] : ['L', 'C'];
+                let shared = null;
+                const host = els.find(h => h !== p && hostTypes.includes(h.type) && !isParasitic(h) &&
+                    [p.n1, p.n2].some(n => {
+                        const ok = n !== GROUND && degree[n] === 2 && (h.n1 === n || h.n2 === n);
+                        if (ok) shared = n;
+                        return ok;
+                    }));
+                if (!host) continue;
+
+                const other = p.n1 === shared ? p.n2 : p.n1;
+                if (host.n1 === shared) host.n1 = other; else host.n2 = other;
+                host.params[kind] = (host.params[kind] || 0) + p.value;
+                els = els.filter(e => e !== p);
+                changed = true;
+                break;
+            }
+        }
+        return els;
+    }
+
+    /**
+     * Reconoce en una netlist importada un RLC serie o paralelo y lo traduce a la
+     * descripción del circuito. Estructuras admitidas (una fuente y un R, L y C):
+     *   Serie:    lazo único fuente–R–L–C en cualquier orden
+     *   Paralelo: L||C alimentado por V en serie con R, o I||R||L||C (Norton)
+     * Rser/Lser de LTspice y los parásitos explícitos pasan a ESR/ESL.
+     * Lanza Error si la estructura no encaja.
+     * Devuelve { circuit, signal, analyses, warnings, unsupported }.
+     */
+    function spiceToCircuit(parsed) {
+        const warnings = parsed.warnings.slice();
+        const unsupported = parsed.unsupported.slice();
+        const elements = foldParasitics(parsed.elements);
+        const pick = t => elements.filter(e => e.type === t);
+        const srcs = elements.filter(e => e.type === 'V' || e.type === 'I');
+        const [Rs, Ls, Cs] = ['R', 'L', 'C'].map(pick);
+
+        if (srcs.length !== 1 || Rs.length !== 1 || Ls.length !== 1 || Cs.length !== 1) {
+            throw new Error(`Se esperaba una fuente y un R, L y C; hay ${srcs.length} fuente(s), ` +
+                            `${Rs.length} R, ${Ls.length} L y ${Cs.length} C`);
+        }
+        const [src, r, l, c] = [srcs[0], Rs[0], Ls[0], Cs[0]];
+        const all = [src, r, l, c];
+        const same = (a, b) => (a.n1 === b.n1 && a.n2 === b.n2) || (a.n1 === b.n2 && a.n2 === b.n1);
+
+        const degree = {};
+        all.forEach(e => [e.n1, e.n2].forEach(n => { degree[n] = (degree[n] || 0) + 1; }));
+        const nodes = Object.keys(degree);
+        const connected = () => {
+            const seen = new Set([src.n1]);
+            for (let grow = true; grow;) {
+                grow = false;
+                all.forEach(e => {
+                    if (seen.has(e.n1) !== seen.has(e.n2)) { seen.add(e.n1); seen.add(e.n2); grow = true; }
+                });
+            }
+            return seen.size === nodes.length;
+        };
+
+        let topology = null;
+        let scale = 1;
+        if (nodes.length === 4 && nodes.every(n => degree[n] === 2) && connected()) {
+            topology = 'series';
+            if (src.type === 'I') throw new Error('Una fuente de corriente en serie no es representable');
+        } else if (same(l, c)) {
+            const tank = [l.n1, l.n2];
+            if (same(r, l) && same(src, l)) {
+                topology = 'parallel';
+                if (src.type === 'I') scale = r.value;   // Norton → amplitud equivalente u = I·R
+                else warnings.push('Fuente de tensión ideal directamente sobre R||L||C: se interpreta como su equivalente Norton con R en serie');
+            } else if (src.type === 'V') {
+                const shared = [r.n1, r.n2].find(n => (src.n1 === n || src.n2 === n) && !tank.includes(n));
+                const rOther   = shared && (r.n1 === shared ? r.n2 : r.n1);
+                const srcOther = shared && (src.n1 === shared ? src.n2 : src.n1);
+                if (shared && tank.includes(rOther) && tank.includes(srcOther) && rOther !== srcOther) {
+                    topology = 'parallel';
+                }
+            }
+        }
+        if (!topology) throw new Error('La conexión de los elementos no corresponde a un RLC serie ni paralelo');
+
+        const esrL = l.params.rser || 0;
+        const esrC = c.params.rser || 0;
+        const eslC = c.params.lser || 0;
+        const circuit = {
+            R: r.value, L: l.value, C: c.value, topology,
+            useParasitics: !!(esrL || esrC || eslC), esrC, eslC, esrL
+        };
+
+        const signal = sourceSignal(parsed.sources[src.name], scale, warnings);
+        return { circuit, signal, analyses: parsed.analyses, warnings, unsupported };
+    }
+
+    /** Terminales de los símbolos de LTspice en orientación R0 (n1, n2) */
+    const ASC_PINS = {
+        res:     { type: 'R', pins: [[16, 16], [16, 96]] },
+        res2:    { type: 'R', pins: [[16, 16], [16, 96]] },
+        cap:     { type: 'C', pins: [[16, 0],  [16, 64]] },
+        polcap:  { type: 'C', pins: [[16, 0],  [16, 64]] },
+        ind:     { type: 'L', pins: [[16, 16], [16, 96]] },
+        ind2:    { type: 'L', pins: [[16, 16], [16, 96]] },
+        voltage: { type: 'V', pins: [[0, 16],  [0, 96]] },
+        current: { type: 'I', pins: [[0, 0],   [0, 80]] }
+    };
+
+    /** Aplica la orientación de LTspice (R0…R270, M0…M270: espejo y luego giro) a un punto */
+    function ascOrient([x, y], orient) {
+        if (orient[0] === 'M') x = -x;
+        switch (parseInt(orient.slice(1), 10)) {
+            case 90:  return [-y, x];
+            case 180: return [-x, -y];
+            case 270: return [y, -x];
+            default:  return [x, y];
+        }
+    }
+
+    /**
+     * Convierte un esquemático LTspice (.asc) en una netlist SPICE: resuelve la
+     * conectividad de cables, terminales y etiquetas (FLAG) y recoge las directivas
+     * (TEXT con '!'). Los símbolos desconocidos se devuelven en `unsupported`.
+     * Devuelve { text, unsupported }.
+     */
+    function ascToSpice(asc) {
+        const wires = [], flags = [], symbols = [], directives = [], unsupported = [];
+        let cur = null;
+        String(asc).replace(/\r/g, '').split('\n').forEach(line => {
+            const t = line.trim().split(/\s+/);
+            switch (t[0]) {
+                case 'WIRE':   wires.push(t.slice(1, 5).map(Number)); break;
+                case 'FLAG':   flags.push({ x: +t[1], y: +t[2], name: t.slice(3).join(' ') }); break;
+                case 'SYMBOL':
+                    cur = { sym: t[1].split(/[\\/]/).pop().toLowerCase(), x: +t[2], y: +t[3], orient: t[4] || 'R0', attr: {} };
+                    symbols.push(cur);
+                    break;
+                case 'SYMATTR':
+                    if (cur) cur.attr[t[1]] = t.slice(2).join(' ');
+                    break;
+                case 'TEXT': {
+                    const m = /^TEXT\s+\S+\s+\S+\s+\S+\s+\S+\s+!(.*)$/.exec(line.trim());
+                    if (m) directives.push(...m[1].split('\\n'));
+                    break;
+                }
+            }
+        });
+
+        // Unión-búsqueda sobre coordenadas
+        const parent = {};
+        const key  = (x, y) => `${x},${y}`;
+        const find = k => { while (parent[k] !== k) k = parent[k] = parent[parent[k]]; return k; };
+        const add  = k => { if (!(k in parent)) parent[k] = k; return k; };
+        const join = (a, b) => { parent[find(add(a))] = find(add(b)); };
+
+        const points = [];
+        symbols.forEach(s => {
+            const def = ASC_PINS[s.sym];
+            if (!def) return;
+            s.nodes = def.pins.map(p => {
+                const [dx, dy] = ascOrient(p, s.orient);
+                points.push([s.x + dx, s.y + dy]);
+                return add(key(s.x + dx, s.y + dy));
+            });
+        });
+        flags.forEach(f => { points.push([f.x, f.y]); add(key(f.x, f.y)); });
+        wires.forEach(([x1, y1, x2, y2]) => {
+            join(key(x1, y1), key(x2, y2));
+            points.push([x1, y1], [x2, y2]);
+        });
+        // Uniones en T: un punto sobre el tramo interior de un cable
+        wires.forEach(([x1, y1, x2, y2]) => {
+            points.forEach(([px, py]) => {
+                const onLine = (px - x1) * (y2 - y1) === (py - y1) * (x2 - x1);
+                const inBox  = px >= Math.min(x1, x2) && px <= Math.max(x1, x2) &&
+                               py >= Math.min(y1, y2) && py <= Math.max(y1, y2);
+                if (onLine && inBox) join(key(px, py), key(x1, y1));
+            });
+        });
+
+        // Nombres de nodo: masa, etiquetas y N001, N002… para el resto
+        const labelKey = {};
+        flags.forEach(f => {
+            const label = f.name === '0' ? GROUND : f.name;
+            const k = key(f.x, f.y);
+            if (labelKey[label]) join(k, labelKey[label]);
+            else labelKey[label] = k;
+        });
+        const names = {};
+        Object.keys(labelKey).forEach(label => { names[find(labelKey[label])] = label; });
+        let auto = 0;
+        const nodeName = k => {
+            const root = find(k);
+            if (!names[root]) names[root] = `N${String(++auto).padStart(3, '0')}`;
+            return names[root];
+        };
+
+        const lines = ['* Importado de LTspice'];
+        symbols.forEach(s => {
+            const inst = s.attr.InstName || s.sym;
+            if (!ASC_PINS[s.sym]) {
+                unsupported.push({ line: null, text: `${inst} (${s.sym})`, reason: 'símbolo no soportado' });
+                return;
+            }
+            const [n1, n2] = s.nodes.map(nodeName);
+            const extra = [s.attr.Value, s.attr.Value2, s.attr.SpiceLine, s.attr.SpiceLine2].filter(Boolean);
+            lines.push(`${inst} ${n1} ${n2} ${extra.join(' ')}`.trim());
+        });
+        directives.forEach(d => lines.push(d.trim()));
+        return { text: lines.join('\n'), unsupported };
+    }
+
+    /** Analiza un .asc con el mismo resultado que parseSpice sobre su netlist equivalente */
+    function parseAsc(asc) {
+        const { text, unsupported } = ascToSpice(asc);
+        const parsed = parseSpice(text);
+        parsed.unsupported.unshift(...unsupported);
+        return parsed;
+    }
+
+    /* ============================================================
+       EXPORTACIÓN SPICE / LTspice
+       ============================================================ */
+
+    const SPICE_EXPORT_PREFIXES = [
+        [1e9, 'g'], [1e6, 'meg'], [1e3, 'k'], [1, ''], [1e-3, 'm'],
+        [1e-6, 'u'], [1e-9, 'n'], [1e-12, 'p'], [1e-15, 'f']
+    ];
+
+    /** Número en notación SPICE: 0.0047 → '4.7m', 1.5e6 → '1.5meg' */
+    function formatSpiceValue(v) {
+        if (!v) return '0';
+        const [f, sfx] = SPICE_EXPORT_PREFIXES.find(([p]) => Math.abs(v) >= p * 0.999999) ||
+                         SPICE_EXPORT_PREFIXES[SPICE_EXPORT_PREFIXES.length - 1];
+        return `${+(v / f).toPrecision(6)}${sfx}`;
+    }
+
+    const SPICE_PWL_MAX = 4000;   // vértices como máximo en una fuente PWL exportada
+
+    /**
+     * Vértices (t, u) de la señal en [0, tstop] para una fuente PWL: los quiebros de cada
+     * periodo en las formas lineales a tramos y un muestreo fino en el chirp. Los flancos
+     * nulos se exportan de T/1000 (PWL necesita tiempos crecientes).
+     */
+    function pwlVertices(signal, tstop) {
+        const s = { ...SIGNAL_DEFAULTS, ...signal };
+        const f = Math.max(s.freq, 1), T = 1 / f;
+        const edged = ['square', 'pulse', 'sawtooth'].includes(s.type)
+            ? { ...s, rise: s.rise || T / 1000, fall: s.fall || T / 1000 } : s;
+
+        let times;
+        if (s.type === 'chirp') {
+            const u  = inputFunction(s);
+            const dt = 1 / (32 * Math.max(f, s.freqEnd));
+            const n  = Math.min(Math.ceil(tstop / dt), SPICE_PWL_MAX);
+            times = Array.from({ length: n + 1 }, (_, i) => [i * tstop / n, u(i * tstop / n)]);
+        } else {
+            // Valor exacto en cada quiebro (sin la tolerancia de flanco de inputFunction)
+            const shape = periodicShape(edged);
+            const ph    = s.phase / 360;
+            const at    = t => { const p = t * f + ph; return s.offset + s.amp * shape(p - Math.floor(p)); };
+            const r = edged.rise * f, fl = edged.fall * f;
+            const knees = {
+                square:   [0, r, 0.5, 0.5 + fl],
+                pulse:    [0, r, s.duty, s.duty + fl],
+                triangle: [0.25, 0.75],
+                sawtooth: [0.5 - Math.min(fl, 0.5), 0.5],
+                custom:   s.points.map(p => p[0])
+            }[s.type] || [];
+            const periods = Math.min(Math.ceil(tstop * f) + 1, Math.floor(SPICE_PWL_MAX / Math.max(knees.length, 1)));
+            // En la forma personalizada cada punto lleva su valor: dos puntos con la misma x son un salto vertical
+            const pts = s.type === 'custom' ? s.points.slice().sort((a, b) => a[0] - b[0]) : null;
+            times = [[0, at(0)]];
+            for (let k = -1; k <= periods; k++) {
+                knees.forEach((x, j) => {
+                    const t = (k + x - ph) * T;
+                    if (t > 0 && t < tstop) times.push([t, pts ? s.offset + s.amp * pts[j][1] : at(t)]);
+                });
+            }
+            times.push([tstop, at(tstop)]);
+            times.sort((a, b) => a[0] - b[0]);
+        }
+        // Tiempos estrictamente crecientes: un vértice repetido se omite y un salto vertical dura T/1000
+        const out = [];
+        times.forEach(([t, value]) => {
+            const last = out[out.length - 1];
+            if (last && t <= last[0] && value === last[1]) return;
+            const tt = last && t <= last[0] ? last[0] + T / 1000 : t;
+            if (tt <= tstop) out.push([tt, value]);
+        });
+        return out;
+    }
+
+    /**
+     * Especificación SPICE de la fuente para la señal (ver inputFunction), escalada por
+     * `scale` (1/R en el equivalente Norton del paralelo). Senoidal y amortiguada usan
+     * SINE (offset, θ = 1/decay y fase); cuadrada y pulso sin desfase, PULSE con flancos de
+     * 1/1000 del periodo si son nulos; escalón, PULSE con su subida (o 1/(1000·f0)); el
+     * impulso, un pulso estrecho de igual área; el resto, PWL con sus vértices hasta el
+     * final del .tran. Devuelve { wave, ac } por separado, como los guarda LTspice.
+     */
+    function spiceSource(circ, signal, scale = 1) {
+        const s  = { ...SIGNAL_DEFAULTS, ...signal };
+        const v  = formatSpiceValue;
+        const A  = s.amp * scale, off = s.offset * scale;
+        const T  = 1 / Math.max(s.freq, 1);
+        const t0 = 1e-3 / analyze(circ).f0;
+        const tr = s.rise || T / 1000, tf = s.fall || T / 1000;
+        let wave;
+        if (s.type === 'sine' || s.type === 'damped') {
+            const theta = s.type === 'damped' ? 1 / Math.max(s.decay, 1e-12) : 0;
+            wave = `SINE(${v(off)} ${v(A)} ${v(1 / T)} 0 ${v(theta)} ${v(s.phase)})`;
+        } else if (s.type === 'square' && !s.phase) {
+            wave = `PULSE(${v(off - A)} ${v(off + A)} 0 ${v(tr)} ${v(tf)} ${v(T / 2 - tr)} ${v(T)})`;
+        } else if (s.type === 'pulse' && !s.phase) {
+            wave = `PULSE(${v(off)} ${v(off + A)} 0 ${v(tr)} ${v(tf)} ${v(Math.max(s.duty * T - tr, 0))} ${v(T)})`;
+        } else if (s.type === 'step') {
+            wave = `PULSE(0 ${v(off + A)} 0 ${v(s.rise || t0)})`;
+        } else if (s.type === 'impulse') {
+            wave = `PULSE(0 ${v(A / t0)} 0 ${v(t0 / 100)} ${v(t0 / 100)} ${v(t0 * 0.99)})`;
+        } else {
+            const pts = pwlVertices({ ...s, amp: A, offset: off }, spiceAnalyses(circ, s).tran.tstop);
+            wave = `PWL(${pts.map(([t, u]) => `${v(t)} ${v(u)}`).join(' ')})`;
+        }
+        return { wave, ac: `AC ${v(s.type === 'impulse' ? scale : A)}` };
+    }
+
+    /**
+     * Rangos de análisis derivados del circuito y la señal: .ac dos décadas a cada lado
+     * de f0; .tran de 10 periodos de la excitación (o 5/α si el transitorio dura más,
+     * hasta 200 periodos) y paso máximo de 1/100 del menor periodo en juego.
+     */
+    function spiceAnalyses(circ, signal) {
+        const { f0, alpha } = analyze(circ);
+        const T  = 1 / Math.max(signal.freq, 1);
+        const T0 = 1 / f0;
+        const periodic = PERIODIC_SIGNALS.includes(signal.type);
+        // El chirp dura al menos un barrido y la amortiguada, cinco constantes de tiempo
+        const own   = signal.type === 'chirp' ? signal.sweepTime || 0 : signal.type === 'damped' ? 5 * (signal.decay || 0) : 0;
+        const tstop = periodic ? Math.min(Math.max(10 * T, 5 / alpha), 200 * T)
+                               : Math.max(5 / alpha, 5 * T0, own);
+        return {
+            ac:   { sweep: 'dec', points: 100, fStart: f0 / 100, fStop: f0 * 100 },
+            tran: { tstep: 0, tstop, tstart: 0, tmax: Math.min(periodic ? T : T0, T0) / 100 }
+        };
+    }
+
+    function spiceDirectives(an) {
+        const v = formatSpiceValue;
+        return [
+            `.ac ${an.ac.sweep} ${an.ac.points} ${v(an.ac.fStart)} ${v(an.ac.fStop)}`,
+            `.tran 0 ${v(an.tran.tstop)} 0 ${v(an.tran.tmax)}`
+        ];
+    }
+
+    /**
+     * Netlist SPICE (.cir): la netlist predefinida del circuito con los parásitos como
+     * elementos explícitos, la fuente según la señal y las directivas .ac/.tran.
+     * `header` son líneas de comentario; la primera hace de título SPICE.
+     */
+    function exportSpiceNetlist(circ, signal, header = ['Circuito RLC']) {
+        const net   = circuitNetlist(circ);
+        const lines = header.map(h => `* ${h}`);
+        if (circ.topology === 'parallel') lines.push('* Paralelo: fuente como equivalente Norton, I1 = u/R');
+        net.elements.forEach(e => {
+            const isSource = e.type === 'V' || e.type === 'I';
+            const src = isSource && spiceSource(circ, signal, e.value);
+            lines.push(`${e.name} ${e.n1} ${e.n2} ${isSource ? `${src.wave} ${src.ac}` : formatSpiceValue(e.value)}`);
+        });
+        lines.push(...spiceDirectives(spiceAnalyses(circ, signal)), '.backanno', '.end');
+        return lines.join('\n') + '\n';
+    }
+
+    /** Símbolo de LTspice para cada tipo de elemento */
+    const ASC_SYMBOL = { R: 'res', L: 'ind', C: 'cap', V: 'voltage', I: 'current' };
+
+    /**
+     * Esquemático LTspice (.asc) con símbolos colocados y cables. Serie: fuente a la
+     * izquierda y la cadena de elementos en horizontal hasta el último, que baja a masa.
+     * Paralelo: cada rama (fuente, R, L con su ESR, C con sus parásitos) en vertical
+     * bajo un raíl común. Incluye las mismas directivas que la netlist .cir.
+     */
+    function exportLtspiceSchematic(circ, signal, header = ['Circuito RLC']) {
+        const net = circuitNetlist(circ);
+        const wires = [], symbols = [], flags = [], points = [];
+        const STEP = 32, TOP = 64;
+
+        const wire = (a, b) => {
+            if (a[0] !== b[0] || a[1] !== b[1]) wires.push(`WIRE ${a[0]} ${a[1]} ${b[0]} ${b[1]}`);
+            points.push(a, b);
+        };
+        // Coloca e con el terminal del nodo `from` en `at` (arriba o a la izquierda); devuelve el otro terminal
+        const place = (e, from, at, dir) => {
+            const sym   = ASC_SYMBOL[e.type];
+            const pins  = ASC_PINS[sym].pins;
+            const entry = e.n1 === from ? 0 : 1;
+            const orient = dir === 'down' ? (entry === 0 ? 'R0' : 'R180') : (entry === 0 ? 'R270' : 'R90');
+            const [ex, ey] = ascOrient(pins[entry], orient);
+            const [ox, oy] = [at[0] - ex, at[1] - ey];
+            const [xx, xy] = ascOrient(pins[1 - entry], orient);
+
+            const attrs = [`SYMATTR InstName ${e.name}`];
+            if (e.type === 'V' || e.type === 'I') {
+                const src = spiceSource(circ, signal, e.value);
+                attrs.push(`SYMATTR Value ${src.wave}`, `SYMATTR Value2 ${src.ac}`);
+            } else {
+                attrs.push(`SYMATTR Value ${formatSpiceValue(e.value)}`);
+            }
+            symbols.push(`SYMBOL ${sym} ${ox} ${oy} ${orient}`, ...attrs);
+            return [ox + xx, oy + xy];
+        };
+        const ground = at => { flags.push(`FLAG ${at[0]} ${at[1]} 0`); points.push(at); };
+        const otherNode = (e, n) => (e.n1 === n ? e.n2 : e.n1);
+
+        if (circ.topology === 'parallel') {
+            // Ramas: empieza una nueva en cada elemento que toca el nodo superior
+            const top = 'v';
+            const branches = [];
+            net.elements.forEach(e => {
+                if (e.n1 === top || e.n2 === top) branches.push([e]);
+                else branches[branches.length - 1].push(e);
+            });
+            branches.forEach((branch, k) => {
+                const x = 80 + k * 4 * STEP;
+                if (k > 0) wire([x - 4 * STEP, TOP], [x, TOP]);
+                let pos = [x, TOP], node = top;
+                branch.forEach(e => {
+                    const at = [x, pos[1] + STEP];
+                    wire(pos, at);
+                    pos  = place(e, node, at, 'down');
+                    node = otherNode(e, node);
+                });
+                ground(pos);
+            });
+        } else {
+            const [src, ...chain] = net.elements;
+            const srcTop = [80, TOP + STEP];
+            wire([80, TOP], srcTop);
+            ground(place(src, src.n1, srcTop, 'down'));
+
+            let pos = [80, TOP], node = src.n1;
+            chain.forEach(e => {
+                if (otherNode(e, node) === GROUND) {
+                    const corner = [pos[0] + 2 * STEP, TOP];
+                    const at     = [corner[0], TOP + STEP];
+                    wire(pos, corner); wire(corner, at);
+                    ground(place(e, node, at, 'down'));
+                    return;
+                }
+                const at = [pos[0] + STEP, TOP];
+                wire(pos, at);
+                pos  = place(e, node, at, 'right');
+                node = otherNode(e, node);
+            });
+        }
+
+        // Tamaño de hoja y texto bajo el circuito
+        const maxX = Math.max(...points.map(p => p[0])) + 4 * STEP;
+        let y = Math.max(...points.map(p => p[1])) + 2 * STEP;
+        const texts = [];
+        header.forEach(h => { texts.push(`TEXT 48 ${y} Left 2 ;${h}`); y += STEP; });
+        spiceDirectives(spiceAnalyses(circ, signal)).forEach(d => { texts.push(`TEXT 48 ${y} Left 2 !${d}`); y += STEP; });
+
+        return ['Version 4', `SHEET 1 ${Math.max(880, maxX)} ${Math.max(680, y + STEP)}`,
+                ...wires, ...flags, ...symbols, ...texts].join('\n') + '\n';
+    }
+
+    /* ============================================================
+       DATOS MEDIDOS — CSV y Touchstone (.s1p), ajuste de R, L, C por mínimos cuadrados
+       ============================================================ */
+
+    /**
+     * @typedef {Object} Measurement
+     * @property {string}  kind      'H' (respuesta de la salida, adimensional) | 'Z' (impedancia de entrada, Ω)
+     * @property {Array<{f: number, mag: number, phase: ?number}>} points  f creciente; fase en grados
+     * @property {boolean} hasPhase  false en archivos de sólo magnitud
+     * @property {string[]} warnings
+     */
+
+    const FREQ_UNITS = { hz: 1, khz: 1e3, mhz: 1e6, ghz: 1e9 };
+
+    /** Puntos ordenados por f, sin frecuencias no positivas ni repetidas */
+    function cleanPoints(points, warnings) {
+        const kept = points.filter(p => p.f > 0).sort((a, b) => a.f - b.f)
+                           .filter((p, i, a) => i === 0 || p.f > a[i - 1].f);
+        if (kept.length < points.length) warnings.push(`${points.length - kept.length} punto(s) con frecuencia no positiva o repetida descartado(s)`);
+        if (kept.length < 3) throw new Error('Se necesitan al menos 3 frecuencias distintas');
+        return kept;
+    }
+
+    /**
+     * Filas numéricas de un CSV con separador coma, punto y coma (con coma decimal) o
+     * tabulador; las líneas que empiezan por #, ! o % son comentarios. Una fila es de datos
+     * si sus dos primeras celdas son números; el resto de celdas no numéricas quedan NaN.
+     * Devuelve { head, rows, skipped, num }: head son las líneas de texto previas a los
+     * datos (ya separadas en celdas) y num convierte una celda con el mismo criterio.
+     */
+    function readCSV(text) {
+        const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !/^[#!%]/.test(l));
+        const sep   = lines.some(l => l.includes(';')) ? ';' : lines.some(l => l.includes(',')) ? ',' : /\t/;
+        const split = l => l.split(sep).map(c => c.trim());
+        const num   = c => (c === '' ? NaN : Number(sep === ';' ? c.replace(',', '.') : c));
+        const isRow = cells => cells.length >= 2 && cells.slice(0, 2).every(c => isFinite(num(c)));
+
+        const first = lines.findIndex(l => isRow(split(l)));
+        if (first < 0) return { head: lines.map(split), rows: [], skipped: 0, num };
+        const data = lines.slice(first).map(split);
+        const rows = data.filter(isRow).map(r => r.map(num));
+        return { head: lines.slice(0, first).map(split), rows, skipped: data.length - rows.length, num };
+    }
+
+    /**
+     * CSV de frecuencia, magnitud y (opcional) fase (ver readCSV). La cabecera, la línea
+     * previa a los datos, decide el significado de cada columna:
+     *   frecuencia en Hz, kHz, MHz o GHz; magnitud en dB o lineal, de H o de Z si menciona
+     *   Ω/Ohm/impedancia; fase en grados o en rad. Sin cabecera, el formato de exportCSV:
+     *   Hz, dB de H y grados (la columna de |Z| se ignora).
+     */
+    function parseMeasurementCSV(text) {
+        const { head, rows, skipped } = readCSV(text);
+        if (!rows.length) throw new Error('No hay filas numéricas de frecuencia y magnitud');
+        const header = head.length ? head[head.length - 1].map(h => h.toLowerCase()) : [];
+        const col = i => header[i] || '';
+
+        const unit  = /\b([kmg]?hz)\b/.exec(col(0));
+        const fMul  = unit ? FREQ_UNITS[unit[1]] : 1;
+        const kind  = /ohm|ω|imped|^\|?z\|?\b/.test(col(1)) ? 'Z' : 'H';
+        const dB    = !header.length || /db/.test(col(1));
+        const rad   = /rad/.test(col(2));
+
+        const hasPhase = rows.every(r => isFinite(r[2]));
+        const warnings = [];
+        if (skipped) warnings.push(`${skipped} línea(s) no numérica(s) ignorada(s)`);
+        if (!hasPhase) warnings.push('Sin columna de fase: se ajusta sólo la magnitud');
+        const points = rows.map(r => ({
+            f:     r[0] * fMul,
+            mag:   dB ? Math.pow(10, r[1] / 20) : Math.abs(r[1]),
+            phase: hasPhase ? r[2] * (rad ? 180 / Math.PI : 1) : null
+        }));
+        return { kind, points: cleanPoints(points, warnings), hasPhase, warnings };
+    }
+
+    /**
+     * Touchstone de un puerto (.s1p): línea de opciones '# <unidad f> <S|Z|Y> <MA|DB|RI> R <r>'
+     * (por defecto GHz S MA R 50). Los datos se convierten en impedancia: Z = R(1 + Γ)/(1 − Γ)
+     * para S; z·R y R/y para Z e Y, normalizados a R.
+     */
+    function parseTouchstone(text) {
+        const opts = { f: 1e9, param: 'S', format: 'MA', r: 50 };
+        const warnings = [], points = [];
+        let seenOptions = false;
+        text.split(/\r?\n/).forEach((raw, n) => {
+            const line = raw.replace(/!.*/, '').trim();
+            if (!line || line.startsWith('[')) return;   // palabras clave de Touchstone 2.0
+            if (line.startsWith('#')) {
+                if (seenOptions) return;
+                seenOptions = true;
+                const t = line.slice(1).trim().toLowerCase().split(/\s+/).filter(Boolean);
+                for (let i = 0; i < t.length; i++) {
+                    if (t[i] in FREQ_UNITS) opts.f = FREQ_UNITS[t[i]];
+                    else if (['s', 'y', 'z'].includes(t[i])) opts.param = t[i].toUpperCase();
+                    else if (['ma', 'db', 'ri'].includes(t[i])) opts.format = t[i].toUpperCase();
+                    else if (t[i] === 'r' && isFinite(t[i + 1])) opts.r = Number(t[++i]);
+                    else throw new Error(`Opción de Touchstone no soportada: ${t[i].toUpperCase()}`);
+                }
+                return;
+            }
+            const v = line.split(/\s+/).map(Number);
+            if (v.some(x => !isFinite(x))) throw new Error(`Línea ${n + 1}: valor no numérico`);
+            if (v.length !== 3) throw new Error(`Línea ${n + 1}: se esperaban 3 columnas (sólo archivos de un puerto)`);
+            const [a, b] = v.slice(1);
+            const x = opts.format === 'RI' ? Complex.of(a, b)
+                    : Complex.scale(Complex.of(Math.cos(b * Math.PI / 180), Math.sin(b * Math.PI / 180)),
+                                    opts.format === 'DB' ? Math.pow(10, a / 20) : a);
+            const z = opts.param === 'S' ? Complex.scale(Complex.div(Complex.add(Complex.of(1), x), Complex.sub(Complex.of(1), x)), opts.r)
+                    : opts.param === 'Z' ? Complex.scale(x, opts.r)
+                    : Complex.scale(Complex.inv(x), opts.r);
+            if (!isFinite(z.re) || !isFinite(z.im)) {
+                warnings.push(`Línea ${n + 1}: impedancia infinita descartada`);
+                return;
+            }
+            points.push({ f: v[0] * opts.f, mag: Complex.abs(z), phase: Complex.argDeg(z) });
+        });
+        if (!seenOptions) warnings.push('Sin línea de opciones: se asume # GHz S MA R 50');
+        return { kind: 'Z', points: cleanPoints(points, warnings), hasPhase: true, z0: opts.r, warnings };
+    }
+
+    /** Valor que el modelo predice para una medida de tipo kind a la frecuencia f */
+    function measurementModel(circ, kind, f) {
+        return kind === 'Z' ? impedance(circ, f) : transfer(circ, f);
+    }
+
+    const FIT_MAX_POINTS = 200;      // los archivos más densos se diezman para el ajuste
+    const FIT_SEED_POINTS = 50;      // puntos para evaluar la rejilla de arranque
+    const FIT_SEED_STEPS  = [-2, -1.5, -1, -0.5, 0, 0.5, 1, 1.5, 2];   // décadas de L y C en la rejilla
+    const FIT_MAX_ITER    = 100;
+    const FIT_Z95         = 1.96;    // intervalo de confianza del 95 % (aproximación normal)
+    const FIT_LOG_BOUNDS  = [Math.log(1e-15), Math.log(1e9)];   // valores ajustables (unidades SI)
+    // Arranque de los parásitos nulos: un logaritmo no puede empezar en 0
+    const FIT_PARASITIC_SEED = { esrC: 0.01, eslC: 1e-9, esrL: 0.01 };
+
+    /** Hasta n puntos repartidos uniformemente por índice (conservan el primero y el último) */
+    function thinPoints(points, n) {
+        if (points.length <= n) return points;
+        return Array.from({ length: n }, (_, i) => points[Math.round(i * (points.length - 1) / (n - 1))]);
+    }
+
+    /**
+     * Residuos en logaritmo complejo, ln(modelo/medida): la parte real es el error de
+     * magnitud en neperios y la imaginaria el de fase en radianes (reducido a ±π). Así
+     * pesan igual todas las décadas de una respuesta con mucho rango dinámico.
+     */
+    function logResiduals(circ, data, points) {
+        const r = [];
+        points.forEach(p => {
+            const m = measurementModel(circ, data.kind, p.f);
+            r.push(Math.log(Math.max(Complex.abs(m), 1e-300) / p.mag));
+            if (data.hasPhase) {
+                const d = (Complex.arg(m) - p.phase * Math.PI / 180) / (2 * Math.PI);
+                r.push(2 * Math.PI * (d - Math.round(d)));
+            }
+        });
+        return r;
+    }
+
+    const sumSquares = r => r.reduce((s, x) => s + x * x, 0);
+
+    /**
+     * Parámetros que la medida distingue. Z da R, L y C; H, adimensional, sólo f0 y Q, así
+     * que uno de los tres (fixed) conserva su valor. Los parásitos sólo con la impedancia
+     * del paralelo: en serie ESR y ESL suman con R y L, y H usa el modelo equivalente de
+     * 2.º orden, que también los agrupa.
+     */
+    function fitKeys(circ, data, parasitics, fixed, warnings) {
+        const keys = ['R', 'L', 'C'].filter(k => k !== fixed);
+        if (!parasitics) return keys;
+        if (data.kind === 'Z' && circ.topology === 'parallel') return keys.concat(['esrC', 'eslC', 'esrL']);
+        warnings.push(data.kind === 'Z'
+            ? 'En serie los parásitos no se distinguen de R y L: se mantienen fijos'
+            : 'Con la respuesta H los parásitos no se distinguen de R y L: se mantienen fijos');
+        return keys;
+    }
+
+    /** Inversa de una matriz simétrica pequeña, o null si es singular */
+    function invertMatrix(M) {
+        try {
+            const f = luFactor(M);
+            const cols = M.map((_, j) => luSolve(f, M.map((__, i) => (i === j ? 1 : 0))));
+            return M.map((_, i) => cols.map(c => c[i]));
+        } catch (_) {
+            return null;
+        }
+    }
+
+    /**
+     * Ajuste de Levenberg-Marquardt de R, L, C (y, si se piden y son identificables,
+     * esrC, eslC y esrL) a una medida, con la topología y la salida del circuito dado.
+     * Con H, `fixed` ('R' por defecto, 'L' o 'C') se mantiene en el valor del circuito.
+     * Se ajustan los logaritmos de los valores, que quedan positivos y acotados; el arranque
+     * es el mejor punto de una rejilla de ±2 décadas de dos de los libres alrededor del circuito.
+     *
+     * La confianza sale de la covarianza s²(JᵀJ)⁻¹ linealizada en la solución: σ es el
+     * error relativo de cada valor y [lo, hi] su intervalo del 95 %.
+     * Devuelve { values, params: [{ key, value, sigma, lo, hi }], rms: { dB, deg },
+     * max: { dB, deg }, residuals: [{ f, dB, deg }], points, iterations, converged, warnings }.
+     */
+    function fitMeasurement(circ, data, { parasitics = false, fixed = data.kind === 'H' ? 'R' : null } = {}) {
+        const warnings = [];
+        const keys   = fitKeys(circ, data, parasitics, fixed, warnings);
+        const points = thinPoints(data.points, FIT_MAX_POINTS);
+        if (points.length < data.points.length) warnings.push(`Ajuste sobre ${points.length} de ${data.points.length} puntos`);
+        const base = { ...circ, useParasitics: circ.useParasitics || keys.length > 3 };
+        const at   = p => ({ ...base, ...Object.fromEntries(keys.map((k, i) => [k, Math.exp(p[i])])) });
+        const clamp = q => q.map(v => Math.min(Math.max(v, FIT_LOG_BOUNDS[0]), FIT_LOG_BOUNDS[1]));
+        const cost = (p, pts = points) => sumSquares(logResiduals(at(p), data, pts));
+
+        // Arranque: rejilla de dos libres (L y C si se puede) sobre un subconjunto de puntos
+        const p0   = keys.map(k => Math.log(circ[k] > 0 ? circ[k] : FIT_PARASITIC_SEED[k]));
+        const seed = thinPoints(points, FIT_SEED_POINTS);
+        const [ga, gb] = ['L', 'C', 'R'].filter(k => keys.includes(k)).map(k => keys.indexOf(k));
+        let p = p0, best = cost(p0, seed);
+        FIT_SEED_STEPS.forEach(a => FIT_SEED_STEPS.forEach(b => {
+            const q = p0.slice();
+            q[ga] += a * Math.LN10; q[gb] += b * Math.LN10;
+            const c = cost(q, seed);
+            if (c < best) { best = c; p = q; }
+        }));
+
+        // Levenberg-Marquardt con jacobiano por diferencias hacia delante
+        const jacobian = (q, r) => keys.map((_, j) => {
+            const h = 1e-6, s = q.slice();
+            s[j] += h;
+            return logResiduals(at(s), data, points).map((x, i) => (x - r[i]) / h);
+        });
+        const normal = (Jt) => Jt.map(a => Jt.map(b => a.reduce((s, x, i) => s + x * b[i], 0)));
+
+        let r = logResiduals(at(p), data, points), S = sumSquares(r);
+        let lambda = 1e-3, iterations = 0, converged = false;
+        while (iterations++ < FIT_MAX_ITER) {
+            const Jt = jacobian(p, r);
+            const A  = normal(Jt);
+            const g  = Jt.map(col => col.reduce((s, x, i) => s + x * r[i], 0));
+            let improved = false;
+            while (lambda < 1e12) {
+                let step;
+                try {
+                    step = luSolve(luFactor(A.map((row, i) => row.map((v, j) => (i === j ? v * (1 + lambda) + 1e-12 : v)))), g.map(v => -v));
+                } catch (_) { lambda *= 10; continue; }
+                const q  = clamp(p.map((v, i) => v + step[i]));
+                const rq = logResiduals(at(q), data, points), Sq = sumSquares(rq);
+                if (isFinite(Sq) && Sq < S) {
+                    converged = S - Sq < 1e-10 * (1 + S) || Math.max(...step.map(Math.abs)) < 1e-9;
+                    p = q; r = rq; S = Sq;
+                    lambda = Math.max(lambda / 3, 1e-12);
+                    improved = true;
+                    break;
+                }
+                lambda *= 4;
+            }
+            if (!improved) { converged = true; break; }
+            if (converged) break;
+        }
+        if (!converged) warnings.push(`El ajuste no convergió en ${FIT_MAX_ITER} iteraciones`);
+
+        // Confianza: covarianza de los logaritmos, s²(JᵀJ)⁻¹
+        const dof  = r.length - keys.length;
+        const s2   = dof > 0 ? S / dof : Infinity;
+        const cov  = invertMatrix(normal(jacobian(p, r)));
+        const values = Object.fromEntries(keys.map((k, i) => [k, Math.exp(p[i])]));
+        const params = keys.map((key, i) => {
+            const sigma = cov && cov[i][i] >= 0 ? Math.sqrt(s2 * cov[i][i]) : Infinity;
+            return { key, value: values[key], sigma, lo: values[key] * Math.exp(-FIT_Z95 * sigma), hi: values[key] * Math.exp(FIT_Z95 * sigma) };
+        });
+        if (params.some(q => !(q.sigma < 1))) warnings.push('Algún valor queda mal determinado por los datos (incertidumbre > 100 %)');
+
+        const stride = data.hasPhase ? 2 : 1;
+        const residuals = points.map((pt, i) => ({
+            f:   pt.f,
+            dB:  r[i * stride] * 20 / Math.LN10,
+            deg: data.hasPhase ? r[i * stride + 1] * 180 / Math.PI : null
+        }));
+        const rms = k => Math.sqrt(residuals.reduce((s, x) => s + x[k] * x[k], 0) / residuals.length);
+        const max = k => Math.max(...residuals.map(x => Math.abs(x[k])));
+        return {
+            values, params,
+            rms: { dB: rms('dB'), deg: data.hasPhase ? rms('deg') : null },
+            max: { dB: max('dB'), deg: data.hasPhase ? max('deg') : null },
+            residuals, points: points.length, iterations, converged, warnings
+        };
+    }
+
+    /* ============================================================
+       CAPTURAS DE OSCILOSCOPIO — respuesta al escalón medida y modelo de 2.º orden
+       ============================================================ */
+
+    const SCOPE_MIN_SAMPLES = 10;
+
+    /**
+     * Captura de osciloscopio en CSV (ver readCSV): tiempo en s en la primera columna y
+     * un canal por columna, con los nombres de la primera línea de cabecera. Admite el
+     * formato X/Start/Increment (índice de muestra, con origen e intervalo en la línea de
+     * unidades). Devuelve { t, channels: [{ name, values }], warnings }.
+     */
+    function parseScopeCSV(text) {
+        const { head, rows, skipped, num } = readCSV(text);
+        const names = head.length ? head[0] : [];
+        const lower = names.map(n => n.toLowerCase());
+        const iStart = lower.indexOf('start'), iInc = lower.indexOf('increment');
+        const warnings = [];
+        if (skipped) warnings.push(`${skipped} línea(s) no numérica(s) ignorada(s)`);
+
+        let t = rows.map(r => r[0]);
+        const meta = [iStart, iInc];
+        if (iStart > 0 && iInc > 0 && head.length > 1) {
+            const units = head[head.length - 1];
+            const start = num(units[iStart] || ''), inc = num(units[iInc] || '');
+            if (isFinite(start) && inc > 0) t = t.map(x => start + x * inc);
+            else warnings.push('Start/Increment no numéricos: la primera columna se toma como tiempo');
+        }
+        const width = Math.max(...rows.map(r => r.length), 0);
+        const channels = [];
+        for (let j = 1; j < width; j++) {
+            if (meta.includes(j) || rows.every(r => !isFinite(r[j]))) continue;
+            channels.push({ name: names[j] || `CH${channels.length + 1}`, values: rows.map(r => r[j]) });
+        }
+        if (rows.length < SCOPE_MIN_SAMPLES) throw new Error(`Se necesitan al menos ${SCOPE_MIN_SAMPLES} muestras`);
+        if (t.some((x, i) => i > 0 && !(x > t[i - 1]))) throw new Error('El tiempo de la primera columna debe ser creciente');
+        if (channels.some(c => c.values.some(v => !isFinite(v)))) warnings.push('Muestras vacías o no numéricas tomadas como la anterior');
+        channels.forEach(c => c.values.forEach((v, i, a) => { if (!isFinite(v)) a[i] = i ? a[i - 1] : 0; }));
+        return { t, channels, warnings };
+    }
+
+    function median(values) {
+        const s = values.slice().sort((a, b) => a - b), m = s.length >> 1;
+        return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+    }
+
+    /**
+     * Flanco de un escalón en u(t): niveles inicial y final (medianas del primer 2 % y del
+     * último 10 % de las muestras: el disparo suele dejar poco pretrigger) y primer cruce
+     * por el 50 %, interpolado. Devuelve
+     * { t0, base, amp } (amp < 0 en un flanco de bajada) o null si no hay salto claro.
+     */
+    function stepEdge(t, u) {
+        const base = median(u.slice(0, Math.max(1, Math.floor(u.length / 50))));
+        const amp  = median(u.slice(-Math.max(1, Math.floor(u.length / 10)))) - base;
+        const spread = Math.max(...u) - Math.min(...u);
+        if (!(Math.abs(amp) > 0.5 * spread)) return null;
+        const mid = base + amp / 2;
+        for (let i = 1; i < u.length; i++) {
+            if ((u[i - 1] - mid) * (u[i] - mid) <= 0 && u[i] !== u[i - 1]) {
+                return { t0: t[i - 1] + (mid - u[i - 1]) / (u[i] - u[i - 1]) * (t[i] - t[i - 1]), base, amp };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Captura alineada con la simulación: t = 0 en el flanco del canal de entrada y ambos
+     * canales referidos a su nivel previo, de modo que empiezan en reposo como el circuito
+     * simulado. Sin canal de entrada (input < 0) el escalón se supone en t = 0.
+     * Devuelve { t, u, y, edge, warnings }.
+     */
+    function alignCapture(capture, input, output) {
+        const warnings = [];
+        const edge = input >= 0 ? stepEdge(capture.t, capture.channels[input].values) : null;
+        if (input >= 0 && !edge) warnings.push('No se encontró el flanco del escalón en la entrada: se supone en t = 0');
+        if (input < 0) warnings.push('Sin canal de entrada: el escalón se supone en t = 0');
+        const t0 = edge ? edge.t0 : 0;
+        const t  = capture.t.map(x => x - t0);
+        const y  = capture.channels[output].values;
+        const pre = y.filter((_, i) => t[i] < 0);
+        const yBase = pre.length >= 3 ? median(pre) : 0;
+        return {
+            t,
+            u: input >= 0 ? capture.channels[input].values.map(v => v - (edge ? edge.base : 0)) : null,
+            y: y.map(v => v - yBase),
+            edge: edge && { ...edge, yBase },
+            warnings
+        };
+    }
+
+    /**
+     * Funciones base de la respuesta libre de 2.º orden con α y q = ωd²: e^(−αt)·cos(ωd·t)
+     * y e^(−αt)·sin(ωd·t)/ωd, que pasan con continuidad por el amortiguamiento crítico
+     * (1 y t) a cosh y sinh/β del sobreamortiguado (q = −β² < 0).
+     */
+    function dampedBasis(alpha, q, t) {
+        if (q > 0) {
+            const w = Math.sqrt(q), e = Math.exp(-alpha * t);
+            return [e * Math.cos(w * t), e * Math.sin(w * t) / w];
+        }
+        if (q < 0) {
+            const b = Math.sqrt(-q), slow = Math.exp(-(alpha - b) * t), fast = Math.exp(-(alpha + b) * t);
+            return [(slow + fast) / 2, (slow - fast) / (2 * b)];
+        }
+        const e = Math.exp(-alpha * t);
+        return [e, e * t];
+    }
+
+    /** Respuesta del modelo ajustado (fitStepResponse) en el instante t ≥ 0 */
+    function stepModel(fit, t) {
+        const [c, s] = dampedBasis(fit.alpha, fit.w0 * fit.w0 * (1 - fit.zeta * fit.zeta), t);
+        return fit.coef[0] + fit.coef[1] * c + fit.coef[2] * s;
+    }
+
+    const STEP_FIT_POINTS = 400;
+    const STEP_FIT_ZETAS  = [0.02, 0.05, 0.1, 0.2, 0.3, 0.5, 0.7, 1, 1.5, 2, 3, 5];
+    const STEP_FIT_W0S    = 48;     // valores de ω0 de la rejilla de arranque
+    const STEP_FIT_MAX_ITER = 60;
+
+    /**
+     * Ajusta y(t) = y∞ + e^(−αt)·(a·cos ωd·t + b·sin ωd·t / ωd) a las muestras con t ≥ 0 de
+     * una respuesta al escalón alineada (alignCapture), con α = ζω0 y ωd² = ω0²(1 − ζ²).
+     * El modelo vale para cualquier salida de un 2.º orden (V_C, V_R, V_L…): y∞, a y b se
+     * resuelven por mínimos cuadrados lineales en cada paso de Levenberg-Marquardt sobre
+     * ln ω0 y ln ζ, que arranca del mejor punto de una rejilla de ω0 y ζ.
+     * Devuelve { alpha, wd, zeta, w0, f0, Q, sigma: { w0, zeta }, coef, rms, span, points, converged, warnings }.
+     */
+    function fitStepResponse(t, y) {
+        const idx = t.map((_, i) => i).filter(i => t[i] >= 0);
+        if (idx.length < SCOPE_MIN_SAMPLES) throw new Error('Pocas muestras después del flanco');
+        const pick = thinPoints(idx, STEP_FIT_POINTS);
+        const ts = pick.map(i => t[i]), ys = pick.map(i => y[i]);
+        const T  = ts[ts.length - 1] - ts[0], dt = T / (ts.length - 1);
+        const warnings = [];
+
+        // Para ω0 y ζ dados, coeficientes lineales (ecuaciones normales escaladas) y residuos
+        const solve = ([lw, lz]) => {
+            const w0 = Math.exp(lw), zeta = Math.exp(lz);
+            const alpha = zeta * w0, q = w0 * w0 * (1 - zeta * zeta);
+            const cols = ts.map(x => [1, ...dampedBasis(alpha, q, x)]);
+            const norm = [0, 1, 2].map(j => Math.sqrt(cols.reduce((s, c) => s + c[j] * c[j], 0)) || 1);
+            const A = [0, 1, 2].map(i => [0, 1, 2].map(j => cols.reduce((s, c) => s + c[i] * c[j], 0) / (norm[i] * norm[j])));
+            const b = [0, 1, 2].map(i => cols.reduce((s, c, k) => s + c[i] * ys[k], 0) / norm[i]);
+            let coef;
+            try { coef = luSolve(luFactor(A.map((row, i) => row.map((v, j) => v + (i === j ? 1e-12 : 0)))), b).map((v, j) => v / norm[j]); }
+            catch (_) { return null; }
+            const r = cols.map((c, k) => coef[0] * c[0] + coef[1] * c[1] + coef[2] * c[2] - ys[k]);
+            return { coef, r, S: sumSquares(r) };
+        };
+
+        // Rejilla: ω0 de 1/T a π/(4·dt), en escala logarítmica
+        let p = null, best = Infinity;
+        logspace(1 / T, Math.PI / (4 * dt), STEP_FIT_W0S).forEach(w0 => STEP_FIT_ZETAS.forEach(z => {
+            const q = [Math.log(w0), Math.log(z)], s = solve(q);
+            if (s && s.S < best) { best = s.S; p = q; }
+        }));
+        if (!p) throw new Error('No se pudo ajustar un modelo de 2.º orden a la captura');
+
+        let cur = solve(p), lambda = 1e-3, iterations = 0, converged = false;
+        const jac = (q, r) => [0, 1].map(j => {
+            const h = 1e-6, s = q.slice();
+            s[j] += h;
+            const rs = solve(s);
+            return rs ? rs.r.map((x, i) => (x - r[i]) / h) : r.map(() => 0);
+        });
+        while (iterations++ < STEP_FIT_MAX_ITER) {
+            const Jt = jac(p, cur.r);
+            const A  = Jt.map(a => Jt.map(b => a.reduce((s, x, i) => s + x * b[i], 0)));
+            const g  = Jt.map(col => col.reduce((s, x, i) => s + x * cur.r[i], 0));
+            let improved = false;
+            while (lambda < 1e12) {
+                let step;
+                try { step = luSolve(luFactor(A.map((row, i) => row.map((v, j) => (i === j ? v * (1 + lambda) + 1e-12 : v)))), g.map(v => -v)); }
+                catch (_) { lambda *= 10; continue; }
+                const q = p.map((v, i) => v + step[i]), s = solve(q);
+                if (s && s.S < cur.S) {
+                    converged = cur.S - s.S < 1e-10 * (1 + cur.S) || Math.max(...step.map(Math.abs)) < 1e-9;
+                    p = q; cur = s;
+                    lambda = Math.max(lambda / 3, 1e-12);
+                    improved = true;
+                    break;
+                }
+                lambda *= 4;
+            }
+            if (!improved) { converged = true; break; }
+            if (converged) break;
+        }
+        if (!converged) warnings.push(`El ajuste no convergió en ${STEP_FIT_MAX_ITER} iteraciones`);
+
+        const dof = ts.length - 5;
+        const cov = invertMatrix((() => { const Jt = jac(p, cur.r); return Jt.map(a => Jt.map(b => a.reduce((s, x, i) => s + x * b[i], 0))); })());
+        const sd  = i => (cov && cov[i][i] >= 0 && dof > 0 ? Math.sqrt(cur.S / dof * cov[i][i]) : Infinity);
+
+        const w0 = Math.exp(p[0]), zeta = Math.exp(p[1]);
+        const span = Math.max(...ys) - Math.min(...ys);
+        const rms  = Math.sqrt(cur.S / ts.length);
+        if (w0 * T < 2) warnings.push('La captura dura menos que la respuesta: ω0 queda poco determinada');
+        if (w0 > Math.PI / (4 * dt)) warnings.push('Respuesta más rápida que el muestreo: ω0 queda poco determinada');
+        return {
+            alpha: zeta * w0, wd: zeta < 1 ? w0 * Math.sqrt(1 - zeta * zeta) : 0,
+            zeta, w0, f0: w0 / (2 * Math.PI), Q: 1 / (2 * zeta),
+            sigma: { w0: sd(0), zeta: sd(1) },
+            coef: cur.coef, rms, span, points: ts.length, iterations, converged, warnings
+        };
+    }
+
+    /**
+     * R, L y C del circuito que dan ω0 y ζ, conservando el componente conocido (known:
+     * 'R', 'L' o 'C') con su valor en circ. Se trabaja con los valores efectivos
+     * (effectiveComponents): con parásitos, en serie ESR y ESL se descuentan de R y L y en
+     * paralelo se quita de R la resistencia equivalente de las ESR.
+     *   Serie:    ζ = (R/2)·√(C/L) → R = 2ζω0·L      Paralelo: ζ = √(L/C)/(2R) → R = 1/(2ζω0·C)
+     * Devuelve { R, L, C, warnings }.
+     */
+    function componentsFromStep(circ, fit, known) {
+        const { w0, zeta } = fit;
+        const series = circ.topology !== 'parallel';
+        const esr = circ.useParasitics ? (circ.esrC || 0) + (circ.esrL || 0) : 0;
+        const esl = circ.useParasitics && series ? (circ.eslC || 0) : 0;
+        const warnings = [];
+        let { R, L, C } = effectiveComponents(circ);
+        if (known === 'R') {
+            if (series) { L = R / (2 * zeta * w0); C = 1 / (w0 * w0 * L); }
+            else {
+                // Con R fija: ζ = (1/R + ESR·ω0²·C²)/(2ω0·C) → ESR·ω0²·C² − 2ζω0·C + 1/R = 0;
+                // de sus dos raíces, la más cercana (en escala log) a la C actual
+                const a = esr * w0 * w0, b = 2 * zeta * w0, c = 1 / Math.max(circ.R, MINS.R);
+                const disc = b * b - 4 * a * c;
+                if (disc < 0) warnings.push('Las ESR del modelo amortiguan más de lo medido: C queda en el óptimo');
+                const small = disc < 0 ? b / (2 * a) : 2 * c / (b + Math.sqrt(disc));
+                const large = a > 0 ? c / (a * small) : Infinity;
+                C = Math.abs(Math.log(large / C)) < Math.abs(Math.log(small / C)) ? large : small;
+                L = 1 / (w0 * w0 * C);
+                R = 1 / (2 * zeta * w0 * C);
+            }
+        } else if (known === 'L') {
+            C = 1 / (w0 * w0 * L);
+            R = series ? 2 * zeta * w0 * L : 1 / (2 * zeta * w0 * C);
+        } else {
+            L = 1 / (w0 * w0 * C);
+            R = series ? 2 * zeta * w0 * L : 1 / (2 * zeta * w0 * C);
+        }
+        if (series) {
+            if (R - esr <= 0) warnings.push('La ESR del modelo supera la R efectiva medida: R queda en el mínimo');
+            if (L - esl <= 0) warnings.push('La ESL del modelo supera la L efectiva medida: L queda en el mínimo');
+            R -= esr; L -= esl;
+        } else if (known !== 'R') {
+            const g = 1 / R - C * esr / L;
+            if (g <= 0) warnings.push('Las ESR del modelo amortiguan más de lo medido: R queda en el máximo');
+            R = g > 0 ? 1 / g : Math.exp(FIT_LOG_BOUNDS[1]);
+        } else {
+            R = circ.R;
+        }
+        return {
+            R: Math.max(R, MINS.R), L: Math.max(L, MINS.L), C: Math.max(C, MINS.C),
+            warnings
+        };
+    }
+
+    /* ============================================================
+       DISEÑO INVERSO
+       ============================================================ */
+
+    /** Series normalizadas IEC 60063 (mantisas de una década) */
+    const E_SERIES = {
+        E12: [1.0, 1.2, 1.5, 1.8, 2.2, 2.7, 3.3, 3.9, 4.7, 5.6, 6.8, 8.2],
+        E24: [1.0, 1.1, 1.2, 1.3, 1.5, 1.6, 1.8, 2.0, 2.2, 2.4, 2.7, 3.0,
+              3.3, 3.6, 3.9, 4.3, 4.7, 5.1, 5.6, 6.2, 6.8, 7.5, 8.2, 9.1],
+        E96: [1.00, 1.02, 1.05, 1.07, 1.10, 1.13, 1.15, 1.18, 1.21, 1.24, 1.27, 1.30,
+              1.33, 1.37, 1.40, 1.43, 1.47, 1.50, 1.54, 1.58, 1.62, 1.65, 1.69, 1.74,
+              1.78, 1.82, 1.87, 1.91, 1.96, 2.00, 2.05, 2.10, 2.15, 2.21, 2.26, 2.32,
+              2.37, 2.43, 2.49, 2.55, 2.61, 2.67, 2.74, 2.80, 2.87, 2.94, 3.01, 3.09,
+              3.16, 3.24, 3.32, 3.40, 3.48, 3.57, 3.65, 3.74, 3.83, 3.92, 4.02, 4.12,
+              4.22, 4.32, 4.42, 4.53, 4.64, 4.75, 4.87, 4.99, 5.11, 5.23, 5.36, 5.49,
+              5.62, 5.76, 5.90, 6.04, 6.19, 6.34, 6.49, 6.65, 6.81, 6.98, 7.15, 7.32,
+              7.50, 7.68, 7.87, 8.06, 8.25, 8.45, 8.66, 8.87, 9.09, 9.31, 9.53, 9.76]
+    };
+
+    /**
+     * Calcula R, L, C para una f0 y un Q objetivo fijando uno de los tres componentes.
+     *   Serie:    ω0 = 1/√(LC), Q = (1/R)√(L/C)
+     *   Paralelo: ω0 = 1/√(LC), Q = R√(C/L)
+     */
+    function designCircuit(f0, Q, topology, fixed, fixedValue) {
+        const w0 = 2 * Math.PI * f0;
+        let R, L, C;
+
+        if (fixed === 'R') {
+            R = fixedValue;
+            if (topology === 'parallel') { L = R / (Q * w0); C = Q / (w0 * R); }
+            else                         { L = Q * R / w0;   C = 1 / (w0 * Q * R); }
+        } else {
+            if (fixed === 'L') { L = fixedValue; C = 1 / (w0 * w0 * L); }
+            else               { C = fixedValue; L = 1 / (w0 * w0 * C); }
+            const Z0 = Math.sqrt(L / C);   // impedancia característica
+            R = (topology === 'parallel') ? Q * Z0 : Z0 / Q;
+        }
+        return { R, L, C };
+    }
+
+    /** f0 y Q ideales de un juego de componentes */
+    function evaluateDesign(R, L, C, topology) {
+        const { f0, Q } = analyze({ R, L, C, topology });
+        return { f0, Q };
+    }
+
+    /** Valor normalizado más cercano (en escala logarítmica) dentro de la serie indicada */
+    function nearestStandard(value, series) {
+        const decade   = Math.pow(10, Math.floor(Math.log10(value)));
+        const mantissa = value / decade;
+        let best = 1, bestErr = Infinity;
+        // Se incluye 10 para poder redondear hacia la década siguiente
+        [...E_SERIES[series], 10].forEach(m => {
+            const err = Math.abs(Math.log(mantissa / m));
+            if (err < bestErr) { bestErr = err; best = m; }
+        });
+        return +(best * decade).toPrecision(3);
+    }
+
+    /* ============================================================
+       TOLERANCIAS — Monte Carlo y peor caso
+       ============================================================ */
+
+    /** Componentes con tolerancia; los parásitos sólo influyen si circ.useParasitics */
+    const TOLERANCE_KEYS = ['R', 'L', 'C', 'esrC', 'eslC', 'esrL'];
+    const TOLERANCE_DISTRIBUTIONS = ['uniform', 'gaussian'];
+
+    /**
+     * Generador pseudoaleatorio reproducible (mulberry32) a partir de una semilla entera.
+     * uniform() ∈ [0, 1); gaussian() ~ N(0, 1) por Box-Muller.
+     */
+    function createRng(seed) {
+        let a = seed >>> 0;
+        const uniform = () => {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        let spare = null;
+        const gaussian = () => {
+            if (spare !== null) { const g = spare; spare = null; return g; }
+            const u = 1 - uniform(), v = uniform();
+            const r = Math.sqrt(-2 * Math.log(u));
+            spare = r * Math.sin(2 * Math.PI * v);
+            return r * Math.cos(2 * Math.PI * v);
+        };
+        return { uniform, gaussian };
+    }
+
+    /**
+     * Copia del circuito con cada componente desviado en la fracción dev[key] ∈ [−1, 1]
+     * de su tolerancia (parts: { R: { tol: %, dist } … }). Los valores no bajan de 0.
+     */
+    function deviateCircuit(circ, parts, dev) {
+        const out = { ...circ };
+        TOLERANCE_KEYS.forEach(k => {
+            const p = parts[k];
+            if (!p || !p.tol || !(k in dev)) return;
+            out[k] = Math.max(circ[k] * (1 + dev[k] * p.tol / 100), 0);
+        });
+        return out;
+    }
+
+    /**
+     * Muestra de Monte Carlo: uniforme en ±tol, o gaussiana con la tolerancia como 3σ
+     * (sin truncar: ~0,3 % de las piezas caen fuera, como en un lote real).
+     */
+    function sampleCircuit(circ, parts, rng) {
+        const dev = {};
+        TOLERANCE_KEYS.forEach(k => {
+            const p = parts[k];
+            if (!p || !p.tol) return;
+            dev[k] = p.dist === 'gaussian' ? rng.gaussian() / 3 : 2 * rng.uniform() - 1;
+        });
+        return deviateCircuit(circ, parts, dev);
+    }
+
+    /** Componentes que realmente varían: con tolerancia y presentes en el modelo */
+    function activeToleranceKeys(circ, parts) {
+        return TOLERANCE_KEYS.filter(k => parts[k] && parts[k].tol > 0 && circ[k] > 0 &&
+            (['R', 'L', 'C'].includes(k) || circ.useParasitics));
+    }
+
+    /** Las 2^k esquinas de tolerancia (cada componente activo en −tol o +tol) */
+    function toleranceCorners(circ, parts) {
+        const keys = activeToleranceKeys(circ, parts);
+        return Array.from({ length: 1 << keys.length }, (_, m) =>
+            deviateCircuit(circ, parts, Object.fromEntries(keys.map((k, i) => [k, (m >> i) & 1 ? 1 : -1]))));
+    }
+
+    /** Media, desviación típica y extremos de una lista de valores */
+    function summaryStats(values) {
+        const n = values.length;
+        const mean = values.reduce((s, v) => s + v, 0) / n;
+        const std  = Math.sqrt(values.reduce((s, v) => s + (v - mean) * (v - mean), 0) / Math.max(n - 1, 1));
+        let min = Infinity, max = -Infinity;
+        values.forEach(v => { min = Math.min(min, v); max = Math.max(max, v); });
+        return { mean, std, min, max };
+    }
+
+    /** Histograma de `bins` clases iguales sobre [lo, hi] (por defecto, el rango de los datos) */
+    function histogram(values, bins, lo = Math.min(...values), hi = Math.max(...values)) {
+        if (hi <= lo) hi = lo + (Math.abs(lo) || 1) * 1e-6;
+        const w = (hi - lo) / bins;
+        const counts = new Array(bins).fill(0);
+        values.forEach(v => {
+            const i = Math.floor((v - lo) / w);
+            if (i >= 0 && i <= bins) counts[Math.min(i, bins - 1)]++;
+        });
+        return { lo, hi, width: w, counts };
+    }
+
+    const TOLERANCE_METRICS = ['f0', 'Q', 'BW'];
+
+    /** f0, Q, BW y |H| en dB de un circuito sobre la rejilla de frecuencias */
+    function toleranceSample(circ, freqs) {
+        const { f0, Q, BW } = analyze(circ);
+        const dB = transferResponse(circ, freqs).map(H => toDb(Complex.abs(H)));
+        return { f0, Q, BW, dB };
+    }
+
+    /** Envolvente punto a punto (mín y máx) de varias curvas */
+    function envelope(curves) {
+        const min = curves[0].slice(), max = curves[0].slice();
+        curves.forEach(c => c.forEach((v, i) => {
+            if (v < min[i]) min[i] = v;
+            if (v > max[i]) max[i] = v;
+        }));
+        return { min, max };
+    }
+
+    /**
+     * Análisis de tolerancias: `trials` ensayos de Monte Carlo con semilla `seed` y el
+     * peor caso por esquinas (2^k combinaciones extremas de los k componentes activos).
+     * Devuelve {
+     *   freqs, nominal: { f0, Q, BW, dB },
+     *   samples: { f0: [], Q: [], BW: [] }, stats: { f0: summaryStats… },
+     *   envelope: { min, max },                      Bode de Monte Carlo (dB)
+     *   worst: { f0: [mín, máx], Q, BW, envelope, corners }
+     * }
+     */
+    function toleranceAnalysis(circ, parts, { trials = 500, seed = 1, freqs = null } = {}) {
+        const nominal = analyze(circ);
+        freqs = freqs || logspace(nominal.f0 / 100, nominal.f0 * 100, 241);
+        const rng = createRng(seed);
+
+        const samples = { f0: [], Q: [], BW: [] };
+        const curves  = [];
+        for (let i = 0; i < trials; i++) {
+            const s = toleranceSample(sampleCircuit(circ, parts, rng), freqs);
+            TOLERANCE_METRICS.forEach(k => samples[k].push(s[k]));
+            curves.push(s.dB);
+        }
+
+        const corners = toleranceCorners(circ, parts).map(c => toleranceSample(c, freqs));
+        const worst = { corners: corners.length, envelope: envelope(corners.map(c => c.dB)) };
+        TOLERANCE_METRICS.forEach(k => {
+            const v = corners.map(c => c[k]);
+            worst[k] = [Math.min(...v), Math.max(...v)];
+        });
+
+        return {
+            freqs,
+            nominal: toleranceSample(circ, freqs),
+            samples,
+            stats: Object.fromEntries(TOLERANCE_METRICS.map(k => [k, summaryStats(samples[k])])),
+            envelope: envelope(curves),
+            worst
+        };
+    }
+
+    /**
+     * Rendimiento frente a una especificación { f0: [mín, máx], Q, BW } (null = sin límite):
+     * ensayos que cumplen todos los límites. Devuelve { pass, total, fraction }.
+     */
+    function toleranceYield(samples, spec) {
+        const total = samples.f0.length;
+        const ok = (k, i) => {
+            const [lo, hi] = spec[k] || [null, null];
+            const v = samples[k][i];
+            return (lo === null || v >= lo) && (hi === null || v <= hi);
+        };
+        let pass = 0;
+        for (let i = 0; i < total; i++) if (TOLERANCE_METRICS.every(k => ok(k, i))) pass++;
+        return { pass, total, fraction: total ? pass / total : 0 };
+    }
+
+    return {
+        Complex,
+        effectiveComponents, analyze, impedance, reflection, normalizedTransfer, transfer, transferResponse,
+        OUTPUTS, PRESET_OUTPUTS, OUTPUT_SHAPES, circuitOutput, outputUnit, outputTransfer,
+        frequencyResponse, unwrapPhase, bodeAsymptotes, responseFeatures, operatingPoint, logspace, toDb,
+        acPower, powerFactorCorrection,
+        polesZeros, criticalResistance, rootLocus,
+        luFactor, luSolve, complexSolve, integrateDescriptor,
+        SIGNAL_TYPES, PERIODIC_SIGNALS, SIGNAL_DEFAULTS, inputFunction, pwlVertices,
+        GROUND, circuitNetlist, buildMNA, netlistAC, inputImpedance, sourceImpedance, netlistTransient,
+        simulate, timeResponse, stepResponse, impulseResponse, consistencyCheck, stepMetrics, stepAnalysis,
+        fft, WINDOWS, spectrum, harmonicAnalysis, spectrumAnalysis,
+        parseSpiceValue, parseSpice, spiceToCircuit, ascToSpice, parseAsc,
+        formatSpiceValue, spiceAnalyses, exportSpiceNetlist, exportLtspiceSchematic,
+        parseMeasurementCSV, parseTouchstone, measurementModel, fitMeasurement,
+        parseScopeCSV, stepEdge, alignCapture, fitStepResponse, stepModel, componentsFromStep,
+        E_SERIES, designCircuit, evaluateDesign, nearestStandard,
+        TOLERANCE_KEYS, TOLERANCE_DISTRIBUTIONS, TOLERANCE_METRICS, createRng, deviateCircuit,
+        sampleCircuit, toleranceCorners, summaryStats, histogram, toleranceAnalysis, toleranceYield
+    };
+}));